@@ -0,0 +1,83 @@
+// src/alerts.js
+// Author: zevinDev
+
+import { diffLines } from './diff.js';
+
+// When a rule fires: a matching line appeared, changed (matched before and after), or disappeared
+export const ALERT_EVENTS = ['appear', 'change', 'disappear'];
+
+/**
+ * Compiles an alert pattern. `/regex/flags` is a regular expression; anything else is a
+ * case-insensitive keyword.
+ * @param {string} pattern - The pattern as typed by an admin.
+ * @returns {RegExp}
+ * @throws {Error} With a user-facing message if the pattern is empty or not a valid regex.
+ * @author zevinDev
+ */
+export function compileAlertPattern(pattern) {
+  const text = String(pattern ?? '').trim();
+  if (!text) throw new Error('The pattern cannot be empty.');
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (!regex) return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  // g and y make test() stateful, which would skip matches on later lines
+  const flags = regex[2].replace(/[gy]/g, '');
+  try {
+    return new RegExp(regex[1], flags);
+  } catch (err) {
+    throw new Error(`Invalid regex ${text}: ${err.message}`);
+  }
+}
+
+/**
+ * Finds the rules whose pattern matches a line that appeared, changed or disappeared between two versions.
+ * A changed line that only matches after the change counts as appeared, and one that only matched before as disappeared.
+ * Rules with an invalid pattern never match.
+ * @param {Array<{pattern: string, on?: string}>} rules - The rules for one page; `on` is one of ALERT_EVENTS or 'any' (the default).
+ * @param {string|undefined} previous - The content last sent, or undefined if nothing was sent yet.
+ * @param {string} content - The current content.
+ * @returns {Array<{rule: object, matches: Array<{event: string, line: string, oldLine?: string}>}>} Only rules that fired.
+ * @author zevinDev
+ */
+export function matchAlertRules(rules, previous, content) {
+  const changes = diffLines(previous ?? '', content);
+  const fired = [];
+  for (const rule of rules) {
+    let regex;
+    try {
+      regex = compileAlertPattern(rule.pattern);
+    } catch {
+      continue;
+    }
+    const matches = [];
+    for (const change of changes) {
+      let match = null;
+      if (change.type === 'added') {
+        if (regex.test(change.line)) match = { event: 'appear', line: change.line };
+      } else if (change.type === 'removed') {
+        if (regex.test(change.line)) match = { event: 'disappear', line: change.line };
+      } else {
+        const before = regex.test(change.oldLine);
+        const after = regex.test(change.newLine);
+        if (before && after) match = { event: 'change', line: change.newLine, oldLine: change.oldLine };
+        else if (after) match = { event: 'appear', line: change.newLine };
+        else if (before) match = { event: 'disappear', line: change.oldLine };
+      }
+      if (match && (!rule.on || rule.on === 'any' || rule.on === match.event)) matches.push(match);
+    }
+    if (matches.length > 0) fired.push({ rule, matches });
+  }
+  return fired;
+}
+
+/**
+ * Describes a fired rule in one line per match, for the text above a notification.
+ * @param {{rule: {pattern: string}, matches: Array<{event: string, line: string, oldLine?: string}>}} alert - One entry of matchAlertRules.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function describeAlertMatches({ rule, matches }) {
+  const verbs = { appear: 'appeared', change: 'changed', disappear: 'disappeared' };
+  return matches.map(m => m.event === 'change'
+    ? `\`${rule.pattern}\` changed: ${m.oldLine} → ${m.line}`
+    : `\`${rule.pattern}\` ${verbs[m.event]}: ${m.line}`).join('\n');
+}
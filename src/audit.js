@@ -0,0 +1,61 @@
+// src/audit.js
+// Author: zevinDev
+
+// Labels for every action recorded in the audit log
+export const AUDIT_ACTIONS = Object.freeze({
+  pages: 'Monitored pages',
+  roles: 'Page roles',
+  channel: 'Notification channel',
+  notifyMode: 'Update style',
+  schedule: 'Schedule',
+  itemCommands: 'Per-page commands',
+  notifications: 'Notifications',
+  reset: 'Settings reset',
+  import: 'Settings imported',
+  managerRole: 'Bot manager role',
+  auditChannel: 'Audit log channel',
+  formAdd: 'Form added',
+  formRemove: 'Form removed',
+  alertAdd: 'Alert rule added',
+  alertRemove: 'Alert rule removed',
+  ignoreAdd: 'Ignore pattern added',
+  ignoreRemove: 'Ignore pattern removed',
+  calendarAttachments: 'Calendar files',
+  testping: 'Test notification',
+  subscribe: 'Subscribed',
+  unsubscribe: 'Unsubscribed',
+});
+
+// Longest value shown for one side of a change before it is cut short
+const MAX_VALUE_LENGTH = 300;
+
+/**
+ * Formats one side of a recorded change for display.
+ * @param {*} value - A string, number, boolean, array of those, or null.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return '*none*';
+  let text;
+  if (Array.isArray(value)) text = value.join(', ');
+  else if (typeof value === 'boolean') text = value ? 'On' : 'Off';
+  else text = String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Renders an audit entry as one line: when, who, what and the old and new values.
+ * The change is left out for actions without values, such as a reset.
+ * @param {{actorId: string, action: string, target?: string|null, before?: *, after?: *, timestamp: Date}} entry
+ * @returns {string}
+ * @author zevinDev
+ */
+export function formatAuditEntry({ actorId, action, target, before, after, timestamp }) {
+  const when = `<t:${Math.floor(new Date(timestamp).getTime() / 1000)}:f>`;
+  const label = AUDIT_ACTIONS[action] ?? action;
+  const subject = target ? `**${label}** (${target})` : `**${label}**`;
+  const hasChange = (before ?? null) !== null || (after ?? null) !== null;
+  const change = hasChange ? `: ${formatAuditValue(before)} → ${formatAuditValue(after)}` : '';
+  return `${when} <@${actorId}> ${subject}${change}`;
+}
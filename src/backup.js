@@ -0,0 +1,251 @@
+// src/backup.js
+// Author: zevinDev
+
+import { normalizePageKey, parsePageKey } from './forms.js';
+import { parseScheduleInput, formatScheduleInput } from './schedule.js';
+import { ALERT_EVENTS, compileAlertPattern } from './alerts.js';
+
+// Version of the settings file format written by /settings export
+export const SETTINGS_FILE_VERSION = 1;
+
+// Largest settings file /settings import downloads
+export const MAX_SETTINGS_FILE_SIZE = 256 * 1024;
+
+const NOTIFY_MODES = ['diff', 'full', 'digest', 'board'];
+
+/**
+ * Builds the file /settings export returns from a guild's stored settings. Roles and channels are saved
+ * with their names as well as their ids, so the file can be imported into another server that uses the same names.
+ * The bot manager role and audit log channel are left out: who may change the bot is not copied between servers.
+ * @param {object} doc - The guild's settings document as stored (pages and roles as arrays).
+ * @param {{id: string, name: string, roles: {cache: Map}, channels: {cache: Map}}} guild - The guild being exported.
+ * @param {Date} exportedAt - When the export was made.
+ * @returns {object} A plain object to serialize as JSON.
+ * @author zevinDev
+ */
+export function buildSettingsFile(doc, guild, exportedAt) {
+  const role = id => ({ id, name: guild.roles.cache.get(id)?.name ?? null });
+  const channel = doc.channel ? guild.channels.cache.get(doc.channel) : null;
+  return {
+    version: SETTINGS_FILE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    guild: { id: guild.id, name: guild.name },
+    forms: doc.forms ?? {},
+    pages: doc.pages ?? [],
+    roles: Object.fromEntries(Object.entries(doc.roles ?? {}).map(([page, ids]) => [page, ids.map(role)])),
+    channel: doc.channel ? { id: doc.channel, name: channel?.name ?? null } : null,
+    notifyMode: doc.notifyMode ?? 'diff',
+    schedule: doc.schedule ?? null,
+    itemCommands: !!doc.itemCommands,
+    disabled: !!doc.disabled,
+    ignorePatterns: doc.ignorePatterns ?? [],
+    calendarAttachments: !!doc.calendarAttachments,
+    alerts: (doc.alerts ?? []).map(({ page, pattern, on, roles, users }) => ({ page, pattern, on, roles: roles.map(role), users })),
+  };
+}
+
+/**
+ * Parses and checks the shape of a settings file. Schedules are re-parsed so only schedules the bot accepts are
+ * imported, and alert and ignore patterns are compiled.
+ * @param {string} text - The file's contents.
+ * @returns {object} The file, with page keys normalized and the schedule re-parsed.
+ * @throws {Error} With a user-facing message naming the first problem found.
+ * @author zevinDev
+ */
+export function parseSettingsFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON. Use a file made by /settings export.');
+  }
+  const fail = problem => { throw new Error(`Invalid settings file: ${problem}.`); };
+  if (!isObject(file)) fail('expected a JSON object');
+  if (file.version !== SETTINGS_FILE_VERSION) fail(`unsupported version ${JSON.stringify(file.version)}, expected ${SETTINGS_FILE_VERSION}`);
+  if (!Array.isArray(file.pages) || !file.pages.every(isString)) fail('"pages" must be a list of page names');
+  const roles = file.roles ?? {};
+  if (!isObject(roles) || !Object.values(roles).every(refs => Array.isArray(refs) && refs.every(isRef))) {
+    fail('"roles" must map pages to lists of roles');
+  }
+  if (file.channel != null && !isRef(file.channel)) fail('"channel" must be a channel or null');
+  const notifyMode = file.notifyMode ?? 'diff';
+  if (!NOTIFY_MODES.includes(notifyMode)) fail(`"notifyMode" must be one of ${NOTIFY_MODES.join(', ')}`);
+  let schedule = null;
+  if (file.schedule != null) {
+    if (!isObject(file.schedule)) fail('"schedule" must be an object or null');
+    try {
+      schedule = parseScheduleInput(formatScheduleInput(file.schedule), file.schedule.timezone);
+    } catch (err) {
+      fail(`"schedule" is not valid (${err.message})`);
+    }
+  }
+  for (const key of ['itemCommands', 'disabled', 'calendarAttachments']) {
+    if (file[key] != null && typeof file[key] !== 'boolean') fail(`"${key}" must be true or false`);
+  }
+  const ignorePatterns = file.ignorePatterns ?? [];
+  if (!Array.isArray(ignorePatterns) || !ignorePatterns.every(isString)) fail('"ignorePatterns" must be a list of patterns');
+  for (const pattern of ignorePatterns) {
+    try {
+      compileAlertPattern(pattern);
+    } catch (err) {
+      fail(`ignore pattern ${pattern}: ${err.message}`);
+    }
+  }
+  const alerts = file.alerts ?? [];
+  if (!Array.isArray(alerts)) fail('"alerts" must be a list');
+  for (const [i, rule] of alerts.entries()) {
+    if (!isObject(rule) || !isString(rule.page) || !isString(rule.pattern)) fail(`alert rule ${i + 1} needs a page and a pattern`);
+    if (rule.on != null && rule.on !== 'any' && !ALERT_EVENTS.includes(rule.on)) fail(`alert rule ${i + 1} has an unknown "on" value`);
+    if (!(rule.roles ?? []).every(isRef) || !(rule.users ?? []).every(isString)) fail(`alert rule ${i + 1} has invalid roles or users`);
+    try {
+      compileAlertPattern(rule.pattern);
+    } catch (err) {
+      fail(`alert rule ${i + 1}: ${err.message}`);
+    }
+  }
+  return {
+    ...file,
+    pages: file.pages.map(normalizePageKey),
+    roles: Object.fromEntries(Object.entries(roles).map(([page, refs]) => [normalizePageKey(page), refs])),
+    channel: file.channel ?? null,
+    notifyMode,
+    schedule,
+    itemCommands: !!file.itemCommands,
+    disabled: !!file.disabled,
+    ignorePatterns,
+    calendarAttachments: !!file.calendarAttachments,
+    alerts: alerts.map(rule => ({ ...rule, page: normalizePageKey(rule.page), on: rule.on ?? 'any', roles: rule.roles ?? [], users: rule.users ?? [] })),
+  };
+}
+
+/**
+ * Matches a parsed settings file against the server it is imported into. Pages must be on one of the server's forms;
+ * roles and channels are matched by id, then by name, so a file from another server keeps working when the names match.
+ * Alert rules may only ping members of the server. Whatever cannot be matched, and alert rules and ignore patterns past
+ * the server's limits or longer than the commands accept, is dropped and reported in `warnings`.
+ * @param {object} file - A file returned by parseSettingsFile.
+ * @param {object} target
+ * @param {string[]} target.pageKeys - Every page on the server's forms.
+ * @param {string[]} target.formIds - The server's forms.
+ * @param {Map<string, {id: string, name: string}>} target.roles - The server's roles, without @everyone.
+ * @param {Map<string, {id: string, name: string, type: number}>} target.channels - The server's channels.
+ * @param {Set<string>} [target.members] - Ids of the alert rules' users that are members of the server.
+ * @param {number} [target.maxAlerts=25] - Most alert rules kept.
+ * @param {number} [target.maxIgnorePatterns=25] - Most ignore patterns kept.
+ * @param {number} [target.maxPatternLength=100] - Longest alert or ignore pattern kept.
+ * @returns {{settings: {pages: string[], roles: object, channel: string|null, notifyMode: string, schedule: object|null, itemCommands: boolean, disabled: boolean, ignorePatterns: string[], calendarAttachments: boolean, alerts: object[]}, warnings: string[]}}
+ * @author zevinDev
+ */
+export function resolveSettingsFile(file, { pageKeys, formIds, roles, channels, members = new Set(), maxAlerts = 25, maxIgnorePatterns = 25, maxPatternLength = 100 }) {
+  const warnings = [];
+  const knownPages = new Set(pageKeys);
+  const missingPages = new Set();
+  const missingForms = new Set();
+  const missingRoles = new Set();
+  const missingUsers = new Set();
+  const resolvePage = key => {
+    if (knownPages.has(key)) return key;
+    const { formId, item } = parsePageKey(key);
+    if (!formIds.includes(formId)) missingForms.add(file.forms?.[formId]?.label ?? formId);
+    else missingPages.add(item);
+    return null;
+  };
+  const resolveRole = ref => {
+    const role = roles.get(ref.id) ?? findByName(roles.values(), ref.name);
+    if (!role) missingRoles.add(ref.name ?? ref.id);
+    return role?.id ?? null;
+  };
+
+  const pages = file.pages.map(resolvePage).filter(Boolean);
+  const pageRoles = {};
+  for (const [key, refs] of Object.entries(file.roles)) {
+    const page = knownPages.has(key) ? key : null;
+    if (!page) continue;
+    pageRoles[page] = [...new Set(refs.map(resolveRole).filter(Boolean))];
+  }
+
+  let channel = null;
+  if (file.channel) {
+    const textChannels = [...channels.values()].filter(c => c.type === 0);
+    const match = textChannels.find(c => c.id === file.channel.id) ?? findByName(textChannels, file.channel.name);
+    if (match) channel = match.id;
+    else warnings.push(`Channel #${file.channel.name ?? file.channel.id} was not found; pick a channel in /settings after importing.`);
+  }
+
+  const alerts = [];
+  for (const rule of file.alerts) {
+    const page = resolvePage(rule.page);
+    const ruleRoles = [...new Set(rule.roles.map(resolveRole).filter(Boolean))];
+    const ruleUsers = [...new Set(rule.users)].filter(id => members.has(id) || !missingUsers.add(id));
+    if (!page) continue;
+    if (rule.pattern.length > maxPatternLength) {
+      warnings.push(`An alert rule was skipped because its pattern is longer than ${maxPatternLength} characters.`);
+      continue;
+    }
+    if (ruleRoles.length === 0 && ruleUsers.length === 0) {
+      warnings.push(`Alert rule \`${rule.pattern}\` was skipped because none of its roles or members exist here.`);
+      continue;
+    }
+    alerts.push({ id: String(alerts.length + 1), page, pattern: rule.pattern, on: rule.on, roles: ruleRoles, users: ruleUsers });
+  }
+  if (alerts.length > maxAlerts) {
+    warnings.push(`Only the first ${maxAlerts} alert rules were kept.`);
+    alerts.length = maxAlerts;
+  }
+  const tooLong = file.ignorePatterns.filter(p => p.length > maxPatternLength);
+  if (tooLong.length > 0) warnings.push(`${tooLong.length} ignore pattern(s) longer than ${maxPatternLength} characters were skipped.`);
+  const usablePatterns = [...new Set(file.ignorePatterns.filter(p => p.length <= maxPatternLength))];
+  const ignorePatterns = usablePatterns.slice(0, maxIgnorePatterns);
+  if (usablePatterns.length > maxIgnorePatterns) {
+    warnings.push(`Only the first ${maxIgnorePatterns} ignore patterns were kept; skipped: ${listNames(usablePatterns.slice(maxIgnorePatterns).map(p => `\`${p}\``))}.`);
+  }
+
+  if (missingForms.size > 0) warnings.push(`Pages of forms this server does not monitor were skipped: ${listNames(missingForms)}. Add them with /forms add first.`);
+  if (missingPages.size > 0) warnings.push(`Pages no longer on the form were skipped: ${listNames(missingPages)}.`);
+  if (missingRoles.size > 0) warnings.push(`Roles not found on this server were skipped: ${listNames(missingRoles)}.`);
+  if (missingUsers.size > 0) warnings.push(`Alert rule members who are not on this server were skipped: ${listNames([...missingUsers].map(id => `<@${id}>`))}.`);
+  return {
+    settings: {
+      pages,
+      roles: pageRoles,
+      channel,
+      notifyMode: file.notifyMode,
+      schedule: file.schedule,
+      itemCommands: file.itemCommands,
+      disabled: file.disabled,
+      ignorePatterns,
+      calendarAttachments: file.calendarAttachments,
+      alerts,
+    },
+    warnings,
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+// A role or channel as written by buildSettingsFile: { id, name }
+function isRef(value) {
+  return isObject(value) && isString(value.id) && (value.name == null || typeof value.name === 'string');
+}
+
+function findByName(items, name) {
+  if (!name) return null;
+  const wanted = name.toLowerCase();
+  for (const item of items) {
+    if (item.name?.toLowerCase() === wanted) return item;
+  }
+  return null;
+}
+
+// Up to ten names, then how many more
+function listNames(names) {
+  const list = [...names];
+  const shown = list.slice(0, 10).join(', ');
+  return list.length > 10 ? `${shown} and ${list.length - 10} more` : shown;
+}
@@ -4,176 +4,720 @@
 import { Client, GatewayIntentBits, Events } from 'discord.js';
 import dotenv from 'dotenv';
 import { getDropdownItems, getContentForDropdownItem } from './scraper.js';
+import { diffLines, formatDiff } from './diff.js';
+import { hashContent, formatHistoryList } from './history.js';
+import { DEFAULT_SCHEDULE, isScheduleDue, parseScheduleInput, describeSchedule, formatScheduleInput } from './schedule.js';
+import { parsePageContent, toEmbedFields } from './parser.js';
+import { DEFAULT_FORM_ID, DEFAULT_FORM_LABEL, formIdForUrl, validateFormUrl, parseFormHosts, pageKey, parsePageKey, normalizePageKey, diffItemLists } from './forms.js';
+import { createStorage } from './storage/index.js';
+import { retryWithBackoff, createCircuitBreaker } from './resilience.js';
+import { createMetrics } from './metrics.js';
+import { createJobQueue } from './queue.js';
+import { fuzzyFilter } from './fuzzy.js';
+import { searchDocuments, formatSearchResults } from './search.js';
+import { compileAlertPattern, matchAlertRules, describeAlertMatches } from './alerts.js';
+import { renderEmbedMessages } from './embeds.js';
+import { formatAuditEntry } from './audit.js';
+import { normalizeContent } from './normalize.js';
+import { buildSettingsFile, parseSettingsFile, resolveSettingsFile, MAX_SETTINGS_FILE_SIZE } from './backup.js';
+import { extractEvents, renderCalendar } from './calendar.js';
+import { startHttpServer } from './http.js';
 import puppeteer from 'puppeteer';
-import { MongoClient } from 'mongodb';
 
 // Load environment variables from .env file
 dotenv.config();
 
+// custom_id prefix of the "Show full page" button attached to diff notifications
+const SHOW_FULL_PAGE_PREFIX = 'show_full_page:';
+
+// Number of past versions listed by /history
+const HISTORY_LIST_LIMIT = 10;
+
+// Scrape retries: attempts per form or item, with the delay doubling from the base up to the max
+const SCRAPE_ATTEMPTS = 3;
+const SCRAPE_RETRY_BASE_MS = 2000;
+const SCRAPE_RETRY_MAX_MS = 30000;
+
+// A form that fails this many refreshes in a row is skipped until the cooldown has passed
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 15 * 60 * 1000;
+
+// A single browser job (one navigation or one item scrape) is abandoned after this long
+const SCRAPE_JOB_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Number of matches listed by /search
+const SEARCH_RESULT_LIMIT = 10;
+
+// Options per page of the /settings page pickers (Discord's limit for a select menu)
+const SETTINGS_PAGE_SIZE = 25;
+
+// How each notify mode is described in /settings
+const NOTIFY_MODE_LABELS = { diff: 'Changes only', full: 'Full page', digest: 'Digest', board: 'Live board' };
+
+// Diff lines previewed per page in a digest
+const DIGEST_PREVIEW_LINES = 3;
+
+// Alert rules one guild can define
+const MAX_ALERT_RULES = 25;
+
+// Entries shown by /audit log
+const AUDIT_LOG_LIMIT = 20;
+
+// Ignore patterns one guild can define
+const MAX_IGNORE_PATTERNS = 25;
+
+// Longest alert or ignore pattern, enforced by the slash command options and on import
+const MAX_PATTERN_LENGTH = 100;
+
+// Pages one member can subscribe to in a guild
+const MAX_SUBSCRIPTIONS = 25;
+
+// Discord API error "Cannot send messages to this user" (DMs closed or bot blocked)
+const DM_CLOSED_ERROR_CODE = 50007;
+
+// Discord API error "Unknown Message" (the message was deleted)
+const UNKNOWN_MESSAGE_ERROR_CODE = 10008;
+
+// Real timers and time; tests inject a fake clock with the same shape
+const systemClock = {
+  now: () => new Date(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+  sleep: (ms) => new Promise(res => setTimeout(res, ms)),
+};
+
+// Headless Chromium driven by scraper.js; tests inject a fake scraper with the same shape
+const puppeteerScraper = {
+  launch() {
+    // Use --no-sandbox in production/Docker
+    const puppeteerArgs = process.env.NODE_ENV === 'production' ? ['--no-sandbox', '--disable-setuid-sandbox'] : [];
+    return puppeteer.launch({ headless: true, args: puppeteerArgs });
+  },
+  getDropdownItems,
+  getContentForDropdownItem,
+};
+
 /**
- * Initializes and starts the Discord bot.
- * @throws {Error} If the bot token is missing or login fails.
+ * Creates the bot without connecting to anything. Every external dependency can be injected,
+ * so the command and notification paths can be exercised offline.
+ * @param {object} [deps]
+ * @param {import('discord.js').Client} [deps.client] - Discord client. Defaults to a new gateway client.
+ * @param {object} [deps.storage] - Storage backend (interface in storage/memory.js). Defaults to the backend chosen by STORAGE_BACKEND (see storage/index.js).
+ * @param {object} [deps.scraper] - { launch(), getDropdownItems(page), getContentForDropdownItem(page, item) }.
+ * @param {object} [deps.clock] - { now(), setTimeout, clearTimeout, setInterval, clearInterval, sleep(ms) }.
+ * @param {object} [deps.env] - Environment variables. Defaults to process.env.
+ * @param {Function} [deps.fetch] - fetch() used to download attachments. Defaults to the global fetch.
+ * @returns {object} The client plus start/stop and the handlers the bot registers.
  * @author zevinDev
  */
-export const startBot = async () => {
-  const token = process.env.DISCORD_TOKEN;
-  if (!token) {
-    throw new Error('Missing DISCORD_TOKEN in environment variables.');
-  }
-
-  const client = new Client({
+export function createBot(deps = {}) {
+  const env = deps.env ?? process.env;
+  const scraper = deps.scraper ?? puppeteerScraper;
+  const clock = deps.clock ?? systemClock;
+  const fetchAttachment = deps.fetch ?? globalThis.fetch;
+  const client = deps.client ?? new Client({
     intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent],
   });
+  let storage = deps.storage ?? null;
+  // Handles of the refresh interval and scheduler timeout, cleared by stop()
+  let refreshTimer = null;
+  let schedulerTimer = null;
+  let httpServer = null;
+
+  // /readyz succeeds once both are true
+  const readiness = { firstScrape: false, commandsRegistered: false };
+
+  // --- METRICS ---
+  const metrics = createMetrics();
+  const scrapeDuration = metrics.summary('bot_scrape_duration_seconds', 'Time spent scraping one page, including retries.');
+  const scrapeFailures = metrics.counter('bot_scrape_failures_total', 'Form or page scrapes that failed after all retries.');
+  const notificationsSent = metrics.counter('bot_notifications_sent_total', 'Page notifications posted to guild channels.');
+  const commandsServed = metrics.counter('bot_commands_served_total', 'Slash commands handled.');
+  const cacheAge = metrics.gauge('bot_cache_age_seconds', 'Seconds since a page was last scraped successfully.');
+  metrics.onCollect(() => {
+    cacheAge.reset();
+    const now = clock.now().getTime();
+    for (const status of Object.values(scrapeStatus)) {
+      if (!status.lastSuccessAt) continue;
+      cacheAge.set({ form: status.form, item: status.item }, (now - new Date(status.lastSuccessAt).getTime()) / 1000);
+    }
+  });
 
   let browser = null;
-  let page = null;
-  let dropdownItems = [];
+  // Forms being scraped, shared by every guild that registered them:
+  // { [formId]: { id, url, pages: Page[], items: string[], reachable, itemsLoaded, queue } }
+  // pages[i] belongs to worker i of the form's job queue; worker 0 is the main tab and the rest form the optional pool.
+  const forms = {};
+  // Extra tabs per form for scraping items in parallel
+  const scrapePoolSize = Math.max(0, parseInt(env.SCRAPE_POOL_SIZE, 10) || 0);
 
-  // --- LAUNCH BROWSER AND PAGE ONCE AT STARTUP ---
-  async function launchBrowserAndPage() {
+  // --- LAUNCH BROWSER AND PAGES ONCE AT STARTUP ---
+  async function launchBrowser() {
     if (!browser) {
-      const puppeteerArgs = process.env.NODE_ENV === 'production' ? ['--no-sandbox', '--disable-setuid-sandbox'] : [];
       console.log('[Puppeteer] Launching browser...');
-      browser = await puppeteer.launch({ headless: true, args: puppeteerArgs });
-      page = await browser.newPage();
+      const launched = await scraper.launch();
+      browser = launched;
+      // A crashed Chromium is forgotten so the next scrape relaunches it
+      launched.on?.('disconnected', () => {
+        if (browser === launched) dropBrowser();
+      });
+    }
+  }
+
+  // Forget a dead browser and the tabs that belonged to it
+  function dropBrowser() {
+    console.warn('[Puppeteer] Browser disconnected, it will be relaunched.');
+    browser = null;
+    for (const form of Object.values(forms)) form.pages = [];
+  }
+
+  // Open a form in a worker's tab, relaunching the browser or reopening the tab if either died
+  async function openForm(form, worker) {
+    if (browser?.isConnected && !browser.isConnected()) dropBrowser();
+    await launchBrowser();
+    if (!form.pages[worker] || form.pages[worker].isClosed?.()) {
+      form.pages[worker] = await browser.newPage();
+    }
+    await form.pages[worker].goto(form.url, { waitUntil: 'networkidle2' });
+  }
+
+  // Close a tab that failed so the next job on that worker starts from a fresh one
+  async function resetFormPage(form, worker) {
+    await form.pages[worker]?.close().catch(() => {});
+    form.pages[worker] = null;
+  }
+
+  // Every browser interaction with a form goes through its queue, so two jobs never drive the same tab
+  function runFormJob(form, label, fn, priority = 'background') {
+    return form.queue.run(async worker => {
+      try {
+        return await fn(worker);
+      } catch (err) {
+        await resetFormPage(form, worker);
+        throw err;
+      }
+    }, { priority, label, onTimeout: worker => resetFormPage(form, worker) });
+  }
+
+  // Scrape one item's section page on whichever tab of the form is free
+  function scrapeItem(form, item, priority = 'background') {
+    return runFormJob(form, `Scraping '${item}' on form ${form.id}`, async worker => {
+      if (!form.pages[worker]) await openForm(form, worker);
+      return scraper.getContentForDropdownItem(form.pages[worker], item);
+    }, priority);
+  }
+
+  // Backoff settings shared by form and item scrapes. Each attempt is queued separately,
+  // so user jobs can run while a background scrape waits to retry.
+  function scrapeRetryOptions(label) {
+    return {
+      attempts: SCRAPE_ATTEMPTS,
+      baseDelayMs: SCRAPE_RETRY_BASE_MS,
+      maxDelayMs: SCRAPE_RETRY_MAX_MS,
+      sleep: clock.sleep,
+      onRetry: (err, attempt, delay) => {
+        console.warn(`[Puppeteer] Scraping ${label} failed (attempt ${attempt}/${SCRAPE_ATTEMPTS}), retrying in ${delay} ms: ${err.message}`);
+      },
+    };
+  }
+
+  // One circuit breaker per form, so an unreachable form is skipped instead of retried every refresh
+  const formBreakers = {};
+  function formBreaker(formId) {
+    formBreakers[formId] ??= createCircuitBreaker({
+      threshold: CIRCUIT_FAILURE_THRESHOLD,
+      cooldownMs: CIRCUIT_COOLDOWN_MS,
+      now: () => clock.now().getTime(),
+    });
+    return formBreakers[formId];
+  }
+
+  // Open a form and scrape its dropdown items, with retries.
+  // If the form stays unreachable its previous items are kept, so a transient outage does not empty the page list.
+  async function loadForm(form, priority = 'background') {
+    const breaker = formBreaker(form.id);
+    if (!breaker.canAttempt()) {
+      console.warn(`[Puppeteer] Skipping form ${form.id}: circuit open after ${breaker.failures} consecutive failures.`);
+      form.reachable = false;
+      return;
     }
-    const formUrl = process.env.FORM_LINK;
-    console.log('[Puppeteer] Navigating to:', formUrl);
+    console.log(`[Puppeteer] Navigating to form ${form.id}:`, form.url);
+    const previousItems = form.items;
+    let loaded = false;
     try {
-      await page.goto(formUrl, { waitUntil: 'networkidle2' });
-      dropdownItems = await getDropdownItems(page);
-      console.log(`[Puppeteer] Scraped ${dropdownItems.length} dropdown items.`);
-      if (dropdownItems.length === 0) {
-        console.warn('[Puppeteer] No dropdown items found!');
+      form.items = await retryWithBackoff(attempt => runFormJob(form, `Loading form ${form.id}`, async worker => {
+        await openForm(form, worker);
+        const items = await scraper.getDropdownItems(form.pages[worker]);
+        // An empty listbox is usually a page that has not finished rendering. Trust it only on the last attempt, and only
+        // when there is no earlier list to lose or the breaker has already seen the form fail through a whole cooldown.
+        const confirmed = form.items.length === 0 || breaker.state === 'halfOpen';
+        if (items.length === 0 && (attempt < SCRAPE_ATTEMPTS || !confirmed)) throw new Error('No dropdown items found');
+        return items;
+      }, priority), scrapeRetryOptions(`form ${form.id}`));
+      breaker.recordSuccess();
+      form.reachable = true;
+      loaded = true;
+      console.log(`[Puppeteer] Scraped ${form.items.length} dropdown items from form ${form.id}.`);
+      if (form.items.length === 0) {
+        console.warn(`[Puppeteer] No dropdown items found on form ${form.id}!`);
       }
     } catch (err) {
-      console.error('[Puppeteer] Error during navigation or scraping:', err);
-      dropdownItems = [];
+      breaker.recordFailure();
+      form.reachable = false;
+      scrapeFailures.inc({ form: form.id });
+      console.error(`[Puppeteer] Error during navigation or scraping of form ${form.id}, keeping ${form.items.length} known items:`, err);
+      for (const item of form.items) {
+        await recordScrapeStatus(form.id, item, err);
+      }
+    }
+    if (!loaded) return;
+    // The first load has nothing to compare against
+    if (form.itemsLoaded) {
+      try {
+        await handleItemChanges(form, previousItems);
+      } catch (err) {
+        console.error(`[Forms] Error applying item changes of form ${form.id}:`, err);
+      }
     }
+    form.itemsLoaded = true;
   }
 
-  // --- REFRESH PAGE AND UPDATE CACHE AT INTERVAL ---
-  async function refreshPageAndUpdateCache() {
-    if (!browser || !page) {
-      await launchBrowserAndPage();
+  // --- DROPDOWN ITEM CHANGES ---
+  // After a form's items are re-scraped: move the settings of renamed pages, prune removed pages,
+  // re-register the per-item commands and tell every guild whose settings changed.
+  async function handleItemChanges(form, previousItems) {
+    const changes = diffItemLists(previousItems, form.items);
+    const { added, removed, renamed } = changes;
+    if (added.length + removed.length + renamed.length === 0) return;
+    if (form.items.length === 0) {
+      // More likely a broken page than a form with every item deleted
+      console.warn(`[Forms] Form ${form.id} returned no items; keeping the settings of its ${previousItems.length} pages.`);
       return;
     }
-    try {
-      await page.reload({ waitUntil: 'networkidle2' });
-      dropdownItems = await getDropdownItems(page);
-      console.log(`[Puppeteer] Refreshed and scraped ${dropdownItems.length} dropdown items.`);
-      if (dropdownItems.length === 0) {
-        console.warn('[Puppeteer] No dropdown items found after refresh!');
+    console.log(`[Forms] Items changed on form ${form.id}:`, changes);
+    const moves = [
+      ...renamed.map(({ from, to }) => ({ from: pageKey(form.id, from), to: pageKey(form.id, to) })),
+      ...removed.map(item => ({ from: pageKey(form.id, item), to: null })),
+    ];
+    const notices = {};
+    for (const guildId of Object.keys(guildSettings)) {
+      const lines = [];
+      for (const { from, to } of moves) {
+        // Labels are taken before the move, while the old page still counts towards the guild's forms
+        const fromLabel = pageLabel(guildId, from);
+        if (!movePageSettings(guildId, from, to)) continue;
+        lines.push(to
+          ? `• **${fromLabel}** is now **${pageLabel(guildId, to)}**; its settings moved over.`
+          : `• **${fromLabel}** was removed from the form and from this server's settings.`);
+      }
+      if (lines.length > 0) notices[guildId] = lines;
+    }
+    for (const { from } of moves) delete scrapeStatus[from];
+    await saveSettings();
+    await saveLastSentContent();
+    // Subscriptions follow renamed pages and drop removed ones without a notice
+    for (const [guildId, members] of Object.entries(subscriptions)) {
+      for (const [userId, sub] of Object.entries(members)) {
+        let touched = false;
+        for (const { from, to } of moves) {
+          if (!sub.pages.delete(from)) continue;
+          if (to) sub.pages.add(to);
+          touched = true;
+        }
+        if (touched) await saveSubscription(guildId, userId);
+      }
+    }
+
+    if (form.id === DEFAULT_FORM_ID) {
+      buildItemCommands();
+      await syncAllGuildItemCommands();
+    }
+
+    for (const [guildId, lines] of Object.entries(notices)) {
+      const channel = client.guilds.cache.get(guildId)?.channels.cache.get(guildSettings[guildId].channel);
+      if (!channel || channel.type !== 0) {
+        console.warn(`[Forms] No notification channel to tell guild ${guildId} about page changes.`);
+        continue;
+      }
+      if (added.length > 0) {
+        lines.push(`New pages: ${added.map(item => `**${pageLabel(guildId, pageKey(form.id, item))}**`).join(', ')}. Use /settings to monitor them.`);
       }
+      await channel.send({
+        embeds: [{
+          title: 'Monitored pages changed',
+          description: lines.join('\n').slice(0, 4096),
+          color: 0x2b2d31,
+          timestamp: clock.now().toISOString(),
+        }],
+      });
+    }
+  }
+
+  // Move a page's monitoring, roles, alert rules, board message and last-sent content to a new key, or drop them when `to` is null.
+  // Returns whether the guild's settings referred to the page.
+  function movePageSettings(guildId, from, to) {
+    const settings = guildSettings[guildId];
+    const alerts = settings.alerts.filter(rule => rule.page === from);
+    const referenced = settings.pages.has(from) || !!settings.roles[from] || alerts.length > 0;
+    if (settings.pages.delete(from) && to) settings.pages.add(to);
+    if (settings.roles[from]) {
+      if (to) settings.roles[to] = settings.roles[from];
+      delete settings.roles[from];
+    }
+    if (to) {
+      for (const rule of alerts) rule.page = to;
+    } else {
+      settings.alerts = settings.alerts.filter(rule => rule.page !== from);
+    }
+    // A removed page keeps its board message mapped, so the next board run deletes the message
+    if (to && settings.boardMessages[from]) {
+      settings.boardMessages[to] = settings.boardMessages[from];
+      delete settings.boardMessages[from];
+    }
+    const sent = lastSentContent[guildId];
+    if (sent && from in sent) {
+      if (to) sent[to] = sent[from];
+      delete sent[from];
+    }
+    return referenced;
+  }
+
+  // Hosts /forms add accepts forms from (FORM_HOSTS, default the Microsoft Forms hosts)
+  const formHosts = parseFormHosts(env.FORM_HOSTS);
+
+  // The id /forms add would give the FORM_LINK form, so it cannot be added a second time. Null when FORM_LINK is
+  // unset or not a link /forms add would accept, which must not break /forms for admins.
+  const formLinkFormId = readFormLinkFormId();
+  function readFormLinkFormId() {
+    if (!env.FORM_LINK) return null;
+    try {
+      return formIdForUrl(validateFormUrl(env.FORM_LINK, formHosts));
     } catch (err) {
-      console.error('[Puppeteer] Error during page refresh or scraping:', err);
-      dropdownItems = [];
+      console.warn(`[Env] FORM_LINK is not a valid form link (${err.message}); /forms add cannot tell it apart from other forms.`);
+      return null;
+    }
+  }
+
+  // Bring `forms` in line with FORM_LINK and the forms guilds have registered.
+  // Returns the forms that were added and still need loading.
+  async function syncForms() {
+    const wanted = {};
+    if (env.FORM_LINK) wanted[DEFAULT_FORM_ID] = env.FORM_LINK;
+    for (const settings of Object.values(guildSettings)) {
+      for (const [formId, { url }] of Object.entries(settings.forms || {})) {
+        wanted[formId] = url;
+      }
+    }
+    for (const formId of Object.keys(forms)) {
+      if (!wanted[formId]) {
+        console.log(`[Puppeteer] Form ${formId} is no longer used, closing its tab.`);
+        forms[formId].queue.clear(new Error(`Form ${formId} is no longer monitored`));
+        for (const page of forms[formId].pages) await page?.close().catch(() => {});
+        delete forms[formId];
+        delete formBreakers[formId];
+      }
+    }
+    const added = [];
+    for (const [formId, url] of Object.entries(wanted)) {
+      if (!forms[formId]) {
+        forms[formId] = {
+          id: formId,
+          url,
+          pages: [],
+          items: [],
+          reachable: false,
+          itemsLoaded: false,
+          queue: createJobQueue({
+            workers: 1 + scrapePoolSize,
+            timeoutMs: SCRAPE_JOB_TIMEOUT_MS,
+            setTimeout: clock.setTimeout,
+            clearTimeout: clock.clearTimeout,
+          }),
+        };
+        added.push(forms[formId]);
+      }
+    }
+    return added;
+  }
+
+  async function launchBrowserAndPages() {
+    await launchBrowser();
+    await syncForms();
+    for (const form of Object.values(forms)) {
+      await loadForm(form);
+    }
+  }
+
+  // Load a form a guild just registered and fill its cache
+  async function ensureFormLoaded(formId) {
+    await launchBrowser();
+    await syncForms();
+    const form = forms[formId];
+    if (!form) return null;
+    if (!form.reachable || form.items.length === 0) {
+      await loadForm(form, 'user');
+      await updateFormCache(form);
     }
+    return form;
+  }
+
+  // --- REFRESH PAGES AND UPDATE CACHE AT INTERVAL ---
+  async function refreshPageAndUpdateCache() {
+    await launchBrowserAndPages();
     await updateAllDropdownCache();
+    // Guilds on the "on change" schedule are notified right after every refresh
+    const onChangeGuildIds = Object.keys(guildSettings).filter(id => guildSettings[id].schedule?.type === 'onChange');
+    if (onChangeGuildIds.length > 0) {
+      await runNotificationJob(onChangeGuildIds);
+    }
+  }
+
+  // --- CACHE SYSTEM FOR DROPDOWN CONTENT ---
+  async function writeDropdownCache(formId, item, content) {
+    await storage.writeDropdownCache(formId, item, content);
+    await recordDropdownHistory(formId, item, content);
+  }
+  async function readDropdownCache(key) {
+    const { formId, item } = parsePageKey(key);
+    return storage.readDropdownCache(formId, item);
+  }
+
+  // --- CONTENT HISTORY ---
+  // One version per distinct content: { id, form, item, content, hash, timestamp }
+  async function recordDropdownHistory(formId, item, content) {
+    const hash = hashContent(content);
+    const latest = await storage.readLatestHistory(formId, item);
+    if (latest?.hash === hash) return;
+    await storage.appendHistory({ form: formId, item, content, hash, timestamp: clock.now() });
+    console.log(`[History] Recorded new version of '${item}' on form ${formId} (${hash.slice(0, 8)})`);
+  }
+  async function readDropdownHistory(key, limit = HISTORY_LIST_LIMIT) {
+    const { formId, item } = parsePageKey(key);
+    return storage.readHistory(formId, item, limit);
+  }
+  async function readHistoryVersion(id) {
+    return storage.readHistoryVersion(id);
   }
 
-  // --- MONGODB CONNECTION ---
-  const mongoUri = process.env.MONGODB_URI;
-  if (!mongoUri) throw new Error('Missing MONGODB_URI in environment variables.');
-  const mongoClient = new MongoClient(mongoUri);
-  await mongoClient.connect();
-  const db = mongoClient.db();
-  const dropdownCacheCol = db.collection('dropdownCache');
-  const guildSettingsCol = db.collection('guildSettings');
-  const lastSentContentCol = db.collection('lastSentContent');
+  // --- SCRAPE STATUS ---
+  // Per page: { form, item, lastSuccessAt, lastErrorAt, lastError, consecutiveFailures }
+  const scrapeStatus = {};
+  async function recordScrapeStatus(formId, item, err = null) {
+    const key = pageKey(formId, item);
+    const previous = scrapeStatus[key] ?? { form: formId, item, lastSuccessAt: null, lastErrorAt: null, lastError: null, consecutiveFailures: 0 };
+    const status = err
+      ? { ...previous, lastErrorAt: clock.now(), lastError: String(err.message || err), consecutiveFailures: previous.consecutiveFailures + 1 }
+      : { ...previous, lastSuccessAt: clock.now(), consecutiveFailures: 0 };
+    scrapeStatus[key] = status;
+    await storage.saveScrapeStatus(status);
+  }
 
-  // --- CACHE SYSTEM FOR DROPDOWN CONTENT (MongoDB) ---
-  async function writeDropdownCache(item, content) {
-    await dropdownCacheCol.updateOne(
-      { item },
-      { $set: { item, content } },
-      { upsert: true }
-    );
+  // Update the cache for every item of one form. All items are queued at once,
+  // so with a page pool several are scraped in parallel.
+  async function updateFormCache(form) {
+    if (!form.reachable) return;
+    await Promise.all(form.items.map(item => updateItemCache(form, item)));
   }
-  async function readDropdownCache(item) {
-    const doc = await dropdownCacheCol.findOne({ item });
-    return doc?.content || '';
+
+  async function updateItemCache(form, item) {
+    const startedAt = performance.now();
+    let content;
+    try {
+      content = await retryWithBackoff(() => scrapeItem(form, item), scrapeRetryOptions(`'${item}' on form ${form.id}`));
+    } catch (err) {
+      console.error(`[Puppeteer] Giving up on '${item}' on form ${form.id} for this refresh:`, err);
+      scrapeFailures.inc({ form: form.id });
+      await recordScrapeStatus(form.id, item, err);
+      return;
+    }
+    scrapeDuration.observe({ form: form.id }, (performance.now() - startedAt) / 1000);
+    await writeDropdownCache(form.id, item, content);
+    await recordScrapeStatus(form.id, item);
   }
 
-  // Update all dropdown cache files (MongoDB)
+  // Update all dropdown cache entries
   async function updateAllDropdownCache() {
-    for (const item of dropdownItems) {
-      try {
-        const content = await getContentForDropdownItem(page, item);
-        await writeDropdownCache(item, content);
-      } catch {}
+    for (const form of Object.values(forms)) {
+      await updateFormCache(form);
     }
+    readiness.firstScrape = true;
   }
 
-  // --- SETTINGS SYSTEM (MongoDB) ---
-  // In-memory settings per guild: { [guildId]: { pages: Set<string>, roles: { [page]: Set<roleId> }, channel: channelId } }
+  // --- SETTINGS SYSTEM ---
+  // In-memory settings per guild: { [guildId]: { pages: Set<pageKey>, roles: { [pageKey]: Set<roleId> }, channel: channelId, notifyMode: 'diff'|'full'|'digest'|'board', schedule: object|null, forms: { [formId]: { label, url } }, itemCommands: boolean, disabled: boolean, managerRole: roleId|null, auditChannel: channelId|null, ... } }
+  // Pages are keyed by form (see forms.js). A null schedule means DEFAULT_SCHEDULE (see schedule.js).
+  // `forms` holds the extra forms a guild registered; every guild also sees the FORM_LINK form.
+  // `itemCommands` opts the guild in to the legacy per-item slash commands.
+  // `disabled` pauses channel notifications without losing the configuration.
+  // `managerRole` lets members with that role change settings like an admin; `auditChannel` mirrors the audit log.
+  // `boardMessages` maps each page to its pinned live board message when notifyMode is 'board': { [pageKey]: messageId }.
+  // `ignorePatterns` are keywords or /regex/ whose matches never count as a change (see normalize.js).
+  // `calendarAttachments` attaches an .ics file of a changed page's dates to its notification (see calendar.js).
+  // `alerts` are keyword/regex rules: [{ id, page, pattern, on, roles: [roleId], users: [userId] }]. A page with rules
+  // is only posted when one of them matches, and pings the matching rules' roles and users instead of the page's roles.
   const guildSettings = {};
 
-  // Load settings from MongoDB at startup
-  const allSettings = await guildSettingsCol.find().toArray();
-  for (const doc of allSettings) {
-    guildSettings[doc.guildId] = {
-      pages: new Set(doc.pages),
+  // Helper: settings for a guild that has not configured anything yet
+  function createGuildSettings() {
+    return { pages: new Set(), roles: {}, channel: null, notifyMode: 'diff', schedule: null, forms: {}, itemCommands: false, disabled: false, managerRole: null, auditChannel: null, ignorePatterns: [], calendarAttachments: false, alerts: [], boardMessages: {} };
+  }
+
+  // Helper: turn a stored settings document into in-memory settings
+  function deserializeGuildSettings(doc) {
+    return {
+      pages: new Set((doc.pages || []).map(normalizePageKey)),
       roles: Object.fromEntries(
-        Object.entries(doc.roles || {}).map(([page, roles]) => [page, new Set(roles)])
+        Object.entries(doc.roles || {}).map(([page, roles]) => [normalizePageKey(page), new Set(roles)])
       ),
       channel: doc.channel ?? null,
+      notifyMode: doc.notifyMode ?? 'diff',
+      schedule: doc.schedule ?? null,
+      forms: doc.forms ?? {},
+      itemCommands: doc.itemCommands ?? false,
+      disabled: doc.disabled ?? false,
+      managerRole: doc.managerRole ?? null,
+      auditChannel: doc.auditChannel ?? null,
+      ignorePatterns: doc.ignorePatterns ?? [],
+      calendarAttachments: doc.calendarAttachments ?? false,
+      alerts: (doc.alerts || []).map(rule => ({ ...rule, page: normalizePageKey(rule.page) })),
+      boardMessages: Object.fromEntries(Object.entries(doc.boardMessages || {}).map(([page, id]) => [normalizePageKey(page), id])),
+    };
+  }
+
+  // Helper: turn in-memory settings into a plain document for storage
+  function serializeGuildSettings(guildId, settings) {
+    return {
+      guildId,
+      pages: Array.from(settings.pages),
+      roles: Object.fromEntries(
+        Object.entries(settings.roles || {}).map(([page, roles]) => [page, Array.from(roles)])
+      ),
+      channel: settings.channel ?? null,
+      notifyMode: settings.notifyMode ?? 'diff',
+      schedule: settings.schedule ?? null,
+      forms: settings.forms ?? {},
+      itemCommands: !!settings.itemCommands,
+      disabled: !!settings.disabled,
+      managerRole: settings.managerRole ?? null,
+      auditChannel: settings.auditChannel ?? null,
+      ignorePatterns: settings.ignorePatterns ?? [],
+      calendarAttachments: !!settings.calendarAttachments,
+      alerts: settings.alerts ?? [],
+      boardMessages: settings.boardMessages ?? {},
     };
   }
 
-  // Helper: persist settings to MongoDB
+  // Helper: persist settings
   async function saveSettings() {
     for (const [guildId, settings] of Object.entries(guildSettings)) {
-      await guildSettingsCol.updateOne(
-        { guildId },
-        {
-          $set: {
-            guildId,
-            pages: Array.from(settings.pages),
-            roles: Object.fromEntries(
-              Object.entries(settings.roles || {}).map(([page, roles]) => [page, Array.from(roles)])
-            ),
-            channel: settings.channel ?? null,
-          },
-        },
-        { upsert: true }
-      );
+      await storage.saveGuildSettings(serializeGuildSettings(guildId, settings));
     }
   }
 
-  // --- LAST SENT CONTENT SYSTEM (MongoDB) ---
-  // In-memory cache: { [guildId]: { [pageName]: lastContentString } }
+  // --- LAST SENT CONTENT SYSTEM ---
+  // What each guild was last sent per page: { [guildId]: { [pageKey]: { hash, versionId, notified? } } }
+  // `hash` is the hash of the normalized content (see comparableContent) and `versionId` the history version holding
+  // the text, which diffs are made against. `notified` describes the last notification actually posted, for /why:
+  // { at, mode, fromVersionId, toVersionId, fromHash, toHash, alerts: [pattern] }.
+  // Entries saved before hashes were stored hold the text as `content` instead of a version, until the page changes.
   const lastSentContent = {};
-  const allLastSent = await lastSentContentCol.find().toArray();
-  for (const doc of allLastSent) {
-    lastSentContent[doc.guildId] = { ...doc.pages };
-  }
   async function saveLastSentContent() {
     for (const [guildId, pages] of Object.entries(lastSentContent)) {
-      await lastSentContentCol.updateOne(
-        { guildId },
-        { $set: { guildId, pages } },
-        { upsert: true }
-      );
+      await storage.saveLastSentContent(guildId, pages);
     }
   }
 
-  // Launch browser, load dropdown items, and cache at startup
-  try {
-    await launchBrowserAndPage();
-    await updateAllDropdownCache();
-  } catch (err) {
-    console.error('[Startup] Error during initial browser launch or cache update:', err);
+  // Helper: page text as compared for changes in a guild: normalized, with the guild's ignore patterns applied
+  function comparableContent(guildId, content) {
+    return normalizeContent(content, guildSettings[guildId]?.ignorePatterns ?? []);
   }
 
-  // Refresh page, dropdown items, and cache every 5 minutes
-  setInterval(async () => {
-    try {
-      await refreshPageAndUpdateCache();
-    } catch (err) {
-      console.error('[Interval] Error during page refresh or cache update:', err);
+  // Helper: the text of a last-sent entry, or undefined if it is gone from the history
+  async function lastSentText(entry) {
+    if (!entry) return undefined;
+    if (entry.content !== undefined) return entry.content;
+    if (!entry.versionId) return undefined;
+    return (await readHistoryVersion(entry.versionId))?.content;
+  }
+
+  // Helper: record that a guild is up to date with a page's current content. `notified` is passed when a
+  // notification was posted; otherwise the previous notification's details are kept.
+  async function markSent(guildId, key, content, hash, notified = null) {
+    const { formId, item } = parsePageKey(key);
+    const latest = await storage.readLatestHistory(formId, item);
+    const entry = latest?.hash === hashContent(content) ? { hash, versionId: latest.id } : { hash, versionId: null, content };
+    const previous = lastSentContent[guildId]?.[key];
+    if (notified) entry.notified = { ...notified, toVersionId: entry.versionId };
+    else if (previous?.notified) entry.notified = previous.notified;
+    lastSentContent[guildId] ??= {};
+    lastSentContent[guildId][key] = entry;
+  }
+
+  // Helper: re-hash what a guild and its subscribers were last sent after its ignore patterns changed, so the change
+  // alone does not notify. Subscriptions only keep a hash, so the text is found among the page's recent versions by
+  // hashing them with `previousPatterns`.
+  async function rehashLastSent(guildId, previousPatterns = []) {
+    for (const entry of Object.values(lastSentContent[guildId] || {})) {
+      const text = await lastSentText(entry);
+      if (text !== undefined) entry.hash = hashContent(comparableContent(guildId, text));
+    }
+    await saveLastSentContent();
+    for (const [userId, sub] of Object.entries(subscriptions[guildId] || {})) {
+      let touched = false;
+      for (const [key, hash] of Object.entries(sub.sent)) {
+        const versions = [{ content: await readDropdownCache(key) }, ...await readDropdownHistory(key)];
+        const sent = versions.find(version => hashContent(normalizeContent(version.content, previousPatterns)) === hash);
+        if (!sent) continue;
+        sub.sent[key] = hashContent(comparableContent(guildId, sent.content));
+        touched = true;
+      }
+      if (touched) await saveSubscription(guildId, userId);
+    }
+  }
+
+  // --- DM SUBSCRIPTIONS ---
+  // { [guildId]: { [userId]: { pages: Set<pageKey>, sent: { [pageKey]: hash of the content last DMed }, dmBlocked: boolean } } }
+  // The hash is of the normalized content (see comparableContent), as for channel notifications.
+  // dmBlocked is set when a DM bounced and cleared when the member runs /subscribe or /subscriptions.
+  const subscriptions = {};
+  function memberSubscription(guildId, userId) {
+    subscriptions[guildId] ??= {};
+    subscriptions[guildId][userId] ??= { pages: new Set(), sent: {}, dmBlocked: false };
+    return subscriptions[guildId][userId];
+  }
+  async function saveSubscription(guildId, userId) {
+    const sub = subscriptions[guildId]?.[userId];
+    if (!sub) return;
+    await storage.saveSubscription({ guildId, userId, pages: Array.from(sub.pages), sent: sub.sent, dmBlocked: sub.dmBlocked });
+    if (sub.pages.size === 0) delete subscriptions[guildId][userId];
+  }
+
+  // Load settings and notification state from storage
+  async function loadState() {
+    for (const doc of await storage.loadGuildSettings()) {
+      guildSettings[doc.guildId] = deserializeGuildSettings(doc);
+    }
+    for (const doc of await storage.loadSubscriptions()) {
+      const sub = memberSubscription(doc.guildId, doc.userId);
+      sub.pages = new Set(doc.pages.map(normalizePageKey));
+      sub.sent = doc.sent ?? {};
+      sub.dmBlocked = !!doc.dmBlocked;
     }
-  }, 5 * 60 * 1000);
+    for (const status of await storage.loadScrapeStatus()) {
+      scrapeStatus[pageKey(status.form, status.item)] = status;
+    }
+    for (const doc of await storage.loadLastSentContent()) {
+      // Text saved before hashes were stored is kept until the page next changes, so that change still gets a diff
+      lastSentContent[doc.guildId] = Object.fromEntries(
+        Object.entries(doc.pages || {}).map(([page, entry]) => [
+          normalizePageKey(page),
+          typeof entry === 'string' ? { hash: hashContent(comparableContent(doc.guildId, entry)), versionId: null, content: entry } : entry,
+        ])
+      );
+    }
+  }
 
   // Helper: check if user is guild admin or owner
   function isGuildAdminOrOwner(interaction) {
@@ -193,14 +737,449 @@ export const startBot = async () => {
     return false;
   }
 
-  // Register slash commands for each dropdown item
+  // Helper: check if user may change the bot's configuration: an admin, the owner, or a member with the bot manager role
+  function canManageBot(interaction) {
+    if (isGuildAdminOrOwner(interaction)) return true;
+    const managerRole = guildSettings[interaction.guildId]?.managerRole;
+    const roles = interaction.member?.roles;
+    if (!managerRole || !roles) return false;
+    // Cached members have a role manager; members from raw interaction data only have role ids
+    return Array.isArray(roles) ? roles.includes(managerRole) : !!roles.cache?.has(managerRole);
+  }
+
+  // --- AUDIT LOG ---
+  // Helper: record a configuration change by the interaction's user and mirror it to the guild's audit log channel.
+  // Failures are logged and never stop the change itself.
+  async function recordAudit(interaction, action, { target = null, before = null, after = null } = {}) {
+    const entry = {
+      guildId: interaction.guildId,
+      actorId: interaction.user.id,
+      actorTag: interaction.user.tag,
+      action,
+      target,
+      before,
+      after,
+      timestamp: clock.now(),
+    };
+    try {
+      await storage.appendAudit(entry);
+    } catch (err) {
+      console.error(`[Audit] Failed to record ${action} in guild ${interaction.guildId}:`, err);
+    }
+    const channelId = guildSettings[interaction.guildId]?.auditChannel;
+    const channel = channelId ? client.guilds.cache.get(interaction.guildId)?.channels.cache.get(channelId) : null;
+    if (!channel || channel.type !== 0) return;
+    try {
+      await channel.send({
+        embeds: [{ description: formatAuditEntry(entry), color: 0x2b2d31, timestamp: entry.timestamp.toISOString() }],
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) {
+      console.error(`[Audit] Failed to mirror ${action} to the audit channel in guild ${interaction.guildId}:`, err);
+    }
+  }
+
+  // --- FORMS PER GUILD ---
+  // Helper: ids of the forms a guild can see, FORM_LINK first
+  function guildFormIds(guildId) {
+    const ids = env.FORM_LINK ? [DEFAULT_FORM_ID] : [];
+    return ids.concat(Object.keys(guildSettings[guildId]?.forms || {}));
+  }
+
+  // Helper: the label a guild gave a form
+  function formLabel(guildId, formId) {
+    if (formId === DEFAULT_FORM_ID) return DEFAULT_FORM_LABEL;
+    return guildSettings[guildId]?.forms?.[formId]?.label ?? formId;
+  }
+
+  // Helper: how a page is shown to a guild; the form label is only added once a guild has several forms
+  function pageLabel(guildId, key) {
+    const { formId, item } = parsePageKey(key);
+    if (guildFormIds(guildId).length <= 1) return item;
+    return `${formLabel(guildId, formId)} › ${item}`;
+  }
+
+  // Helper: page keys of every scraped item on the forms a guild can see
+  function guildPageKeys(guildId, formId = null) {
+    return guildFormIds(guildId)
+      .filter(id => !formId || id === formId)
+      .flatMap(id => (forms[id]?.items || []).map(item => pageKey(id, item)));
+  }
+
+  // Helper: find a guild's form by label (case-insensitive) or id
+  function findGuildForm(guildId, labelOrId) {
+    const wanted = String(labelOrId || '').trim().toLowerCase();
+    return guildFormIds(guildId).find(id => id.toLowerCase() === wanted || formLabel(guildId, id).toLowerCase() === wanted) ?? null;
+  }
+
+  // Page picked in the /settings role editor, per admin: { [`${guildId}:${userId}`]: pageKey }
+  const rolePageSelections = {};
+
+  // Helper: the /settings overview, an embed of the guild's configuration with buttons to edit, disable or reset it.
+  // `formId` is the form the Edit button opens.
+  function buildSettingsOverview(guildId, formId) {
+    const settings = guildSettings[guildId] || createGuildSettings();
+    const mapping = describeRoleMapping(guildId, settings);
+    return {
+      embeds: [{
+        title: 'Settings',
+        description: mapping.length > 4096 ? `${mapping.slice(0, 4095)}…` : mapping,
+        color: 0x2b2d31,
+        fields: [
+          { name: 'Notifications', value: settings.disabled ? 'Disabled' : 'Enabled', inline: true },
+          { name: 'Channel', value: settings.channel ? `<#${settings.channel}>` : 'Not set', inline: true },
+          { name: 'Updates', value: NOTIFY_MODE_LABELS[settings.notifyMode] ?? NOTIFY_MODE_LABELS.diff, inline: true },
+          { name: 'Schedule', value: describeSchedule(settings.schedule).slice(0, 1024) },
+          { name: 'Forms', value: guildFormIds(guildId).map(id => formLabel(guildId, id)).join(', ').slice(0, 1024) || 'None', inline: true },
+          { name: 'Per-page commands', value: settings.itemCommands ? 'On' : 'Off', inline: true },
+          { name: 'Alert rules', value: settings.alerts.length > 0 ? `${settings.alerts.length} (see /alerts list)` : 'None', inline: true },
+          { name: 'Ignore patterns', value: settings.ignorePatterns.length > 0 ? `${settings.ignorePatterns.length} (see /ignore list)` : 'None', inline: true },
+          { name: 'Calendar files', value: settings.calendarAttachments ? 'Attached to notifications' : 'Off (see /calendar)', inline: true },
+          { name: 'Bot managers', value: settings.managerRole ? `<@&${settings.managerRole}>` : 'Administrators only', inline: true },
+          { name: 'Audit log', value: settings.auditChannel ? `<#${settings.auditChannel}>` : 'Not mirrored (see /audit log)', inline: true },
+        ],
+      }],
+      components: [
+        {
+          type: 1,
+          components: [
+            {
+              type: 2, // Button
+              style: 1, // Primary
+              custom_id: `settings_edit:${formId}`,
+              label: guildFormIds(guildId).length > 1 ? `Edit ${formLabel(guildId, formId)}`.slice(0, 80) : 'Edit pages & channel',
+            },
+            {
+              type: 2,
+              style: 2, // Secondary
+              custom_id: 'edit_schedule',
+              label: 'Edit schedule',
+            },
+            {
+              type: 2,
+              style: settings.itemCommands ? 3 : 2, // Success when on, Secondary when off
+              custom_id: 'toggle_item_commands',
+              label: `Per-page commands: ${settings.itemCommands ? 'On' : 'Off'}`,
+            },
+            {
+              type: 2,
+              style: settings.disabled ? 3 : 2,
+              custom_id: 'toggle_notifications',
+              label: settings.disabled ? 'Enable notifications' : 'Disable notifications',
+            },
+            {
+              type: 2,
+              style: 4, // Danger
+              custom_id: 'settings_reset',
+              label: 'Reset',
+            },
+          ],
+        },
+        {
+          type: 1,
+          components: [
+            {
+              type: 6, // RoleSelect
+              custom_id: 'select_manager_role',
+              min_values: 0,
+              max_values: 1,
+              default_values: settings.managerRole ? [{ id: settings.managerRole, type: 'role' }] : [],
+              placeholder: 'Bot manager role (chosen by administrators)',
+            },
+          ],
+        },
+        {
+          type: 1,
+          components: [
+            {
+              type: 2,
+              style: settings.calendarAttachments ? 3 : 2,
+              custom_id: 'toggle_calendar_attachments',
+              label: `Calendar files: ${settings.calendarAttachments ? 'On' : 'Off'}`,
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Helper: the pages one window of the /settings editor lists, as its menus number them
+  function settingsWindowKeys(guildId, formId, pageIndex) {
+    return guildPageKeys(guildId, formId).slice(pageIndex * SETTINGS_PAGE_SIZE, (pageIndex + 1) * SETTINGS_PAGE_SIZE);
+  }
+
+  // Helper: the /settings editor for one form's pages, `SETTINGS_PAGE_SIZE` pages at a time, plus the role,
+  // channel and update pickers. Returns null if the form has no pages yet.
+  function buildSettingsEditor(guildId, formId, pageIndex = 0) {
+    const settings = guildSettings[guildId];
+    const formPageKeys = guildPageKeys(guildId, formId);
+    if (formPageKeys.length === 0) return null;
+    const pageCount = Math.ceil(formPageKeys.length / SETTINGS_PAGE_SIZE);
+    const index = Math.min(Math.max(pageIndex, 0), pageCount - 1);
+    const windowKeys = settingsWindowKeys(guildId, formId, index);
+    // Options name pages by their position in the window, since page keys can be longer than an option value
+    const pageOptions = windowKeys.map((key, i) => ({ label: parsePageKey(key).item.slice(0, 100), value: String(i), default: !!settings?.pages.has(key) }));
+    // Roles are edited one page at a time; offer the monitored pages, or every page if none are monitored yet
+    const monitored = pageOptions.some(option => option.default);
+    const rolePageOptions = pageOptions
+      .filter(option => !monitored || option.default)
+      .map(({ label, value }) => ({ label, value }));
+    const formNote = guildFormIds(guildId).length > 1
+      ? `Editing pages of **${formLabel(guildId, formId)}**. Use \`/settings view form:<label>\` for another form.\n\n`
+      : '';
+    const pageNote = pageCount > 1
+      ? `Showing pages ${index * SETTINGS_PAGE_SIZE + 1}-${index * SETTINGS_PAGE_SIZE + windowKeys.length} of ${formPageKeys.length}; selections on other pages are kept.\n\n`
+      : '';
+    const components = [
+      {
+        type: 1, // ActionRow
+        components: [
+          {
+            type: 3, // StringSelect
+            custom_id: `select_pages:${formId}:${index}`,
+            min_values: 0,
+            max_values: pageOptions.length,
+            options: pageOptions,
+            placeholder: 'Select pages to monitor',
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 3,
+            custom_id: `select_role_page:${formId}:${index}`,
+            min_values: 1,
+            max_values: 1,
+            options: rolePageOptions,
+            placeholder: 'Select a page to set its roles',
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 8, // ChannelSelect
+            custom_id: 'select_channel',
+            channel_types: [0], // Only text channels
+            placeholder: 'Select a channel for updates',
+            ...(settings?.channel && { default_values: [{ id: settings.channel, type: 'channel' }] }),
+          },
+        ],
+      },
+      {
+        type: 1,
+        components: [
+          {
+            type: 3,
+            custom_id: 'select_notify_mode',
+            min_values: 1,
+            max_values: 1,
+            options: [
+              { label: 'Changes only', description: 'Post a diff of added, removed and changed lines', value: 'diff', default: (settings?.notifyMode ?? 'diff') === 'diff' },
+              { label: 'Full page', description: 'Repost the whole page on every change', value: 'full', default: settings?.notifyMode === 'full' },
+              { label: 'Digest', description: 'One summary of all changed pages per run, with buttons for each page', value: 'digest', default: settings?.notifyMode === 'digest' },
+              { label: 'Live board', description: 'Keep one pinned message per page up to date and post a short notice', value: 'board', default: settings?.notifyMode === 'board' },
+            ],
+            placeholder: 'Select how updates are posted',
+          },
+        ],
+      },
+    ];
+    if (pageCount > 1) {
+      components.push({
+        type: 1,
+        components: [
+          { type: 2, style: 2, custom_id: `settings_edit:${formId}:${index - 1}`, label: 'Previous pages', disabled: index === 0 },
+          { type: 2, style: 2, custom_id: `settings_edit:${formId}:${index + 1}`, label: 'Next pages', disabled: index === pageCount - 1 },
+        ],
+      });
+    }
+    return {
+      content: `${formNote}${pageNote}Configure which pages to monitor, then pick a page to choose the roles pinged for it. Select a channel to send updates.\n\n${describeRoleMapping(guildId, settings)}`.slice(0, 2000),
+      components,
+    };
+  }
+
+  // --- SETTINGS EXPORT AND IMPORT ---
+  // Imports waiting for confirmation, per admin: { [`${guildId}:${userId}`]: { fileName, settings } }
+  const pendingImports = {};
+
+  // Helper: reply to /settings export with the guild's settings as a JSON attachment
+  async function replyWithSettingsExport(interaction) {
+    const settings = guildSettings[interaction.guildId] || createGuildSettings();
+    const file = buildSettingsFile(serializeGuildSettings(interaction.guildId, settings), interaction.guild, clock.now());
+    console.log(`[Settings] Exported settings of guild ${interaction.guildId} for ${interaction.user.tag}`);
+    await interaction.reply({
+      content: `Settings of **${interaction.guild.name}**: ${settings.pages.size} monitored pages and ${settings.alerts.length} alert rules. Use \`/settings import\` with this file to restore them or copy them to another server.`,
+      files: [{ attachment: Buffer.from(JSON.stringify(file, null, 2)), name: `settings-${interaction.guildId}.json` }],
+      flags: 64,
+    });
+  }
+
+  // Helper: download, check and match an uploaded settings file, then show what importing it would change
+  async function replyWithImportPreview(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+    if (attachment.size > MAX_SETTINGS_FILE_SIZE) {
+      await interaction.reply({ content: `The file is too large for a settings file (${Math.round(MAX_SETTINGS_FILE_SIZE / 1024)} KB at most).`, flags: 64 });
+      return;
+    }
+    await interaction.deferReply({ flags: 64 });
+    let file;
+    try {
+      const res = await fetchAttachment(attachment.url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      file = parseSettingsFile(await res.text());
+    } catch (err) {
+      console.warn(`[Settings] Rejected settings import in guild ${interaction.guildId}: ${err.message}`);
+      await interaction.editReply({ content: err.message.startsWith('HTTP') ? 'The file could not be downloaded. Please try again.' : err.message });
+      return;
+    }
+    const roles = new Map([...interaction.guild.roles.cache.values()].filter(role => role.id !== interaction.guildId).map(role => [role.id, role]));
+    // Alert rules may only ping members; the lookups are bounded, and users past the bound are dropped as unknown
+    const members = new Set();
+    for (const userId of [...new Set(file.alerts.slice(0, MAX_ALERT_RULES).flatMap(rule => rule.users))].slice(0, MAX_ALERT_RULES)) {
+      try {
+        await interaction.guild.members.fetch(userId);
+        members.add(userId);
+      } catch {
+        // Not a member of this server
+      }
+    }
+    const { settings: next, warnings } = resolveSettingsFile(file, {
+      pageKeys: guildPageKeys(interaction.guildId),
+      formIds: guildFormIds(interaction.guildId),
+      roles,
+      channels: interaction.guild.channels.cache,
+      members,
+      maxAlerts: MAX_ALERT_RULES,
+      maxIgnorePatterns: MAX_IGNORE_PATTERNS,
+      maxPatternLength: MAX_PATTERN_LENGTH,
+    });
+    pendingImports[`${interaction.guildId}:${interaction.user.id}`] = { fileName: attachment.name, settings: next };
+    const source = file.guild?.name ? ` from **${file.guild.name}**` : '';
+    const changes = describeImportChanges(interaction.guildId, next);
+    const sections = [
+      `Importing \`${attachment.name}\`${source} replaces this server's pages, roles, channel, update style, schedule, alert rules, ignore patterns and per-page commands. Forms, the bot manager role and the audit log channel are kept.`,
+      changes.length > 0 ? changes.join('\n') : 'The file matches the current settings.',
+    ];
+    if (warnings.length > 0) sections.push(`**Skipped**\n${warnings.map(w => `• ${w}`).join('\n')}`);
+    const description = sections.join('\n\n');
+    await interaction.editReply({
+      embeds: [{ title: 'Import settings?', description: description.length > 4096 ? `${description.slice(0, 4095)}…` : description, color: 0x2b2d31 }],
+      components: [{
+        type: 1,
+        components: [
+          { type: 2, style: 3, custom_id: 'settings_import_confirm', label: 'Apply settings' },
+          { type: 2, style: 2, custom_id: 'settings_import_cancel', label: 'Cancel' },
+        ],
+      }],
+      allowedMentions: { parse: [] },
+    });
+  }
+
+  // Helper: one line per setting an import would change
+  function describeImportChanges(guildId, next) {
+    const current = serializeGuildSettings(guildId, guildSettings[guildId] || createGuildSettings());
+    const lines = [];
+    const names = keys => keys.map(key => pageLabel(guildId, key)).join(', ');
+    const added = next.pages.filter(key => !current.pages.includes(key));
+    const removed = current.pages.filter(key => !next.pages.includes(key));
+    if (added.length > 0) lines.push(`**Pages added:** ${names(added)}`);
+    if (removed.length > 0) lines.push(`**Pages removed:** ${names(removed)}`);
+    const sameRoles = (a = [], b = []) => a.length === b.length && a.every(id => b.includes(id));
+    const roleChanges = next.pages.filter(key => !sameRoles(current.roles[key], next.roles[key]));
+    if (roleChanges.length > 0) lines.push(`**Roles changed for:** ${names(roleChanges)}`);
+    const change = (label, before, after) => {
+      if (before !== after) lines.push(`**${label}:** ${before} → ${after}`);
+    };
+    change('Channel', current.channel ? `<#${current.channel}>` : 'Not set', next.channel ? `<#${next.channel}>` : 'Not set');
+    change('Updates', NOTIFY_MODE_LABELS[current.notifyMode], NOTIFY_MODE_LABELS[next.notifyMode]);
+    change('Schedule', describeSchedule(current.schedule), describeSchedule(next.schedule));
+    change('Per-page commands', current.itemCommands ? 'On' : 'Off', next.itemCommands ? 'On' : 'Off');
+    change('Notifications', current.disabled ? 'Disabled' : 'Enabled', next.disabled ? 'Disabled' : 'Enabled');
+    change('Ignore patterns', current.ignorePatterns.join(', ') || 'None', next.ignorePatterns.join(', ') || 'None');
+    change('Calendar files', current.calendarAttachments ? 'On' : 'Off', next.calendarAttachments ? 'On' : 'Off');
+    const rule = r => `${r.page}\u0000${r.pattern}\u0000${r.on}\u0000${[...r.roles].sort()}\u0000${[...r.users].sort()}`;
+    const currentRules = new Set(current.alerts.map(rule));
+    if (current.alerts.length !== next.alerts.length || !next.alerts.every(r => currentRules.has(rule(r)))) {
+      lines.push(`**Alert rules:** ${current.alerts.length} → ${next.alerts.length}`);
+    }
+    return lines;
+  }
+
+  // Helper: explain for /why what the last notification for a page compared and what it found
+  async function explainNotification(guildId, key, entry) {
+    const { notified } = entry;
+    const patterns = guildSettings[guildId]?.ignorePatterns ?? [];
+    const short = hash => `\`${hash.slice(0, 8)}\``;
+    const lines = [
+      `Last notification: <t:${Math.floor(new Date(notified.at).getTime() / 1000)}:f> (${NOTIFY_MODE_LABELS[notified.mode] ?? notified.mode}).`,
+      notified.fromHash
+        ? `The content hash changed from ${short(notified.fromHash)} to ${short(notified.toHash)}.`
+        : `This was the first notification for the page (content hash ${short(notified.toHash)}).`,
+      `Pages are compared after removing invisible characters, making quotes plain and collapsing whitespace${patterns.length > 0 ? `, and with text matching ${patterns.map(p => `\`${p}\``).join(', ')} removed` : ''}.`,
+    ];
+    if (notified.alerts.length > 0) lines.push(`Alert rules matched: ${notified.alerts.map(p => `\`${p}\``).join(', ')}.`);
+    const current = await readDropdownCache(key);
+    lines.push(hashContent(comparableContent(guildId, current)) === entry.hash
+      ? 'The page has not changed since.'
+      : 'The page has changed since; the change goes out on the next scheduled run.');
+    if (!notified.fromHash) return lines.join('\n');
+    const [before, after] = await Promise.all([notified.fromVersionId, notified.toVersionId].map(id => id ? readHistoryVersion(id) : null));
+    if (!before || !after) {
+      lines.push('', 'The versions compared are no longer in the history, so the change cannot be shown.');
+      return lines.join('\n');
+    }
+    const diffText = formatDiff(diffLines(comparableContent(guildId, before.content), comparableContent(guildId, after.content)));
+    lines.push('', diffText ? '```diff\n' + diffText + '\n```' : 'With the current ignore patterns, these versions no longer differ.');
+    return lines.join('\n');
+  }
+
+  // Helper: one-line summary of an alert rule for lists and replies
+  function describeAlertRule(guildId, rule) {
+    const targets = [...rule.roles.map(id => `<@&${id}>`), ...rule.users.map(id => `<@${id}>`)].join(' ');
+    const when = rule.on && rule.on !== 'any' ? ` (on ${rule.on})` : '';
+    return `#${rule.id} **${pageLabel(guildId, rule.page)}**: \`${rule.pattern}\`${when} → ${targets}`;
+  }
+
+  // Helper: describe the current page-to-role mapping for the settings menu
+  function describeRoleMapping(guildId, settings) {
+    if (!settings || settings.pages.size === 0) return 'No pages are monitored yet.';
+    const lines = Array.from(settings.pages).map(key => {
+      const roleIds = settings.roles[key] ? Array.from(settings.roles[key]) : [];
+      const roleMentions = roleIds.map(id => `<@&${id}>`).join(' ');
+      return `• **${pageLabel(guildId, key)}** → ${roleMentions || 'no roles'}`;
+    });
+    return `Current page roles:\n${lines.join('\n')}`;
+  }
+
+  // Legacy per-item slash commands for the FORM_LINK form, registered only in guilds that opted in
+  // { [commandName]: pageKey }
   let commandNameToDropdownItem = {};
-  client.once(Events.ClientReady, async () => {
-    console.log('[Discord] Client ready. Registering slash commands...');
-    // Register commands dynamically
-    const usedNames = new Set();
+  let itemCommands = [];
+  function buildItemCommands() {
+    // Reserve the built-in command names so a dropdown item cannot shadow them
+    const usedNames = new Set(['settings', 'testping', 'history', 'forms', 'page', 'subscribe', 'unsubscribe', 'subscriptions', 'search', 'alerts', 'audit', 'ignore', 'why', 'calendar']);
+    const items = forms[DEFAULT_FORM_ID]?.items || [];
+    // Items keep the command name they already had, so a new item never takes over an existing command
+    const previousNames = new Map(Object.entries(commandNameToDropdownItem).map(([name, key]) => [key, name]));
+    const keptNames = new Map();
+    for (const item of items) {
+      const name = previousNames.get(pageKey(DEFAULT_FORM_ID, item));
+      if (name && !usedNames.has(name)) {
+        usedNames.add(name);
+        keptNames.set(item, name);
+      }
+    }
     commandNameToDropdownItem = {};
-    const commands = dropdownItems.map((item, idx) => {
+    itemCommands = items.map((item, idx) => {
+      if (keptNames.has(item)) {
+        commandNameToDropdownItem[keptNames.get(item)] = pageKey(DEFAULT_FORM_ID, item);
+        return { name: keptNames.get(item), description: `Get info for: ${item}` };
+      }
       let name = item
         .toLowerCase()
         .replace(/[^a-z0-9]+/g, '_')
@@ -216,101 +1195,995 @@ export const startBot = async () => {
         suffix++;
       }
       usedNames.add(uniqueName);
-      commandNameToDropdownItem[uniqueName] = item;
+      commandNameToDropdownItem[uniqueName] = pageKey(DEFAULT_FORM_ID, item);
       return {
         name: uniqueName,
         description: `Get info for: ${item}`,
       };
     });
+  }
+
+  // Register the per-item commands in a guild that opted in, or remove them from one that opted out
+  async function syncGuildItemCommands(guildId) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) return;
+    await guild.commands.set(guildSettings[guildId]?.itemCommands ? itemCommands : []);
+  }
+
+  // Re-register the per-item commands in every guild that opted in
+  async function syncAllGuildItemCommands() {
+    for (const guildId of Object.keys(guildSettings).filter(id => guildSettings[id].itemCommands)) {
+      try {
+        await syncGuildItemCommands(guildId);
+        console.log(`[Discord] Registered ${itemCommands.length} per-page commands in guild ${guildId}.`);
+      } catch (err) {
+        console.error(`[Discord] Failed to register per-page commands in guild ${guildId}:`, err);
+      }
+    }
+  }
+
+  async function registerCommands() {
+    console.log('[Discord] Client ready. Registering slash commands...');
+    buildItemCommands();
     try {
       await client.application.commands.set([
-        ...commands,
         {
-          name: 'settings',
-          description: 'Configure auto-messaging for page updates (admin/owner only)',
+          name: 'page',
+          description: 'Show the latest content of a page',
+          options: [
+            {
+              type: 3, // String
+              name: 'name',
+              description: 'The page to show (start typing to search)',
+              required: true,
+              autocomplete: true,
+            },
+          ],
         },
         {
-          name: 'testping',
-          description: 'Send a test notification to the configured channel and roles (admin/owner only)',
+          name: 'search',
+          description: 'Search the text of every page',
+          options: [
+            { type: 3, name: 'query', description: 'Words to find; put a phrase in "quotes"', required: true, min_length: 2, max_length: 100 },
+            { type: 5, name: 'history', description: 'Also search older versions of each page', required: false }, // Boolean
+          ],
         },
-      ]);
-      console.log('[Discord] Slash commands registered:', commands.map(c => c.name));
-    } catch (err) {
-      console.error('[Discord] Failed to register slash commands:', err);
-    }
-  });
-
-  // --- INTERACTION HANDLER ---
-  client.on(Events.InteractionCreate, async (interaction) => {
-    try {
-      if (interaction.isCommand() && interaction.commandName === 'settings') {
-        console.log(`[Command] /settings used by ${interaction.user.tag} in guild ${interaction.guildId}`);
-        // Allow guild admin or owner
-        if (!isGuildAdminOrOwner(interaction)) {
-          await interaction.reply({ content: 'Only a server administrator or owner can use /settings.', flags: 64 });
-          return;
-        }
-        // Show settings menu: select pages, roles, and channel
-        const pageOptions = dropdownItems.map(item => ({ label: item, value: item }));
-        const roleOptions = interaction.guild.roles.cache.filter(r => r.id !== interaction.guild.id).map(r => ({ label: r.name, value: r.id })).slice(0, 25);
-        if (pageOptions.length === 0) {
-          await interaction.reply({ content: 'No dropdown items found. The bot may not be able to scrape the source page. Please try again later or check your Railway logs.', flags: 64 });
-          return;
-        }
-        if (roleOptions.length === 0) {
-          await interaction.reply({ content: 'No roles found in this server.', flags: 64 });
-          return;
-        }
-        await interaction.reply({
-          content: 'Configure which pages to monitor and which roles to ping. Select a channel to send updates.',
-          components: [
+        {
+          name: 'subscribe',
+          description: 'Get a DM when a page changes',
+          options: [
+            { type: 3, name: 'page', description: 'The page to follow', required: true, autocomplete: true },
+          ],
+        },
+        {
+          name: 'unsubscribe',
+          description: 'Stop getting DMs for a page',
+          options: [
+            { type: 3, name: 'page', description: 'The page to stop following', required: true, autocomplete: true },
+          ],
+        },
+        {
+          name: 'subscriptions',
+          description: 'List the pages you get DMs for',
+        },
+        {
+          name: 'settings',
+          description: 'Configure auto-messaging for page updates (admins and bot managers)',
+          options: [
             {
-              type: 1, // ActionRow
-              components: [
+              type: 1, // Subcommand
+              name: 'view',
+              description: 'Show this server\'s settings with buttons to change them',
+              options: [
                 {
-                  type: 3, // StringSelect
-                  custom_id: 'select_pages',
-                  min_values: 1,
-                  max_values: Math.min(pageOptions.length, 25),
-                  options: pageOptions,
-                  placeholder: 'Select pages to monitor',
+                  type: 3,
+                  name: 'form',
+                  description: 'The form whose pages to configure (defaults to the first form)',
+                  required: false,
+                  autocomplete: true,
                 },
               ],
             },
             {
               type: 1,
-              components: [
+              name: 'export',
+              description: 'Download this server\'s settings as a JSON file',
+            },
+            {
+              type: 1,
+              name: 'import',
+              description: 'Preview and apply settings from a file made by /settings export',
+              options: [
+                { type: 11, name: 'file', description: 'The exported settings file', required: true }, // Attachment
+              ],
+            },
+          ],
+        },
+        {
+          name: 'testping',
+          description: 'Send a test notification to the configured channel and roles (admins and bot managers)',
+        },
+        {
+          name: 'history',
+          description: 'List recent versions of a page, view an old version or compare two',
+          options: [
+            {
+              type: 3, // String
+              name: 'page',
+              description: 'The page to show history for',
+              required: true,
+              autocomplete: true,
+            },
+          ],
+        },
+        {
+          name: 'alerts',
+          description: 'Ping roles or members when lines matching a keyword change on a page',
+          options: [
+            {
+              type: 1, // Subcommand
+              name: 'add',
+              description: 'Add an alert rule (admins and bot managers)',
+              options: [
+                { type: 3, name: 'page', description: 'The page to watch', required: true, autocomplete: true },
+                { type: 3, name: 'pattern', description: 'A keyword, or /regex/ for a regular expression', required: true, max_length: MAX_PATTERN_LENGTH },
                 {
                   type: 3,
-                  custom_id: 'select_roles',
-                  min_values: 0,
-                  max_values: Math.min(roleOptions.length, 25),
-                  options: roleOptions,
-                  placeholder: 'Select roles to ping (optional)',
+                  name: 'when',
+                  description: 'Which changes to matching lines fire the alert (default: any)',
+                  required: false,
+                  choices: [
+                    { name: 'Any change', value: 'any' },
+                    { name: 'Line appears', value: 'appear' },
+                    { name: 'Line changes', value: 'change' },
+                    { name: 'Line disappears', value: 'disappear' },
+                  ],
                 },
+                { type: 8, name: 'role', description: 'A role to ping', required: false }, // Role
+                { type: 6, name: 'user', description: 'A member to ping', required: false }, // User
               ],
             },
             {
               type: 1,
-              components: [
-                {
-                  type: 8, // ChannelSelect
-                  custom_id: 'select_channel',
-                  channel_types: [0], // Only text channels
-                  placeholder: 'Select a channel for updates',
-                },
+              name: 'remove',
+              description: 'Remove an alert rule (admins and bot managers)',
+              options: [
+                { type: 3, name: 'rule', description: 'The rule to remove', required: true, autocomplete: true },
+              ],
+            },
+            {
+              type: 1,
+              name: 'list',
+              description: 'List this server\'s alert rules',
+            },
+          ],
+        },
+        {
+          name: 'forms',
+          description: 'Manage the Microsoft Forms this server monitors (admins and bot managers)',
+          options: [
+            {
+              type: 1, // Subcommand
+              name: 'add',
+              description: 'Monitor another form',
+              options: [
+                { type: 3, name: 'url', description: 'The form link', required: true },
+                { type: 3, name: 'label', description: 'A short name for the form', required: true, max_length: 40 },
+              ],
+            },
+            {
+              type: 1,
+              name: 'remove',
+              description: 'Stop monitoring a form',
+              options: [
+                { type: 3, name: 'form', description: 'The form to remove', required: true, autocomplete: true },
               ],
             },
+            {
+              type: 1,
+              name: 'list',
+              description: 'List the forms this server monitors',
+            },
           ],
+        },
+        {
+          name: 'audit',
+          description: 'Review who changed the bot\'s configuration (admin/owner only)',
+          options: [
+            {
+              type: 1, // Subcommand
+              name: 'log',
+              description: 'Show the most recent changes',
+              options: [
+                { type: 6, name: 'user', description: 'Only show changes by this member', required: false }, // User
+              ],
+            },
+            {
+              type: 1,
+              name: 'channel',
+              description: 'Post every change to a channel, or stop when left empty',
+              options: [
+                { type: 7, name: 'channel', description: 'The channel for the audit log', required: false, channel_types: [0] }, // Channel
+              ],
+            },
+          ],
+        },
+        {
+          name: 'ignore',
+          description: 'Ignore text that changes on every scrape, so it never triggers a notification',
+          options: [
+            {
+              type: 1, // Subcommand
+              name: 'add',
+              description: 'Ignore text matching a pattern (admins and bot managers)',
+              options: [
+                { type: 3, name: 'pattern', description: 'A keyword, or /regex/ for a regular expression', required: true, max_length: MAX_PATTERN_LENGTH },
+              ],
+            },
+            {
+              type: 1,
+              name: 'remove',
+              description: 'Stop ignoring a pattern (admins and bot managers)',
+              options: [
+                { type: 3, name: 'pattern', description: 'The pattern to remove', required: true, autocomplete: true },
+              ],
+            },
+            {
+              type: 1,
+              name: 'list',
+              description: 'List this server\'s ignore patterns',
+            },
+          ],
+        },
+        {
+          name: 'why',
+          description: 'Show why the last notification for a page was sent (admins and bot managers)',
+          options: [
+            { type: 3, name: 'page', description: 'The page', required: true, autocomplete: true },
+          ],
+        },
+        {
+          name: 'calendar',
+          description: 'Get the dates on a page as a calendar file (.ics)',
+          options: [
+            { type: 3, name: 'page', description: 'The page', required: true, autocomplete: true },
+          ],
+        },
+      ]);
+      console.log('[Discord] Slash commands registered.');
+      readiness.commandsRegistered = true;
+    } catch (err) {
+      console.error('[Discord] Failed to register slash commands:', err);
+    }
+    await syncAllGuildItemCommands();
+  }
+  client.once(Events.ClientReady, registerCommands);
+
+  // Helper: map a custom_id or option value back to a page key of the guild's forms.
+  // Discord caps those at 100 characters, so long keys are matched by prefix.
+  function resolvePageKey(guildId, value) {
+    const keys = guildPageKeys(guildId);
+    const key = normalizePageKey(value);
+    return keys.find(k => k === key) ?? keys.find(k => k.startsWith(key)) ?? key;
+  }
+
+  // Helper: autocomplete choices for a page option, ranked by a fuzzy match on the full page name
+  function pageChoices(guildId, query) {
+    return fuzzyFilter(guildPageKeys(guildId), query, key => pageLabel(guildId, key))
+      .slice(0, 25)
+      .map(key => ({ name: pageLabel(guildId, key).slice(0, 100), value: key.slice(0, 100) }));
+  }
+
+  // Helper: the page an option refers to: a picked autocomplete choice, or the best match for typed text
+  function findPage(guildId, value) {
+    const keys = guildPageKeys(guildId);
+    const key = resolvePageKey(guildId, value);
+    if (keys.includes(key)) return key;
+    return fuzzyFilter(keys, value, k => pageLabel(guildId, k))[0] ?? null;
+  }
+
+  // Helper: render page content as an embed with one field per section.
+  // Returns null when the text has no recognizable structure, so callers post it as plain text.
+  function buildStructuredEmbed(title, content) {
+    try {
+      const fields = toEmbedFields(parsePageContent(content));
+      return fields ? { title, fields, color: 0x2b2d31 } : null;
+    } catch (err) {
+      console.warn(`[Parser] Could not parse '${title}', falling back to plain text:`, err);
+      return null;
+    }
+  }
+
+  // Helper: a page as embed messages, structured into fields when the parser recognizes it and as plain text otherwise
+  function renderPageMessages(title, content, { timestamp, footer } = {}) {
+    const structured = content ? buildStructuredEmbed(title, content) : null;
+    if (structured) {
+      return [[{ ...structured, ...(footer && { footer: { text: footer } }), ...(timestamp && { timestamp }) }]];
+    }
+    return renderEmbedMessages(content, { title, timestamp, footer });
+  }
+
+  // Helper: the dated lines of a page as an .ics attachment, or null when the page has none. Times are read in the
+  // guild's schedule time zone, and the page's last recorded version dates the events so re-imports update them.
+  async function buildPageCalendar(guildId, key, content) {
+    const { formId, item } = parsePageKey(key);
+    const now = clock.now();
+    const timeZone = guildSettings[guildId]?.schedule?.timezone ?? DEFAULT_SCHEDULE.timezone;
+    const events = extractEvents(content || '', { reference: now, timeZone, title: item });
+    if (events.length === 0) return null;
+    const latest = await storage.readLatestHistory(formId, item);
+    const ics = renderCalendar(events, {
+      key,
+      name: pageLabel(guildId, key),
+      timeZone,
+      revision: await storage.countHistory(formId, item),
+      updatedAt: latest ? new Date(latest.timestamp) : now,
+      now,
+    });
+    const fileName = item.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'page';
+    return { events, file: { attachment: Buffer.from(ics, 'utf8'), name: `${fileName}.ics` } };
+  }
+
+  // Helper: the files to attach to a page's notification: its calendar when the guild turned calendar files on
+  async function notificationFiles(guildId, key, content) {
+    if (!guildSettings[guildId]?.calendarAttachments) return [];
+    try {
+      const calendar = await buildPageCalendar(guildId, key, content);
+      return calendar ? [calendar.file] : [];
+    } catch (err) {
+      console.warn(`[Calendar] Could not build the calendar for '${key}' in guild ${guildId}:`, err);
+      return [];
+    }
+  }
+
+  // Helper: send embed messages in order with `send`, putting `extra` (mentions, buttons) on the first one only
+  async function sendEmbedMessages(send, messages, extra = {}) {
+    for (const [idx, embeds] of messages.entries()) {
+      await send(idx === 0 ? { ...extra, embeds } : { embeds }, idx);
+    }
+  }
+
+  // Helper: show embed messages as the deferred ephemeral reply and its follow-ups
+  async function replyWithEmbedMessages(interaction, messages) {
+    await sendEmbedMessages((payload, idx) => idx === 0
+      ? interaction.editReply(payload)
+      : interaction.followUp({ ...payload, flags: 64 }), messages);
+  }
+
+  // Helper: reply ephemerally with the cached content of a page
+  async function replyWithCachedContent(interaction, key) {
+    const item = pageLabel(interaction.guildId, key);
+    await interaction.deferReply({ flags: 64 });
+    try {
+      const content = await readDropdownCache(key);
+      await replyWithEmbedMessages(interaction, renderPageMessages(item, content));
+      console.log(`[Command] Served cached content for '${item}' to ${interaction.user.tag} in guild ${interaction.guildId}`);
+    } catch (err) {
+      await interaction.editReply({ embeds: [{ description: 'Failed to fetch content. Please try again later.' }] });
+      console.error(`[Command] Error serving cached content for '${item}':`, err);
+    }
+  }
+
+  // --- INTERACTION HANDLER ---
+  async function handleInteraction(interaction) {
+    if (interaction.isChatInputCommand?.()) commandsServed.inc({ command: interaction.commandName });
+    try {
+      if (interaction.isCommand() && interaction.commandName === 'settings') {
+        console.log(`[Command] /settings used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        // Allow guild admins, the owner and bot managers
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'export') {
+          await replyWithSettingsExport(interaction);
+          return;
+        }
+        if (subcommand === 'import') {
+          await replyWithImportPreview(interaction);
+          return;
+        }
+        // The page editor works on one form at a time
+        const formOption = interaction.options.getString('form');
+        const formId = formOption ? findGuildForm(interaction.guildId, formOption) : guildFormIds(interaction.guildId)[0];
+        if (!formId) {
+          await interaction.reply({ content: formOption ? `No form named "${formOption}". Use /forms list to see this server's forms.` : 'No forms configured. Use /forms add to monitor a form.', flags: 64 });
+          return;
+        }
+        await interaction.reply({ ...buildSettingsOverview(interaction.guildId, formId), flags: 64 });
+        return;
+      }
+      // --- /settings page editor (Edit button, and its Previous/Next buttons) ---
+      if (interaction.isButton() && interaction.customId.startsWith('settings_edit:')) {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const [, formId, pageIndex] = interaction.customId.split(':');
+        const editor = buildSettingsEditor(interaction.guildId, formId, Number(pageIndex) || 0);
+        if (!editor) {
+          await interaction.reply({ content: 'No dropdown items found. The bot may not be able to scrape the source page. Please try again later or check your Railway logs.', flags: 64 });
+          return;
+        }
+        // Paging edits the editor in place; the Edit button on the overview opens it
+        if (pageIndex === undefined) await interaction.reply({ ...editor, flags: 64 });
+        else await interaction.update(editor);
+        return;
+      }
+      // --- Form pickers for /settings and /forms remove ---
+      if (interaction.isAutocomplete() && (interaction.commandName === 'settings' || interaction.commandName === 'forms')) {
+        const query = String(interaction.options.getFocused() || '').toLowerCase();
+        const choices = guildFormIds(interaction.guildId)
+          .map(formId => formLabel(interaction.guildId, formId))
+          .filter(label => label.toLowerCase().includes(query))
+          .slice(0, 25)
+          .map(label => ({ name: label, value: label }));
+        await interaction.respond(choices);
+        return;
+      }
+      // --- /forms command ---
+      if (interaction.isCommand() && interaction.commandName === 'forms') {
+        const subcommand = interaction.options.getSubcommand();
+        console.log(`[Command] /forms ${subcommand} used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        if (subcommand === 'list') {
+          const lines = guildFormIds(interaction.guildId).map(formId => {
+            const url = formId === DEFAULT_FORM_ID ? env.FORM_LINK : guildSettings[interaction.guildId].forms[formId].url;
+            return `• **${formLabel(interaction.guildId, formId)}** — ${url} (${forms[formId]?.items.length ?? 0} pages)`;
+          });
+          await interaction.reply({ embeds: [{
+            title: 'Monitored forms',
+            description: (lines.join('\n') || 'No forms configured. Use /forms add to monitor a form.').slice(0, 4096),
+            color: 0x2b2d31,
+          }], flags: 64 });
+          return;
+        }
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /forms.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        if (subcommand === 'add') {
+          let url;
+          try {
+            url = validateFormUrl(interaction.options.getString('url'), formHosts);
+          } catch (err) {
+            await interaction.reply({ content: err.message, flags: 64 });
+            return;
+          }
+          const label = interaction.options.getString('label').trim();
+          const formId = formIdForUrl(url);
+          const isMainForm = formLinkFormId === formId;
+          if (isMainForm || guildFormIds(interaction.guildId).includes(formId)) {
+            await interaction.reply({ content: 'This server already monitors that form.', flags: 64 });
+            return;
+          }
+          if (findGuildForm(interaction.guildId, label)) {
+            await interaction.reply({ content: `A form named "${label}" already exists. Pick another label.`, flags: 64 });
+            return;
+          }
+          await interaction.deferReply({ flags: 64 });
+          settings.forms[formId] = { label, url };
+          guildSettings[interaction.guildId] = settings;
+          await saveSettings();
+          await recordAudit(interaction, 'formAdd', { target: label, after: url });
+          const form = await ensureFormLoaded(formId);
+          const count = form?.items.length ?? 0;
+          console.log(`[Forms] Guild ${interaction.guildId} added form ${formId} (${label}) with ${count} pages`);
+          await interaction.editReply({ content: count > 0
+            ? `Now monitoring **${label}** (${count} pages). Use \`/settings view form:${label}\` to pick its pages.`
+            : `Added **${label}**, but no dropdown items could be scraped yet. The bot will retry on the next refresh.` });
+          return;
+        }
+        if (subcommand === 'remove') {
+          const formId = findGuildForm(interaction.guildId, interaction.options.getString('form'));
+          if (!formId || !settings.forms[formId]) {
+            await interaction.reply({ content: formId === DEFAULT_FORM_ID ? 'The main form comes from the bot configuration and cannot be removed.' : 'No form with that name.', flags: 64 });
+            return;
+          }
+          const { label, url } = settings.forms[formId];
+          delete settings.forms[formId];
+          // Forget the removed form's pages, their roles and what was last sent for them
+          for (const key of Array.from(settings.pages)) {
+            if (parsePageKey(key).formId === formId) settings.pages.delete(key);
+          }
+          for (const key of Object.keys(settings.roles)) {
+            if (parsePageKey(key).formId === formId) delete settings.roles[key];
+          }
+          settings.alerts = settings.alerts.filter(rule => parsePageKey(rule.page).formId !== formId);
+          for (const key of Object.keys(lastSentContent[interaction.guildId] || {})) {
+            if (parsePageKey(key).formId === formId) delete lastSentContent[interaction.guildId][key];
+          }
+          await saveSettings();
+          await saveLastSentContent();
+          for (const [userId, sub] of Object.entries(subscriptions[interaction.guildId] || {})) {
+            const pages = Array.from(sub.pages).filter(key => parsePageKey(key).formId === formId);
+            if (pages.length === 0) continue;
+            for (const key of pages) sub.pages.delete(key);
+            await saveSubscription(interaction.guildId, userId);
+          }
+          await syncForms();
+          await recordAudit(interaction, 'formRemove', { target: label, before: url });
+          console.log(`[Forms] Guild ${interaction.guildId} removed form ${formId} (${label})`);
+          await interaction.reply({ content: `Stopped monitoring **${label}**.`, flags: 64 });
+          return;
+        }
+        return;
+      }
+      // --- /alerts command ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'alerts') {
+        if (interaction.options.getSubcommand() === 'add') {
+          await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+          return;
+        }
+        const rules = guildSettings[interaction.guildId]?.alerts || [];
+        const choices = fuzzyFilter(rules, interaction.options.getFocused(), rule => `${pageLabel(interaction.guildId, rule.page)} ${rule.pattern}`)
+          .slice(0, 25)
+          .map(rule => ({ name: `#${rule.id} ${pageLabel(interaction.guildId, rule.page)}: ${rule.pattern}`.slice(0, 100), value: rule.id }));
+        await interaction.respond(choices);
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'alerts') {
+        const subcommand = interaction.options.getSubcommand();
+        console.log(`[Command] /alerts ${subcommand} used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        if (subcommand === 'list') {
+          const rules = guildSettings[interaction.guildId]?.alerts || [];
+          await interaction.reply({ embeds: [{
+            title: 'Alert rules',
+            description: (rules.map(rule => `• ${describeAlertRule(interaction.guildId, rule)}`).join('\n') || 'No alert rules. Pages notify on every change; use /alerts add to ping only when certain lines change.').slice(0, 4096),
+            color: 0x2b2d31,
+            footer: rules.length > 0 ? { text: 'Pages with rules are only posted when a rule matches.' } : undefined,
+          }], flags: 64 });
+          return;
+        }
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can change alert rules.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        if (subcommand === 'add') {
+          const value = interaction.options.getString('page');
+          const key = findPage(interaction.guildId, value);
+          if (!key) {
+            await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+            return;
+          }
+          const pattern = interaction.options.getString('pattern').trim();
+          try {
+            compileAlertPattern(pattern);
+          } catch (err) {
+            await interaction.reply({ content: err.message, flags: 64 });
+            return;
+          }
+          const role = interaction.options.getRole('role');
+          const user = interaction.options.getUser('user');
+          if (!role && !user) {
+            await interaction.reply({ content: 'Pick a role or a member to ping when the rule matches.', flags: 64 });
+            return;
+          }
+          if (settings.alerts.length >= MAX_ALERT_RULES) {
+            await interaction.reply({ content: `A server can have up to ${MAX_ALERT_RULES} alert rules. Use /alerts remove to make room.`, flags: 64 });
+            return;
+          }
+          const on = interaction.options.getString('when') ?? 'any';
+          const id = String(Math.max(0, ...settings.alerts.map(rule => Number(rule.id) || 0)) + 1);
+          const rule = { id, page: key, pattern, on, roles: role ? [role.id] : [], users: user ? [user.id] : [] };
+          settings.alerts.push(rule);
+          guildSettings[interaction.guildId] = settings;
+          await saveSettings();
+          await recordAudit(interaction, 'alertAdd', { after: describeAlertRule(interaction.guildId, rule) });
+          console.log(`[Alerts] Guild ${interaction.guildId} added rule ${id} on '${key}': ${pattern} (${on})`);
+          const monitored = settings.pages.has(key) ? '' : '\nThis page is not monitored yet; select it in /settings for the rule to take effect.';
+          await interaction.reply({ content: `Added rule ${describeAlertRule(interaction.guildId, rule)}${monitored}`, flags: 64 });
+          return;
+        }
+        if (subcommand === 'remove') {
+          const id = interaction.options.getString('rule');
+          const rule = settings.alerts.find(r => r.id === id);
+          if (!rule) {
+            await interaction.reply({ content: 'No rule with that number. Use /alerts list to see this server\'s rules.', flags: 64 });
+            return;
+          }
+          settings.alerts = settings.alerts.filter(r => r !== rule);
+          await saveSettings();
+          await recordAudit(interaction, 'alertRemove', { before: describeAlertRule(interaction.guildId, rule) });
+          console.log(`[Alerts] Guild ${interaction.guildId} removed rule ${id}`);
+          await interaction.reply({ content: `Removed rule ${describeAlertRule(interaction.guildId, rule)}`, flags: 64 });
+          return;
+        }
+        return;
+      }
+      // --- /audit command (admins and the owner only, so bot managers cannot hide their own changes) ---
+      if (interaction.isCommand() && interaction.commandName === 'audit') {
+        if (!isGuildAdminOrOwner(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator or owner can use /audit.', flags: 64 });
+          return;
+        }
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'log') {
+          const user = interaction.options.getUser('user');
+          const entries = await storage.readAudit(interaction.guildId, { limit: AUDIT_LOG_LIMIT, actorId: user?.id });
+          const lines = [];
+          let length = 0;
+          for (const entry of entries) {
+            const line = formatAuditEntry(entry);
+            if (length + line.length + 1 > 4096) break;
+            lines.push(line);
+            length += line.length + 1;
+          }
+          await interaction.reply({ embeds: [{
+            title: user ? `Audit log: ${user.tag ?? user.id}` : 'Audit log',
+            description: lines.join('\n') || (user ? 'No changes by this member.' : 'No changes recorded yet.'),
+            color: 0x2b2d31,
+            footer: { text: `Newest first · last ${AUDIT_LOG_LIMIT} changes` },
+          }], allowedMentions: { parse: [] }, flags: 64 });
+          return;
+        }
+        if (subcommand === 'channel') {
+          const channel = interaction.options.getChannel('channel');
+          const settings = guildSettings[interaction.guildId] || createGuildSettings();
+          const before = settings.auditChannel;
+          settings.auditChannel = channel?.id ?? null;
+          guildSettings[interaction.guildId] = settings;
+          await saveSettings();
+          await recordAudit(interaction, 'auditChannel', { before: before && `<#${before}>`, after: channel && `<#${channel.id}>` });
+          console.log(`[Audit] Audit channel for guild ${interaction.guildId} set to ${settings.auditChannel}`);
+          await interaction.reply({
+            content: channel ? `Configuration changes will be posted to <#${channel.id}>.` : 'Configuration changes are no longer posted to a channel. Use /audit log to review them.',
+            flags: 64,
+          });
+          return;
+        }
+        return;
+      }
+      // --- /ignore command ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'ignore') {
+        const patterns = guildSettings[interaction.guildId]?.ignorePatterns || [];
+        const choices = fuzzyFilter(patterns, interaction.options.getFocused(), pattern => pattern)
+          .slice(0, 25)
+          .map(pattern => ({ name: pattern.slice(0, 100), value: pattern.slice(0, 100) }));
+        await interaction.respond(choices);
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'ignore') {
+        const subcommand = interaction.options.getSubcommand();
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        if (subcommand === 'list') {
+          await interaction.reply({ embeds: [{
+            title: 'Ignore patterns',
+            description: (settings.ignorePatterns.map(pattern => `• \`${pattern}\``).join('\n') || 'No ignore patterns. Every change to a monitored page notifies, except whitespace, quote style and invisible characters.').slice(0, 4096),
+            color: 0x2b2d31,
+            footer: settings.ignorePatterns.length > 0 ? { text: 'Matching text is removed from every page before it is checked for changes.' } : undefined,
+          }], flags: 64 });
+          return;
+        }
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can change ignore patterns.', flags: 64 });
+          return;
+        }
+        const pattern = interaction.options.getString('pattern').trim();
+        const previousPatterns = [...settings.ignorePatterns];
+        if (subcommand === 'add') {
+          try {
+            compileAlertPattern(pattern);
+          } catch (err) {
+            await interaction.reply({ content: err.message, flags: 64 });
+            return;
+          }
+          if (settings.ignorePatterns.includes(pattern)) {
+            await interaction.reply({ content: `\`${pattern}\` is already ignored.`, flags: 64 });
+            return;
+          }
+          if (settings.ignorePatterns.length >= MAX_IGNORE_PATTERNS) {
+            await interaction.reply({ content: `A server can have up to ${MAX_IGNORE_PATTERNS} ignore patterns. Use /ignore remove to make room.`, flags: 64 });
+            return;
+          }
+          settings.ignorePatterns.push(pattern);
+        } else if (subcommand === 'remove') {
+          if (!settings.ignorePatterns.includes(pattern)) {
+            await interaction.reply({ content: 'No such ignore pattern. Use /ignore list to see this server\'s patterns.', flags: 64 });
+            return;
+          }
+          settings.ignorePatterns = settings.ignorePatterns.filter(p => p !== pattern);
+        } else {
+          return;
+        }
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        // Changing what is ignored is not itself a change to the pages
+        await rehashLastSent(interaction.guildId, previousPatterns);
+        await recordAudit(interaction, subcommand === 'add' ? 'ignoreAdd' : 'ignoreRemove', subcommand === 'add' ? { after: pattern } : { before: pattern });
+        console.log(`[Settings] Guild ${interaction.guildId} ${subcommand === 'add' ? 'added' : 'removed'} ignore pattern ${pattern}`);
+        await interaction.reply({
+          content: subcommand === 'add'
+            ? `Text matching \`${pattern}\` is now ignored when pages are checked for changes.`
+            : `\`${pattern}\` is no longer ignored.`,
+          flags: 64,
+        });
+        return;
+      }
+      // --- /why command: how the last notification for a page came about ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'why') {
+        await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'why') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /why.', flags: 64 });
+          return;
+        }
+        const value = interaction.options.getString('page');
+        const key = findPage(interaction.guildId, value);
+        if (!key) {
+          await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+          return;
+        }
+        const pageName = pageLabel(interaction.guildId, key);
+        const entry = lastSentContent[interaction.guildId]?.[key];
+        if (!entry?.notified) {
+          await interaction.reply({ content: `No notification for **${pageName}** has been recorded yet.`, flags: 64 });
+          return;
+        }
+        await interaction.deferReply({ flags: 64 });
+        await replyWithEmbedMessages(interaction, renderEmbedMessages(await explainNotification(interaction.guildId, key, entry), { title: `Why: ${pageName}` }));
+        return;
+      }
+      // --- /calendar command: a page's dates as an .ics file ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'calendar') {
+        await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'calendar') {
+        const value = interaction.options.getString('page');
+        const key = findPage(interaction.guildId, value);
+        if (!key) {
+          await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+          return;
+        }
+        const pageName = pageLabel(interaction.guildId, key);
+        await interaction.deferReply({ flags: 64 });
+        try {
+          const calendar = await buildPageCalendar(interaction.guildId, key, await readDropdownCache(key));
+          if (!calendar) {
+            await interaction.editReply({ content: `No dates found on **${pageName}**. Lines that start with a date, such as "June 15 0800 Drill", become calendar events.` });
+            return;
+          }
+          const count = calendar.events.length;
+          await interaction.editReply({
+            content: `${count} event${count === 1 ? '' : 's'} from **${pageName}**. Import the file into your calendar; importing a newer file after the page changes updates the same events instead of adding copies.`,
+            files: [calendar.file],
+          });
+          console.log(`[Command] /calendar '${key}' served ${count} event(s) to ${interaction.user.tag} in guild ${interaction.guildId}`);
+        } catch (err) {
+          await interaction.editReply({ content: 'Failed to build the calendar. Please try again later.' });
+          console.error(`[Command] Error building the calendar for '${pageName}':`, err);
+        }
+        return;
+      }
+      // --- /page command ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'page') {
+        await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'page') {
+        const value = interaction.options.getString('name');
+        const key = findPage(interaction.guildId, value);
+        if (!key) {
+          await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+          return;
+        }
+        console.log(`[Command] /page '${key}' used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        await replyWithCachedContent(interaction, key);
+        return;
+      }
+      // --- /search command ---
+      if (interaction.isCommand() && interaction.commandName === 'search') {
+        const query = interaction.options.getString('query');
+        const includeHistory = interaction.options.getBoolean('history') ?? false;
+        console.log(`[Command] /search '${query}'${includeHistory ? ' with history' : ''} used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        await interaction.deferReply({ flags: 64 });
+        const documents = [];
+        for (const key of guildPageKeys(interaction.guildId)) {
+          const label = pageLabel(interaction.guildId, key);
+          const content = await readDropdownCache(key);
+          if (content) documents.push({ key, label, content });
+          if (!includeHistory) continue;
+          // Older versions only; the current one is already in the list
+          const currentHash = hashContent(content);
+          for (const version of await readDropdownHistory(key)) {
+            if (version.hash !== currentHash) documents.push({ key, label, content: version.content, timestamp: version.timestamp });
+          }
+        }
+        const results = searchDocuments(documents, query, SEARCH_RESULT_LIMIT);
+        if (results.length === 0) {
+          await interaction.editReply({ embeds: [{ description: `No pages mention "${query}".` }] });
+          return;
+        }
+        await interaction.editReply({ embeds: [{
+          title: `Search: ${query}`.slice(0, 256),
+          description: formatSearchResults(results),
+          color: 0x2b2d31,
+          footer: { text: `${results.length} match${results.length === 1 ? '' : 'es'}${includeHistory ? ', including older versions' : ''}. Use /page to open a page.` },
+        }] });
+        return;
+      }
+      // --- DM subscriptions ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'subscribe') {
+        await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+        return;
+      }
+      if (interaction.isAutocomplete() && interaction.commandName === 'unsubscribe') {
+        const subscribed = Array.from(subscriptions[interaction.guildId]?.[interaction.user.id]?.pages || []);
+        const choices = fuzzyFilter(subscribed, interaction.options.getFocused(), key => pageLabel(interaction.guildId, key))
+          .slice(0, 25)
+          .map(key => ({ name: pageLabel(interaction.guildId, key).slice(0, 100), value: key.slice(0, 100) }));
+        await interaction.respond(choices);
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'subscribe') {
+        const value = interaction.options.getString('page');
+        const key = findPage(interaction.guildId, value);
+        if (!key) {
+          await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+          return;
+        }
+        const sub = memberSubscription(interaction.guildId, interaction.user.id);
+        if (!sub.pages.has(key) && sub.pages.size >= MAX_SUBSCRIPTIONS) {
+          await interaction.reply({ content: `You can follow up to ${MAX_SUBSCRIPTIONS} pages. Use /unsubscribe to make room.`, flags: 64 });
+          return;
+        }
+        sub.pages.add(key);
+        // Only changes from now on are sent, not the page as it is today
+        sub.sent[key] = hashContent(comparableContent(interaction.guildId, await readDropdownCache(key)));
+        sub.dmBlocked = false;
+        // Subscriptions are sent on the guild's notification schedule, so the guild needs settings
+        if (!guildSettings[interaction.guildId]) {
+          guildSettings[interaction.guildId] = createGuildSettings();
+          await saveSettings();
+        }
+        await saveSubscription(interaction.guildId, interaction.user.id);
+        await recordAudit(interaction, 'subscribe', { target: pageLabel(interaction.guildId, key) });
+        console.log(`[Subscribe] ${interaction.user.tag} subscribed to '${key}' in guild ${interaction.guildId}`);
+        await interaction.reply({ content: `You will get a DM when **${pageLabel(interaction.guildId, key)}** changes.`, flags: 64 });
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'unsubscribe') {
+        const sub = subscriptions[interaction.guildId]?.[interaction.user.id];
+        const key = sub ? resolvePageKey(interaction.guildId, interaction.options.getString('page')) : null;
+        const match = sub && (sub.pages.has(key) ? key : fuzzyFilter(Array.from(sub.pages), interaction.options.getString('page'), k => pageLabel(interaction.guildId, k))[0]);
+        if (!match) {
+          await interaction.reply({ content: 'You are not subscribed to that page. Use /subscriptions to see your pages.', flags: 64 });
+          return;
+        }
+        sub.pages.delete(match);
+        delete sub.sent[match];
+        await saveSubscription(interaction.guildId, interaction.user.id);
+        await recordAudit(interaction, 'unsubscribe', { target: pageLabel(interaction.guildId, match) });
+        console.log(`[Subscribe] ${interaction.user.tag} unsubscribed from '${match}' in guild ${interaction.guildId}`);
+        await interaction.reply({ content: `You will no longer get DMs for **${pageLabel(interaction.guildId, match)}**.`, flags: 64 });
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'subscriptions') {
+        const sub = subscriptions[interaction.guildId]?.[interaction.user.id];
+        if (!sub || sub.pages.size === 0) {
+          await interaction.reply({ content: 'You are not subscribed to any pages. Use /subscribe to get a DM when a page changes.', flags: 64 });
+          return;
+        }
+        // Running this is how a member says their DMs are open again
+        const wasBlocked = sub.dmBlocked;
+        if (wasBlocked) {
+          sub.dmBlocked = false;
+          await saveSubscription(interaction.guildId, interaction.user.id);
+        }
+        const lines = Array.from(sub.pages).map(key => `• ${pageLabel(interaction.guildId, key)}`);
+        await interaction.reply({
+          embeds: [{
+            title: 'Your subscriptions',
+            description: lines.join('\n').slice(0, 4096),
+            color: 0x2b2d31,
+            footer: { text: wasBlocked ? 'DMs resumed. Keep DMs from this server open to receive updates.' : 'Updates are sent by DM on this server\'s notification schedule.' },
+          }],
           flags: 64,
         });
         return;
       }
+      // --- /history command ---
+      if (interaction.isAutocomplete() && interaction.commandName === 'history') {
+        await interaction.respond(pageChoices(interaction.guildId, interaction.options.getFocused()));
+        return;
+      }
+      if (interaction.isCommand() && interaction.commandName === 'history') {
+        const value = interaction.options.getString('page');
+        const key = resolvePageKey(interaction.guildId, value);
+        if (!guildPageKeys(interaction.guildId).includes(key)) {
+          await interaction.reply({ content: `No page matches "${value}".`, flags: 64 });
+          return;
+        }
+        const pageName = pageLabel(interaction.guildId, key);
+        console.log(`[Command] /history '${pageName}' used by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        await interaction.deferReply({ flags: 64 });
+        const versions = await readDropdownHistory(key);
+        if (versions.length === 0) {
+          await interaction.editReply({ embeds: [{ description: `No history recorded for **${pageName}**.` }] });
+          return;
+        }
+        const versionOptions = versions.map((v, idx) => ({
+          label: `${idx + 1}. ${new Date(v.timestamp).toISOString().replace('T', ' ').slice(0, 16)} UTC`,
+          description: `${v.hash.slice(0, 8)} · ${v.content.length} chars`,
+          value: v.id,
+        }));
+        const components = [
+          {
+            type: 1,
+            components: [
+              {
+                type: 3,
+                custom_id: 'history_view',
+                min_values: 1,
+                max_values: 1,
+                options: versionOptions,
+                placeholder: 'View a version',
+              },
+            ],
+          },
+        ];
+        if (versionOptions.length >= 2) {
+          components.push({
+            type: 1,
+            components: [
+              {
+                type: 3,
+                custom_id: 'history_compare',
+                min_values: 2,
+                max_values: 2,
+                options: versionOptions,
+                placeholder: 'Compare two versions',
+              },
+            ],
+          });
+        }
+        await interaction.editReply({
+          embeds: [{
+            title: `History: ${pageName}`,
+            description: formatHistoryList(versions),
+            color: 0x2b2d31,
+          }],
+          components,
+        });
+        return;
+      }
+      if (interaction.isStringSelectMenu() && interaction.customId === 'history_view') {
+        await interaction.deferReply({ flags: 64 });
+        const version = await readHistoryVersion(interaction.values[0]);
+        if (!version) {
+          await interaction.editReply({ embeds: [{ description: 'That version no longer exists.' }] });
+          return;
+        }
+        await replyWithEmbedMessages(interaction, renderEmbedMessages(version.content, {
+          title: `${version.item} (${version.hash.slice(0, 8)})`,
+          timestamp: new Date(version.timestamp).toISOString(),
+        }));
+        return;
+      }
+      if (interaction.isStringSelectMenu() && interaction.customId === 'history_compare') {
+        await interaction.deferReply({ flags: 64 });
+        const versions = (await Promise.all(interaction.values.map(readHistoryVersion))).filter(Boolean);
+        if (versions.length !== 2) {
+          await interaction.editReply({ embeds: [{ description: 'One of those versions no longer exists.' }] });
+          return;
+        }
+        const [older, newer] = versions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const diffText = formatDiff(diffLines(older.content, newer.content)) || 'No differences.';
+        await replyWithEmbedMessages(interaction, renderEmbedMessages('```diff\n' + diffText + '\n```', {
+          title: `${older.item}: ${older.hash.slice(0, 8)} → ${newer.hash.slice(0, 8)}`,
+        }));
+        return;
+      }
       // --- /testping command ---
       if (interaction.isCommand() && interaction.commandName === 'testping') {
         console.log(`[Command] /testping used by ${interaction.user.tag} in guild ${interaction.guildId}`);
-        if (!isGuildAdminOrOwner(interaction)) {
-          await interaction.reply({ content: 'Only a server administrator or owner can use /testping.', flags: 64 });
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /testping.', flags: 64 });
           return;
         }
         const settings = guildSettings[interaction.guildId];
@@ -324,81 +2197,377 @@ export const startBot = async () => {
           return;
         }
         let sentCount = 0;
-        for (const pageName of settings.pages) {
-          const roleIds = (settings.roles && settings.roles[pageName]) ? Array.from(settings.roles[pageName]) : [];
+        for (const key of settings.pages) {
+          const pageName = pageLabel(interaction.guildId, key);
+          const roleIds = (settings.roles && settings.roles[key]) ? Array.from(settings.roles[key]) : [];
           const roleMentions = roleIds.map(id => `<@&${id}>`).join(' ');
           let content = '';
           try {
-            content = await getContentForDropdownItem(page, pageName);
+            const { formId, item } = parsePageKey(key);
+            if (!forms[formId]) throw new Error(`Form ${formId} is not loaded`);
+            // Queued ahead of any background refresh, which may be using the same tab
+            content = await scrapeItem(forms[formId], item, 'user');
           } catch (err) {
             content = 'Failed to fetch content for this page.';
             console.error(`[TestPing] Error fetching content for ${pageName}:`, err);
           }
-          const chunks = [];
-          for (let i = 0; i < content.length; i += 1900) {
-            chunks.push(content.slice(i, i + 1900));
-          }
-          if (chunks.length === 0) {
-            await channel.send({
-              content: roleMentions || undefined,
-              embeds: [{
-                title: `Update: ${pageName}`,
-                description: 'No content found.',
-                color: 0x2b2d31,
-                timestamp: new Date().toISOString(),
-              }],
-            });
-          } else {
-            await channel.send({
-              content: roleMentions || undefined,
-              embeds: [{
-                title: `Update: ${pageName}`,
-                description: chunks[0],
-                color: 0x2b2d31,
-                timestamp: new Date().toISOString(),
-              }],
-            });
-            for (let j = 1; j < chunks.length; j++) {
-              await channel.send({
-                embeds: [{
-                  description: chunks[j],
-                  color: 0x2b2d31,
-                  timestamp: new Date().toISOString(),
-                }],
-              });
-            }
-          }
+          const messages = renderPageMessages(`Update: ${pageName}`, content, { timestamp: clock.now().toISOString() });
+          await sendEmbedMessages(payload => channel.send(payload), messages, { content: roleMentions || undefined });
           sentCount++;
         }
         console.log(`[TestPing] Sent test notifications for ${sentCount} page(s) in guild ${interaction.guildId}`);
+        await recordAudit(interaction, 'testping', { target: `${sentCount} page(s) in <#${settings.channel}>` });
         await interaction.reply({ content: `Test notification sent to <#${settings.channel}> for ${sentCount} page(s), with real content and pings.`, flags: 64 });
         return;
       }
+      // --- Bot manager role (role picker in /settings, admins and the owner only) ---
+      if (interaction.isRoleSelectMenu() && interaction.customId === 'select_manager_role') {
+        if (!isGuildAdminOrOwner(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator or owner can choose the bot manager role.', flags: 64 });
+          return;
+        }
+        const roleId = interaction.values[0] ?? null;
+        if (roleId === interaction.guild.id) {
+          await interaction.reply({ content: 'Pick a specific role; @everyone cannot be the bot manager role.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        const before = settings.managerRole;
+        settings.managerRole = roleId;
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await recordAudit(interaction, 'managerRole', { before: before && `<@&${before}>`, after: roleId && `<@&${roleId}>` });
+        console.log(`[Settings] Bot manager role for guild ${interaction.guildId} set to ${roleId}`);
+        await interaction.reply({
+          content: roleId
+            ? `Members with <@&${roleId}> can now use /settings, /forms, /alerts and /testping.`
+            : 'Bot manager role cleared. Only administrators and the owner can change the bot\'s settings.',
+          allowedMentions: { parse: [] },
+          flags: 64,
+        });
+        return;
+      }
       // Handle select menus and channel select
-      if ((interaction.isStringSelectMenu() || interaction.isChannelSelectMenu())) {
+      if (interaction.isStringSelectMenu() || interaction.isChannelSelectMenu() || interaction.isRoleSelectMenu()) {
         console.log(`[Command] Select menu used by ${interaction.user.tag} in guild ${interaction.guildId} (${interaction.customId})`);
-        if (!isGuildAdminOrOwner(interaction)) {
-          await interaction.reply({ content: 'Only a server administrator or owner can use /settings.', flags: 64 });
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
           return;
         }
-        const settings = guildSettings[interaction.guildId] || { pages: new Set(), roles: {}, channel: null };
-        if (interaction.customId === 'select_pages') {
-          settings.pages = new Set(interaction.values);
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        const pageLabels = keys => Array.from(keys).map(key => pageLabel(interaction.guildId, key));
+        const roleMentions = ids => Array.from(ids || []).map(id => `<@&${id}>`);
+        // What to record in the audit log once the change is saved
+        let audit = null;
+        if (interaction.customId.startsWith('select_pages:')) {
+          // The menu only lists one page of one form's pages, so every other monitored page is kept.
+          // Roles are kept per page, so pages dropped here get their roles back if re-added later.
+          const [, formId, pageIndex = '0'] = interaction.customId.split(':');
+          const windowKeys = settingsWindowKeys(interaction.guildId, formId, Number(pageIndex));
+          const listed = new Set(windowKeys);
+          const otherPages = Array.from(settings.pages).filter(key => !listed.has(key));
+          const chosenPages = interaction.values.map(value => windowKeys[Number(value)]).filter(Boolean);
+          audit = ['pages', { before: pageLabels(settings.pages) }];
+          settings.pages = new Set([...otherPages, ...chosenPages]);
+          audit[1].after = pageLabels(settings.pages);
           await interaction.reply({ content: `Pages to monitor updated.`, flags: 64 });
+        } else if (interaction.customId.startsWith('select_role_page:')) {
+          const [, formId, pageIndex] = interaction.customId.split(':');
+          const key = settingsWindowKeys(interaction.guildId, formId, Number(pageIndex))[Number(interaction.values[0])];
+          if (!key) {
+            await interaction.reply({ content: 'That page is no longer on the form. Open /settings again.', flags: 64 });
+            return;
+          }
+          const pageName = pageLabel(interaction.guildId, key);
+          rolePageSelections[`${interaction.guildId}:${interaction.user.id}`] = key;
+          await interaction.reply({
+            content: `Select the roles to ping for **${pageName}**.`,
+            components: [
+              {
+                type: 1,
+                components: [
+                  {
+                    type: 6, // RoleSelect, which lists and searches every role of the server
+                    custom_id: 'select_roles',
+                    min_values: 0,
+                    max_values: 25,
+                    default_values: Array.from(settings.roles[key] || []).slice(0, 25).map(id => ({ id, type: 'role' })),
+                    placeholder: 'Select roles to ping (optional)',
+                  },
+                ],
+              },
+            ],
+            flags: 64,
+          });
+          return;
         } else if (interaction.customId === 'select_roles') {
-          for (const page of settings.pages) {
-            settings.roles[page] = new Set(interaction.values);
+          const selectionKey = `${interaction.guildId}:${interaction.user.id}`;
+          const key = rolePageSelections[selectionKey];
+          if (!key) {
+            await interaction.reply({ content: 'Select a page in /settings before choosing roles.', flags: 64 });
+            return;
           }
-          await interaction.reply({ content: `Roles to ping updated.`, flags: 64 });
+          delete rolePageSelections[selectionKey];
+          // @everyone is offered by the role picker but is not a role to ping per page
+          const before = roleMentions(settings.roles[key]);
+          settings.roles[key] = new Set(interaction.values.filter(id => id !== interaction.guild.id));
+          audit = ['roles', { target: pageLabel(interaction.guildId, key), before, after: roleMentions(settings.roles[key]) }];
+          await interaction.reply({ content: `Roles to ping for **${pageLabel(interaction.guildId, key)}** updated.\n\n${describeRoleMapping(interaction.guildId, settings)}`.slice(0, 2000), flags: 64 });
         } else if (interaction.customId === 'select_channel') {
+          audit = ['channel', { before: settings.channel && `<#${settings.channel}>`, after: `<#${interaction.values[0]}>` }];
           settings.channel = interaction.values[0];
           await interaction.reply({ content: `Channel for updates set.`, flags: 64 });
+        } else if (interaction.customId === 'select_notify_mode') {
+          const before = NOTIFY_MODE_LABELS[settings.notifyMode] ?? NOTIFY_MODE_LABELS.diff;
+          const wasBoard = settings.notifyMode === 'board';
+          settings.notifyMode = ['full', 'digest', 'board'].includes(interaction.values[0]) ? interaction.values[0] : 'diff';
+          // Board messages left behind would stay pinned and never update again
+          if (wasBoard && settings.notifyMode !== 'board') await clearBoardMessages(interaction.guildId);
+          audit = ['notifyMode', { before, after: NOTIFY_MODE_LABELS[settings.notifyMode] }];
+          const replies = {
+            diff: 'Updates will show only what changed.',
+            full: 'Updates will repost the full page.',
+            digest: 'Each run will post one summary of every changed page, with a button to open each page.',
+            board: 'The bot will keep one pinned message per page up to date in the notification channel and post a short notice when a page changes.',
+          };
+          await interaction.reply({ content: replies[settings.notifyMode], flags: 64 });
         }
         guildSettings[interaction.guildId] = settings;
         await saveSettings();
+        if (audit) await recordAudit(interaction, ...audit);
         console.log(`[Settings] Updated settings for guild ${interaction.guildId}:`, guildSettings[interaction.guildId]);
         return;
       }
+      // --- Opt-in legacy per-item commands (button in /settings) ---
+      if (interaction.isButton() && interaction.customId === 'toggle_item_commands') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        settings.itemCommands = !settings.itemCommands;
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await recordAudit(interaction, 'itemCommands', { before: !settings.itemCommands, after: settings.itemCommands });
+        try {
+          await syncGuildItemCommands(interaction.guildId);
+        } catch (err) {
+          console.error(`[Settings] Failed to update per-page commands in guild ${interaction.guildId}:`, err);
+          await interaction.reply({ content: 'The setting was saved, but Discord rejected the command update. It will be retried when the bot restarts.', flags: 64 });
+          return;
+        }
+        console.log(`[Settings] Per-page commands ${settings.itemCommands ? 'enabled' : 'disabled'} in guild ${interaction.guildId}`);
+        await interaction.reply({
+          content: settings.itemCommands
+            ? `Per-page commands enabled: ${itemCommands.length} commands such as \`/${itemCommands[0]?.name ?? 'page_name'}\` are now available in this server.`
+            : 'Per-page commands disabled. Use `/page` to look up a page.',
+          flags: 64,
+        });
+        return;
+      }
+      // --- Attach calendar files to notifications (button in /settings) ---
+      if (interaction.isButton() && interaction.customId === 'toggle_calendar_attachments') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        settings.calendarAttachments = !settings.calendarAttachments;
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await recordAudit(interaction, 'calendarAttachments', { before: !settings.calendarAttachments, after: settings.calendarAttachments });
+        console.log(`[Settings] Calendar files ${settings.calendarAttachments ? 'enabled' : 'disabled'} in guild ${interaction.guildId}`);
+        await interaction.reply({
+          content: settings.calendarAttachments
+            ? 'Calendar files enabled: notifications for pages with dates now include an .ics file of those dates.'
+            : 'Calendar files disabled. Members can still get a page\'s dates with `/calendar`.',
+          flags: 64,
+        });
+        return;
+      }
+      // --- Pause or resume channel notifications (button in /settings) ---
+      if (interaction.isButton() && interaction.customId === 'toggle_notifications') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        settings.disabled = !settings.disabled;
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await recordAudit(interaction, 'notifications', {
+          before: settings.disabled ? 'Enabled' : 'Disabled',
+          after: settings.disabled ? 'Disabled' : 'Enabled',
+        });
+        console.log(`[Settings] Notifications ${settings.disabled ? 'disabled' : 'enabled'} in guild ${interaction.guildId}`);
+        await interaction.reply({
+          content: settings.disabled
+            ? 'Notifications disabled. Your pages, roles and channel are kept; use /settings to enable them again.'
+            : 'Notifications enabled. Changes since the last notification will be posted on the next scheduled run.',
+          flags: 64,
+        });
+        return;
+      }
+      // --- Reset settings (button in /settings, then a confirmation) ---
+      if (interaction.isButton() && interaction.customId.startsWith('settings_reset')) {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        if (interaction.customId === 'settings_reset') {
+          await interaction.reply({
+            content: 'Reset this server\'s settings? This clears the monitored pages, roles, channel, update style, schedule, alert rules, ignore patterns, calendar files and per-page commands, and deletes the live board messages. Forms added with /forms, the bot manager role, the audit log channel and members\' subscriptions are kept.',
+            components: [{
+              type: 1,
+              components: [
+                { type: 2, style: 4, custom_id: 'settings_reset_confirm', label: 'Reset settings' },
+                { type: 2, style: 2, custom_id: 'settings_reset_cancel', label: 'Cancel' },
+              ],
+            }],
+            flags: 64,
+          });
+          return;
+        }
+        if (interaction.customId === 'settings_reset_cancel') {
+          await interaction.update({ content: 'Reset cancelled.', components: [] });
+          return;
+        }
+        // Live board messages are deleted first; once their ids are reset nothing could find them again
+        await clearBoardMessages(interaction.guildId);
+        // Who may change the bot and where changes are logged survive a reset, so a reset is always audited
+        const { forms: guildForms = {}, managerRole = null, auditChannel = null } = guildSettings[interaction.guildId] ?? {};
+        guildSettings[interaction.guildId] = { ...createGuildSettings(), forms: guildForms, managerRole, auditChannel };
+        delete lastSentContent[interaction.guildId];
+        await saveSettings();
+        await storage.saveLastSentContent(interaction.guildId, {});
+        await recordAudit(interaction, 'reset');
+        try {
+          await syncGuildItemCommands(interaction.guildId);
+        } catch (err) {
+          console.error(`[Settings] Failed to remove per-page commands in guild ${interaction.guildId}:`, err);
+        }
+        console.log(`[Settings] Settings reset in guild ${interaction.guildId} by ${interaction.user.tag}`);
+        await interaction.update({ content: 'Settings reset. Use /settings to configure the bot again.', components: [] });
+        return;
+      }
+      // --- Apply or cancel a previewed /settings import ---
+      if (interaction.isButton() && interaction.customId.startsWith('settings_import_')) {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const importKey = `${interaction.guildId}:${interaction.user.id}`;
+        const pending = pendingImports[importKey];
+        delete pendingImports[importKey];
+        if (interaction.customId === 'settings_import_cancel') {
+          await interaction.update({ content: 'Import cancelled.', embeds: [], components: [] });
+          return;
+        }
+        if (!pending) {
+          await interaction.update({ content: 'This import is no longer pending. Run /settings import again.', embeds: [], components: [] });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        const before = `${settings.pages.size} pages, ${settings.alerts.length} alert rules`;
+        const previousPatterns = settings.ignorePatterns;
+        const { pages, roles, channel, notifyMode, schedule, itemCommands, disabled, ignorePatterns, calendarAttachments, alerts } = pending.settings;
+        // Roles of pages the file does not mention are kept, as when pages are unselected in /settings
+        Object.assign(settings, {
+          pages: new Set(pages),
+          roles: { ...settings.roles, ...Object.fromEntries(Object.entries(roles).map(([key, ids]) => [key, new Set(ids)])) },
+          channel,
+          notifyMode,
+          schedule,
+          itemCommands,
+          disabled,
+          ignorePatterns,
+          calendarAttachments,
+          alerts,
+        });
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await rehashLastSent(interaction.guildId, previousPatterns);
+        await recordAudit(interaction, 'import', { target: pending.fileName, before, after: `${settings.pages.size} pages, ${settings.alerts.length} alert rules` });
+        try {
+          await syncGuildItemCommands(interaction.guildId);
+        } catch (err) {
+          console.error(`[Settings] Failed to update per-page commands in guild ${interaction.guildId}:`, err);
+        }
+        console.log(`[Settings] Imported ${pending.fileName} into guild ${interaction.guildId} by ${interaction.user.tag}`);
+        await interaction.update({ content: 'Settings imported. Use /settings view to review them.', embeds: [], components: [] });
+        return;
+      }
+      // --- Notification schedule editor (button in /settings opens a modal) ---
+      if (interaction.isButton() && interaction.customId === 'edit_schedule') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        const current = guildSettings[interaction.guildId]?.schedule;
+        await interaction.showModal({
+          custom_id: 'schedule_modal',
+          title: 'Notification schedule',
+          components: [
+            {
+              type: 1,
+              components: [{
+                type: 4, // TextInput
+                custom_id: 'schedule_expression',
+                label: 'Schedule',
+                style: 1, // Short
+                placeholder: 'on change | 15:30-22:00 every 30 | cron */30 15-21 * * 1-5',
+                value: formatScheduleInput(current),
+                required: true,
+              }],
+            },
+            {
+              type: 1,
+              components: [{
+                type: 4,
+                custom_id: 'schedule_timezone',
+                label: 'Time zone (IANA)',
+                style: 1,
+                placeholder: 'America/Chicago',
+                value: current?.timezone ?? DEFAULT_SCHEDULE.timezone,
+                required: false,
+              }],
+            },
+          ],
+        });
+        return;
+      }
+      if (interaction.isModalSubmit() && interaction.customId === 'schedule_modal') {
+        if (!canManageBot(interaction)) {
+          await interaction.reply({ content: 'Only a server administrator, owner or bot manager can use /settings.', flags: 64 });
+          return;
+        }
+        let schedule;
+        try {
+          schedule = parseScheduleInput(
+            interaction.fields.getTextInputValue('schedule_expression'),
+            interaction.fields.getTextInputValue('schedule_timezone'),
+          );
+        } catch (err) {
+          await interaction.reply({ content: err.message, flags: 64 });
+          return;
+        }
+        const settings = guildSettings[interaction.guildId] || createGuildSettings();
+        const before = describeSchedule(settings.schedule);
+        settings.schedule = schedule;
+        guildSettings[interaction.guildId] = settings;
+        await saveSettings();
+        await recordAudit(interaction, 'schedule', { before, after: describeSchedule(schedule) });
+        console.log(`[Settings] Schedule for guild ${interaction.guildId} set to:`, schedule);
+        await interaction.reply({ content: `Notification schedule set: ${describeSchedule(schedule)}.`, flags: 64 });
+        return;
+      }
+      // "Show full page" button on diff notifications
+      if (interaction.isButton() && interaction.customId.startsWith(SHOW_FULL_PAGE_PREFIX)) {
+        const key = resolvePageKey(interaction.guildId, interaction.customId.slice(SHOW_FULL_PAGE_PREFIX.length));
+        console.log(`[Command] Full page requested for '${key}' by ${interaction.user.tag} in guild ${interaction.guildId}`);
+        await replyWithCachedContent(interaction, key);
+        return;
+      }
       if (!interaction.isCommand()) return;
       const commandName = interaction.commandName;
       const item = commandNameToDropdownItem[commandName];
@@ -407,162 +2576,498 @@ export const startBot = async () => {
         console.warn(`[Command] Unknown command: ${commandName}`);
         return;
       }
-      await interaction.deferReply({ flags: 64 });
-      try {
-        const content = await readDropdownCache(item);
-        const chunks = [];
-        for (let i = 0; i < content.length; i += 1900) {
-          chunks.push(content.slice(i, i + 1900));
-        }
-        if (chunks.length === 0) {
-          await interaction.editReply({ embeds: [{ description: 'No content found.' }] });
-        } else {
-          await interaction.editReply({ embeds: [{
-            title: item,
-            description: chunks[0],
-            color: 0x2b2d31
-          }] });
-          for (let j = 1; j < chunks.length; j++) {
-            await interaction.followUp({ embeds: [{
-              description: chunks[j],
-              color: 0x2b2d31
-            }], flags: 64 });
-          }
-        }
-        console.log(`[Command] Served cached content for '${item}' to ${interaction.user.tag} in guild ${interaction.guildId}`);
-      } catch (err) {
-        await interaction.editReply({ embeds: [{ description: 'Failed to fetch content. Please try again later.' }] });
-        console.error(`[Command] Error serving cached content for '${item}':`, err);
-      }
+      await replyWithCachedContent(interaction, item);
     } catch (err) {
       console.error('[Interaction] Unhandled error:', err);
     }
-  });
+  }
+  client.on(Events.InteractionCreate, handleInteraction);
 
-  async function runNotificationJob() {
-    for (const [guildId, settings] of Object.entries(guildSettings)) {
-      if (!settings.channel || !settings.pages || settings.pages.size === 0) continue;
+  async function runNotificationJob(guildIds = Object.keys(guildSettings)) {
+    for (const guildId of guildIds) {
+      await notifySubscribers(guildId);
+      const settings = guildSettings[guildId];
+      if (!settings || settings.disabled || !settings.channel || !settings.pages || settings.pages.size === 0) continue;
       const guild = client.guilds.cache.get(guildId);
       if (!guild) continue;
       const channel = guild.channels.cache.get(settings.channel);
       if (!channel || channel.type !== 0) continue;
       if (!lastSentContent[guildId]) lastSentContent[guildId] = {};
-      for (const pageName of settings.pages) {
+      // Changed pages gathered for the digest, which is posted once every page was checked
+      const digest = [];
+      if (settings.notifyMode === 'board') await pruneBoardMessages(guildId, channel);
+      for (const key of settings.pages) {
+        const pageName = pageLabel(guildId, key);
         let content = '';
         try {
-          content = await readDropdownCache(pageName);
+          content = await readDropdownCache(key);
         } catch (err) {
           console.error(`[Notify] Error reading cache for ${pageName} in guild ${guildId}:`, err);
           continue; // skip on error
         }
-        if (content && content !== lastSentContent[guildId][pageName]) {
-          const roleIds = (settings.roles && settings.roles[pageName]) ? Array.from(settings.roles[pageName]) : [];
-          const roleMentions = roleIds.map(id => `<@&${id}>`).join(' ');
-          const chunks = [];
-          for (let i = 0; i < content.length; i += 1900) {
-            chunks.push(content.slice(i, i + 1900));
+        // Pages are compared by the hash of their normalized text, so whitespace, quote and ignored changes never notify
+        const sent = lastSentContent[guildId][key];
+        const normalized = comparableContent(guildId, content);
+        const hash = hashContent(normalized);
+        const changed = !!content && hash !== sent?.hash;
+        // The board always shows the current content, whether or not the change is announced
+        const boardMessage = settings.notifyMode === 'board' && content
+          ? await syncBoardMessage(guildId, channel, key, content, changed)
+          : null;
+        if (!changed && content && sent?.content !== undefined) {
+          // A page unchanged since text was stored still moves to a history reference
+          await markSent(guildId, key, content, hash);
+          await saveLastSentContent();
+        }
+        if (changed) {
+          // Diffs and alert rules work on the normalized text of both versions
+          const previousText = await lastSentText(sent);
+          const previous = previousText === undefined ? undefined : comparableContent(guildId, previousText);
+          const notified = { at: clock.now().toISOString(), mode: settings.notifyMode, fromVersionId: sent?.versionId ?? null, fromHash: sent?.hash ?? null, toHash: hash, alerts: [] };
+          const roleIds = (settings.roles && settings.roles[key]) ? Array.from(settings.roles[key]) : [];
+          let mentions = roleIds.map(id => `<@&${id}>`);
+          let alertText = '';
+          // Pages with alert rules are only posted when a rule matches, pinging that rule's roles and members
+          const rules = settings.alerts.filter(rule => rule.page === key);
+          if (rules.length > 0) {
+            const fired = matchAlertRules(rules, previous, normalized);
+            if (fired.length === 0) {
+              console.log(`[Notify] '${pageName}' changed in guild ${guildId} but matched no alert rule; not posting.`);
+              await markSent(guildId, key, content, hash);
+              await saveLastSentContent();
+              continue;
+            }
+            notified.alerts = fired.map(({ rule }) => rule.pattern);
+            mentions = Array.from(new Set(fired.flatMap(({ rule }) => [...rule.roles.map(id => `<@&${id}>`), ...rule.users.map(id => `<@${id}>`)])));
+            alertText = fired.map(describeAlertMatches).join('\n');
           }
-          if (chunks.length === 0) {
-            await channel.send({
-              content: roleMentions || undefined,
-              embeds: [{
-                title: `Update: ${pageName}`,
-                description: 'No content found.',
-                color: 0x2b2d31,
-                timestamp: new Date().toISOString(),
-              }],
-            });
-          } else {
-            await channel.send({
-              content: roleMentions || undefined,
-              embeds: [{
-                title: `Update: ${pageName}`,
-                description: chunks[0],
-                color: 0x2b2d31,
-                timestamp: new Date().toISOString(),
-              }],
-            });
-            for (let j = 1; j < chunks.length; j++) {
+          const roleMentions = [mentions.join(' '), alertText].filter(Boolean).join('\n').slice(0, 2000);
+          // Diff mode posts only what changed; the first notification for a page has nothing to diff against
+          const useDiff = settings.notifyMode !== 'full' && !!previous;
+          const changes = useDiff ? diffLines(previous, normalized) : null;
+          const diffText = useDiff ? formatDiff(changes) : '';
+          if (useDiff && !diffText) {
+            // Only blank lines or trailing spaces moved; nothing worth pinging for
+            await markSent(guildId, key, content, hash);
+            await saveLastSentContent();
+            continue;
+          }
+          if (settings.notifyMode === 'digest') {
+            digest.push({ key, pageName, content, hash, notified, changes, mentions, alertText, files: await notificationFiles(guildId, key, content) });
+            continue;
+          }
+          if (settings.notifyMode === 'board') {
+            // A page new to the board has nothing to announce
+            if (changes) {
+              const link = boardMessage ? ` [View the board](${boardMessage.url})` : '';
+              const files = await notificationFiles(guildId, key, content);
               await channel.send({
+                content: roleMentions || undefined,
+                ...(files.length > 0 && { files }),
                 embeds: [{
-                  description: chunks[j],
+                  description: `**${pageName}** was updated: ${diffText.split('\n')[0]}.${link}`,
                   color: 0x2b2d31,
-                  timestamp: new Date().toISOString(),
+                  timestamp: clock.now().toISOString(),
                 }],
               });
+              notificationsSent.inc({ mode: 'board' });
             }
+            await markSent(guildId, key, content, hash, changes ? notified : null);
+            await saveLastSentContent();
+            console.log(`[Notify] Updated board for '${pageName}' in guild ${guildId}`);
+            continue;
+          }
+          const timestamp = clock.now().toISOString();
+          const files = await notificationFiles(guildId, key, content);
+          if (diffText) {
+            const messages = renderEmbedMessages('```diff\n' + diffText + '\n```', { title: `Changes: ${pageName}`, timestamp });
+            await sendEmbedMessages(payload => channel.send(payload), messages, {
+              content: roleMentions || undefined,
+              ...(files.length > 0 && { files }),
+              components: [{
+                type: 1,
+                components: [{
+                  type: 2, // Button
+                  style: 2, // Secondary
+                  label: 'Show full page',
+                  custom_id: `${SHOW_FULL_PAGE_PREFIX}${key}`.slice(0, 100),
+                }],
+              }],
+            });
+          } else {
+            const messages = renderPageMessages(`Update: ${pageName}`, content, { timestamp });
+            await sendEmbedMessages(payload => channel.send(payload), messages, { content: roleMentions || undefined, ...(files.length > 0 && { files }) });
           }
-          lastSentContent[guildId][pageName] = content;
+          await markSent(guildId, key, content, hash, notified);
           await saveLastSentContent();
+          notificationsSent.inc({ mode: diffText ? 'diff' : 'full' });
           console.log(`[Notify] Sent update for '${pageName}' in guild ${guildId} to channel ${settings.channel}`);
         }
       }
+      if (digest.length > 0) {
+        await sendDigest(guildId, channel, digest);
+        for (const { key, content, hash, notified } of digest) await markSent(guildId, key, content, hash, notified);
+        await saveLastSentContent();
+      }
+    }
+  }
+
+  // The pinned board message of a page: the page as rendered for notifications, without pings.
+  // A page too long for one message shows its first part.
+  function renderBoardMessage(guildId, key, content) {
+    const [embeds, ...rest] = renderPageMessages(pageLabel(guildId, key), content, {
+      timestamp: clock.now().toISOString(),
+      footer: 'Live board · edited when the page changes',
+    });
+    return {
+      content: rest.length > 0 ? 'This page is too long to show in full here. Use /page to read the rest.' : null,
+      embeds,
+      allowedMentions: { parse: [] },
+    };
+  }
+
+  // Keep a page's board message in line with its content, posting and pinning a new one if it is missing or was
+  // deleted. Returns the message, or null if it could not be posted.
+  async function syncBoardMessage(guildId, channel, key, content, changed) {
+    const settings = guildSettings[guildId];
+    const pageName = pageLabel(guildId, key);
+    let message = null;
+    if (settings.boardMessages[key]) {
+      try {
+        message = await channel.messages.fetch(settings.boardMessages[key]);
+      } catch (err) {
+        if (err.code !== UNKNOWN_MESSAGE_ERROR_CODE) {
+          console.error(`[Board] Error fetching the board message for '${pageName}' in guild ${guildId}:`, err);
+          return null;
+        }
+        console.warn(`[Board] Board message for '${pageName}' in guild ${guildId} was deleted; posting a new one.`);
+      }
+    }
+    try {
+      if (message) {
+        if (changed) await message.edit(renderBoardMessage(guildId, key, content));
+        return message;
+      }
+      message = await channel.send(renderBoardMessage(guildId, key, content));
+    } catch (err) {
+      console.error(`[Board] Error updating the board message for '${pageName}' in guild ${guildId}:`, err);
+      return null;
+    }
+    settings.boardMessages[key] = message.id;
+    await saveSettings();
+    try {
+      await message.pin();
+    } catch (err) {
+      console.warn(`[Board] Could not pin the board message for '${pageName}' in guild ${guildId} (missing Manage Messages?):`, err.message);
+    }
+    return message;
+  }
+
+  // Delete the board messages of pages the guild no longer monitors
+  async function pruneBoardMessages(guildId, channel) {
+    const settings = guildSettings[guildId];
+    const stale = Object.keys(settings.boardMessages).filter(key => !settings.pages.has(key));
+    if (stale.length === 0) return;
+    await deleteBoardMessages(guildId, channel, stale);
+  }
+
+  // Delete every board message of a guild, when it leaves board mode or resets its settings. Ids are forgotten even
+  // when the channel is gone, since nothing could reach those messages again.
+  async function clearBoardMessages(guildId) {
+    const settings = guildSettings[guildId];
+    const keys = Object.keys(settings?.boardMessages ?? {});
+    if (keys.length === 0) return;
+    const channel = settings.channel ? client.guilds.cache.get(guildId)?.channels.cache.get(settings.channel) : null;
+    if (channel?.type === 0) {
+      await deleteBoardMessages(guildId, channel, keys);
+    } else {
+      settings.boardMessages = {};
+      await saveSettings();
+    }
+  }
+
+  async function deleteBoardMessages(guildId, channel, keys) {
+    const settings = guildSettings[guildId];
+    for (const key of keys) {
+      try {
+        const message = await channel.messages.fetch(settings.boardMessages[key]);
+        await message.delete();
+      } catch (err) {
+        if (err.code !== UNKNOWN_MESSAGE_ERROR_CODE) console.warn(`[Board] Could not delete the board message for '${key}' in guild ${guildId}:`, err.message);
+      }
+      delete settings.boardMessages[key];
+    }
+    await saveSettings();
+  }
+
+  // Post one summary of every page that changed in a run: each role or member is pinged once, each page gets a
+  // short preview, and buttons open the full pages
+  async function sendDigest(guildId, channel, entries) {
+    const mentions = Array.from(new Set(entries.flatMap(entry => entry.mentions)));
+    const sections = entries.map(({ pageName, content, changes, alertText }) => {
+      // formatDiff starts with an "N added, N removed, N changed" summary line
+      const [summary, ...lines] = changes ? formatDiff(changes).split('\n') : ['new', ...content.split('\n').filter(line => line.trim())];
+      const heading = `**${pageName}** · ${summary}`;
+      const preview = lines.slice(0, DIGEST_PREVIEW_LINES).map(line => line.slice(0, 200));
+      if (lines.length > DIGEST_PREVIEW_LINES) preview.push(`… ${lines.length - DIGEST_PREVIEW_LINES} more line${lines.length - DIGEST_PREVIEW_LINES === 1 ? '' : 's'}`);
+      const body = changes ? '```diff\n' + preview.join('\n') + '\n```' : preview.map(line => `> ${line}`).join('\n');
+      return [heading, alertText, body].filter(Boolean).join('\n');
+    });
+    // Discord allows 5 rows of 5 buttons; pages past that are reached with /page
+    const buttons = entries.slice(0, 25).map(({ key, pageName }) => ({
+      type: 2, // Button
+      style: 2, // Secondary
+      label: pageName.slice(0, 80),
+      custom_id: `${SHOW_FULL_PAGE_PREFIX}${key}`.slice(0, 100),
+    }));
+    const components = [];
+    for (let i = 0; i < buttons.length; i += 5) components.push({ type: 1, components: buttons.slice(i, i + 5) });
+    const messages = renderEmbedMessages(sections.join('\n\n'), {
+      title: `${entries.length} page${entries.length === 1 ? '' : 's'} changed`,
+      timestamp: clock.now().toISOString(),
+      footer: entries.length > buttons.length ? 'Use /page to open pages without a button.' : undefined,
+    });
+    // Discord allows 10 files per message
+    const files = entries.flatMap(entry => entry.files ?? []).slice(0, 10);
+    await sendEmbedMessages(payload => channel.send(payload), messages, {
+      content: mentions.join(' ').slice(0, 2000) || undefined,
+      components,
+      ...(files.length > 0 && { files }),
+    });
+    notificationsSent.inc({ mode: 'digest' });
+    console.log(`[Notify] Sent digest of ${entries.length} page(s) in guild ${guildId} to channel ${channel.id}`);
+  }
+
+  // DM each subscriber of a guild about subscribed pages that changed since their last DM
+  async function notifySubscribers(guildId) {
+    for (const [userId, sub] of Object.entries(subscriptions[guildId] || {})) {
+      if (sub.dmBlocked) continue;
+      let touched = false;
+      for (const key of sub.pages) {
+        let content;
+        try {
+          content = await readDropdownCache(key);
+        } catch (err) {
+          console.error(`[Subscribe] Error reading cache for ${key} in guild ${guildId}:`, err);
+          continue;
+        }
+        const hash = hashContent(comparableContent(guildId, content));
+        if (!content || sub.sent[key] === hash) continue;
+        if (sub.sent[key] === hashContent(content)) {
+          // Saved before subscriptions hashed normalized content; the page has not changed
+          sub.sent[key] = hash;
+          touched = true;
+          continue;
+        }
+        const result = await sendSubscriptionDm(guildId, userId, key, content);
+        // A failed send is retried next run; a bounced one is not, so the fallback notice is posted once
+        if (result === 'failed') continue;
+        sub.sent[key] = hash;
+        touched = true;
+        if (result === 'blocked') {
+          sub.dmBlocked = true;
+          break;
+        }
+      }
+      if (touched) await saveSubscription(guildId, userId);
     }
   }
 
-  // Scheduler: check every minute if it's a scheduled time in Central Time, and run the job if so
-  let lastMinuteChecked = null;
-  function getCentralTimeParts(date = new Date()) {
-    // Use Intl.DateTimeFormat to get hour and minute in America/Chicago
-    const fmt = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Chicago',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
+  // Returns 'sent', 'blocked' (the member's DMs are closed) or 'failed'
+  async function sendSubscriptionDm(guildId, userId, key, content) {
+    const guild = client.guilds.cache.get(guildId);
+    const pageName = pageLabel(guildId, key);
+    const messages = renderPageMessages(`Update: ${pageName}`, content, {
+      timestamp: clock.now().toISOString(),
+      footer: `${guild?.name ?? 'Your server'} · Use /unsubscribe there to stop these DMs`,
     });
-    const parts = fmt.formatToParts(date);
-    const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
-    const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
-    return { hour, minute };
+    try {
+      const user = await client.users.fetch(userId);
+      await sendEmbedMessages(payload => user.send(payload), messages);
+      notificationsSent.inc({ mode: 'dm' });
+      console.log(`[Subscribe] Sent DM about '${pageName}' to user ${userId}`);
+      return 'sent';
+    } catch (err) {
+      if (err.code !== DM_CLOSED_ERROR_CODE) {
+        console.error(`[Subscribe] Error sending DM about '${pageName}' to user ${userId}:`, err);
+        return 'failed';
+      }
+    }
+    // DMs are closed: tell the member once in the guild's notification channel, if there is one
+    console.warn(`[Subscribe] User ${userId} has DMs closed; pausing their subscriptions in guild ${guildId}.`);
+    const channel = guild?.channels.cache.get(guildSettings[guildId]?.channel);
+    if (channel && channel.type === 0) {
+      try {
+        await channel.send({
+          content: `<@${userId}> I couldn't DM you about changes to **${pageName}**. Allow DMs from this server and run /subscriptions to resume, or use /unsubscribe.`,
+          allowedMentions: { users: [userId] },
+        });
+      } catch (err) {
+        console.error(`[Subscribe] Error posting DM fallback for user ${userId} in guild ${guildId}:`, err);
+      }
+    }
+    return 'blocked';
   }
 
+  // Scheduler: check every minute which guilds' schedules are due, and run the job for those guilds
+  // Last minute (epoch minutes) each guild was notified on its schedule, so a minute never runs twice
+  const lastScheduledRun = {};
   async function notificationScheduler() {
-    const now = new Date();
-    const { hour, minute } = getCentralTimeParts(now);
-    const nowMinutes = hour * 60 + minute;
-    // Allowed times: 15:33, 16:03, 16:33, ..., 22:00 (Central Time)
-    let allowed = false;
-    let t = 15 * 60 + 33;
-    while (t <= 22 * 60) {
-      if (nowMinutes === t) {
-        allowed = true;
-        break;
+    const now = clock.now();
+    const minuteKey = Math.floor(now.getTime() / 60000);
+    const dueGuildIds = [];
+    for (const [guildId, settings] of Object.entries(guildSettings)) {
+      let due = false;
+      try {
+        due = isScheduleDue(settings.schedule ?? DEFAULT_SCHEDULE, now);
+      } catch (err) {
+        console.error(`[Scheduler] Invalid schedule for guild ${guildId}:`, err);
+      }
+      if (due && lastScheduledRun[guildId] !== minuteKey) {
+        lastScheduledRun[guildId] = minuteKey;
+        dueGuildIds.push(guildId);
+      }
+    }
+    if (dueGuildIds.length > 0) {
+      console.log(`[Scheduler] Running notification job for ${dueGuildIds.length} guild(s) at ${now.toISOString()}`);
+      try {
+        await runNotificationJob(dueGuildIds);
+      } catch (err) {
+        console.error('[Scheduler] Error during notification job:', err);
       }
-      t += 30;
     }
-    if (allowed && lastMinuteChecked !== nowMinutes) {
-      console.log(`[Scheduler] Running notification job at ${hour}:${minute} (Central Time)`);
-      await runNotificationJob();
-      lastMinuteChecked = nowMinutes;
+    schedulerTimer = clock.setTimeout(notificationScheduler, 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds()));
+  }
+
+  // Component states reported by /healthz
+  async function checkHealth() {
+    let storageOk = false;
+    try {
+      await storage.ping();
+      storageOk = true;
+    } catch (err) {
+      console.error('[HTTP] Storage health check failed:', err);
+    }
+    return {
+      discord: { ok: client.isReady?.() ?? false },
+      storage: { ok: storageOk, backend: storage.name },
+      browser: { ok: !!browser && (browser.isConnected?.() ?? true) },
+    };
+  }
+
+  /**
+   * Connects storage, loads state, launches the browser, starts the timers and logs in to Discord.
+   * @throws {Error} If the bot token is missing or login fails.
+   */
+  async function start() {
+    const token = env.DISCORD_TOKEN;
+    if (!token) {
+      throw new Error('Missing DISCORD_TOKEN in environment variables.');
+    }
+    if (!storage) storage = createStorage(env);
+    await storage.init();
+    await loadState();
+
+    // Serve health checks and metrics while the rest of startup runs
+    if (env.PORT !== undefined && env.PORT !== '') {
+      httpServer = startHttpServer({ port: env.PORT, health: checkHealth, readiness: () => ({ ...readiness }), metrics: () => metrics.render() });
+      console.log(`[HTTP] Health and metrics server listening on port ${httpServer.port}.`);
+    }
+
+    // Launch browser, load dropdown items, and cache at startup
+    try {
+      await launchBrowserAndPages();
+      await updateAllDropdownCache();
+    } catch (err) {
+      console.error('[Startup] Error during initial browser launch or cache update:', err);
+    }
+
+    // Refresh page, dropdown items, and cache every 5 minutes
+    refreshTimer = clock.setInterval(async () => {
+      try {
+        await refreshPageAndUpdateCache();
+      } catch (err) {
+        console.error('[Interval] Error during page refresh or cache update:', err);
+      }
+    }, 5 * 60 * 1000);
+
+    notificationScheduler();
+
+    // Log environment variables at startup (do not log secrets)
+    console.log('[Env] DISCORD_TOKEN loaded:', token ? 'yes' : 'no');
+    console.log('[Env] FORM_LINK:', env.FORM_LINK);
+    console.log('[Env] Storage backend:', storage.name);
+
+    try {
+      await client.login(token);
+      console.log('[Discord] Bot logged in and running.');
+    } catch (err) {
+      console.error('[Discord] Login failed:', err);
+      throw err;
     }
-    setTimeout(notificationScheduler, 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds()));
   }
-  notificationScheduler();
 
-  // Log environment variables at startup (do not log secrets)
-  console.log('[Env] DISCORD_TOKEN loaded:', !!process.env.DISCORD_TOKEN ? 'yes' : 'no');
-  console.log('[Env] FORM_LINK:', process.env.FORM_LINK);
+  /**
+   * Stops the timers and closes the browser, Discord client and storage.
+   */
+  async function stop() {
+    httpServer?.stop(true);
+    httpServer = null;
+    if (refreshTimer) clock.clearInterval(refreshTimer);
+    if (schedulerTimer) clock.clearTimeout(schedulerTimer);
+    refreshTimer = null;
+    schedulerTimer = null;
+    const closing = browser;
+    browser = null;
+    if (closing) await closing.close();
+    if (client.destroy) await client.destroy();
+    if (storage) await storage.close();
+  }
+
+  return {
+    client,
+    start,
+    stop,
+    handleInteraction,
+    registerCommands,
+    runNotificationJob,
+    refreshPageAndUpdateCache,
+    guildSettings,
+    lastSentContent,
+    scrapeStatus,
+    subscriptions,
+    forms,
+    metrics,
+    readiness,
+    get httpServer() {
+      return httpServer;
+    },
+  };
+}
+
+/**
+ * Initializes and starts the Discord bot.
+ * @param {object} [deps] - Optional dependencies, see createBot.
+ * @returns {Promise<import('discord.js').Client>} The logged-in client.
+ * @throws {Error} If the bot token is missing or login fails.
+ * @author zevinDev
+ */
+export const startBot = async (deps = {}) => {
+  const bot = createBot(deps);
+  await bot.start();
 
   process.on('unhandledRejection', (err) => {
     console.error('[Process] Unhandled rejection:', err);
   });
 
-  try {
-    await client.login(token);
-    console.log('[Discord] Bot logged in and running.');
-  } catch (err) {
-    console.error('[Discord] Login failed:', err);
-    throw err;
-  }
-
   process.on('SIGINT', async () => {
     console.log('[Shutdown] SIGINT received. Closing browser and exiting...');
-    if (browser) await browser.close();
+    await bot.stop();
     process.exit(0);
   });
   process.on('SIGTERM', async () => {
     console.log('[Shutdown] SIGTERM received. Closing browser and exiting...');
-    if (browser) await browser.close();
+    await bot.stop();
     process.exit(0);
   });
 
@@ -577,7 +3082,7 @@ export const startBot = async () => {
   // Add a log at the end of startBot to confirm the bot is running
   console.log('[Bot] startBot function completed, bot should be running.');
 
-  return client;
+  return bot.client;
 };
 
 // Start the bot if this file is run directly
@@ -0,0 +1,243 @@
+// src/calendar.js
+// Author: zevinDev
+
+import { createHash } from 'node:crypto';
+import { parsePageContent, matchLeadingDate } from './parser.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const LEADING_WEEKDAY = /^(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i;
+
+// One time of day: 14:30, 2:30 pm, 2pm, or military 1430 (optionally "hrs")
+const TIME = '(?:\\d{1,2}:\\d{2}(?:\\s*[ap]\\.?m\\.?)?|\\d{1,2}\\s*[ap]\\.?m\\.?|(?:[01]\\d|2[0-3])[0-5]\\d(?:\\s*(?:hrs?|hours)\\b)?)';
+// A time or a range of times, with the word that introduces it
+const TIME_RANGE = new RegExp(`(?:\\b(?:at|from)\\s+|@\\s*)?(?<![\\w:/])(${TIME})(?:\\s*(?:-|–|—|to|until)\\s*(${TIME}))?(?![\\w:])`, 'i');
+
+// Events without an end time last this long
+const DEFAULT_DURATION_MINUTES = 60;
+// A date without a year this far in the past is taken to be next year's
+const PAST_DATE_WINDOW_DAYS = 183;
+
+/**
+ * Finds the dated lines of a page and turns them into events. A line counts when it starts with a date (see
+ * matchLeadingDate), on its own or as a list item; a time or time range in the rest of the line becomes the event's
+ * start and end, and what is left its title. Lines dated only by a weekday are skipped, since their week is unknown.
+ * @param {string} content - The page text.
+ * @param {object} options
+ * @param {Date} options.reference - When the page was read; dates without a year are placed near it.
+ * @param {string} options.timeZone - IANA time zone the page's dates and times are in.
+ * @param {string} [options.title='Event'] - Title for a dated line with no other text and no section heading.
+ * @returns {Array<{date: {year: number, month: number, day: number}, start: {hour: number, minute: number}|null, end: {hour: number, minute: number}|null, title: string, description: string}>}
+ * @author zevinDev
+ */
+export function extractEvents(content, { reference, timeZone, title = 'Event' }) {
+  const today = zonedParts(reference, timeZone);
+  const events = [];
+  for (const section of parsePageContent(content).sections) {
+    const dated = section.entries.flatMap(entry => {
+      if (entry.type === 'date') return [entry];
+      if (entry.type === 'list') return entry.items.map(matchLeadingDate).filter(Boolean);
+      return [];
+    });
+    for (const { date, text } of dated) {
+      const day = parseEventDate(date, today);
+      if (!day) continue;
+      const { start, end, rest } = extractTimes(text);
+      events.push({
+        date: day,
+        start,
+        end,
+        title: rest || section.heading || title,
+        description: text ? `${date}: ${text}` : date,
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Renders events as an iCalendar file. Each event's UID is made from the page and the event's date and position among
+ * that date's events, so importing the file again after the page changed updates the same calendar entries.
+ * Timed events are written in UTC; events without a time are all-day.
+ * @param {ReturnType<typeof extractEvents>} events
+ * @param {object} options
+ * @param {string} options.key - The page key, part of every UID.
+ * @param {string} options.name - The page name, used as the calendar name.
+ * @param {string} options.timeZone - IANA time zone the events' times are in.
+ * @param {number} options.revision - How many versions of the page have been recorded; written as SEQUENCE, so
+ *   calendars take each update.
+ * @param {Date} options.updatedAt - When the page last changed, written as LAST-MODIFIED.
+ * @param {Date} options.now - Written as DTSTAMP.
+ * @returns {string} The .ics file, with CRLF line endings.
+ * @author zevinDev
+ */
+export function renderCalendar(events, { key, name, timeZone, revision, updatedAt, now }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//zevinDev//333rd Mad Ducks Notification Bot//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  const perDate = {};
+  for (const event of events) {
+    const date = formatDate(event.date);
+    const occurrence = perDate[date] = (perDate[date] ?? 0) + 1;
+    const uid = createHash('sha256').update(`${key}\n${date}\n${occurrence}`).digest('hex').slice(0, 24);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@333rd-mad-ducks-bot`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `SEQUENCE:${revision}`,
+      `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    );
+    if (event.start) {
+      const start = zonedTimeToUtc(event.date, event.start, timeZone);
+      let end = event.end ? zonedTimeToUtc(event.date, event.end, timeZone) : null;
+      // An end before the start runs past midnight
+      if (end && end <= start) end = new Date(end.getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`DTSTART:${formatUtc(start)}`, `DTEND:${formatUtc(end ?? new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60000))}`);
+    } else {
+      const next = new Date(Date.UTC(event.date.year, event.date.month - 1, event.date.day + 1));
+      lines.push(`DTSTART;VALUE=DATE:${date}`, `DTEND;VALUE=DATE:${formatDate({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() })}`);
+    }
+    lines.push(
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(`${event.description}\n\nFrom ${name}`)}`,
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Turn a date matched by DATE_PATTERN into a calendar day, or null for a weekday alone or an impossible date
+function parseEventDate(text, today) {
+  const date = text.replace(LEADING_WEEKDAY, '').trim();
+  let year = null;
+  let month;
+  let day;
+  let match;
+  if ((match = date.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else if ((match = date.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/))) {
+    [month, day] = [Number(match[1]), Number(match[2])];
+    if (match[3]) year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  } else if ((match = date.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?(?:,?\s+(\d{4}))?$/i))) {
+    [day, month] = [Number(match[1]), monthNumber(match[2])];
+    if (match[3]) year = Number(match[3]);
+  } else if ((match = date.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/i))) {
+    [month, day] = [monthNumber(match[1]), Number(match[2])];
+    if (match[3]) year = Number(match[3]);
+  } else {
+    return null;
+  }
+  if (year === null) {
+    year = today.year;
+    const daysAgo = (Date.UTC(today.year, today.month - 1, today.day) - Date.UTC(year, month - 1, day)) / 86400000;
+    if (daysAgo > PAST_DATE_WINDOW_DAYS) year++;
+  }
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (!month || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return { year, month, day };
+}
+
+function monthNumber(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+// Take the first time or time range out of an event's text
+function extractTimes(text) {
+  const match = text.match(TIME_RANGE);
+  if (!match) return { start: null, end: null, rest: cleanTitle(text) };
+  let start = parseTime(match[1]);
+  const end = match[2] ? parseTime(match[2]) : null;
+  // "8:00-10:00 pm": the start takes the end's half of the day when it has none of its own
+  if (end && !/[ap]\.?m/i.test(match[1]) && /p\.?m/i.test(match[2]) && start.hour < 12 && start.hour + 12 <= end.hour) {
+    start = { ...start, hour: start.hour + 12 };
+  }
+  const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+  return { start, end, rest: cleanTitle(rest) };
+}
+
+function parseTime(text) {
+  const meridiem = text.match(/([ap])\.?m/i)?.[1].toLowerCase();
+  const digits = text.match(/(\d{1,2}):?(\d{2})?/);
+  let hour = Number(digits[1]);
+  let minute = Number(digits[2] ?? 0);
+  if (!text.includes(':') && !meridiem) {
+    // Military time: four digits, hours then minutes
+    hour = Number(text.slice(0, 2));
+    minute = Number(text.slice(2, 4));
+  }
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  if (meridiem === 'a' && hour === 12) hour = 0;
+  return { hour, minute };
+}
+
+function cleanTitle(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—:,|@]+|[\s\-–—:,|@]+$/g, '')
+    .replace(/\s+(?:at|from)$/i, '')
+    .trim();
+}
+
+// Wall-clock date and time of a moment in a time zone
+function zonedParts(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  });
+  const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, Number(p.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// The moment a wall-clock time occurs in a time zone. The zone's offset is read at the first guess and corrected once,
+// which is exact except inside a daylight saving jump.
+function zonedTimeToUtc({ year, month, day }, { hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let utc = wall;
+  for (let i = 0; i < 2; i++) {
+    const seen = zonedParts(new Date(utc), timeZone);
+    utc = wall - (Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute) - utc);
+  }
+  return new Date(utc);
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets onto continuation lines that start with a space (RFC 5545 section 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
@@ -0,0 +1,99 @@
+// src/diff.js
+// Author: zevinDev
+
+// Above this many line comparisons the LCS table gets too big, so the whole page is treated as replaced
+const MAX_LCS_CELLS = 1_000_000;
+
+/**
+ * Computes a line-level diff between two versions of a page.
+ * A run of removed lines directly followed by added lines is reported as changed lines.
+ * @param {string} oldText - The previously sent content.
+ * @param {string} newText - The current content.
+ * @returns {Array<{type: 'added'|'removed'|'changed', line?: string, oldLine?: string, newLine?: string}>}
+ * @author zevinDev
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const raw = [];
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    for (const line of a) raw.push({ type: 'removed', line });
+    for (const line of b) raw.push({ type: 'added', line });
+  } else {
+    // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        raw.push({ type: 'same' });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        raw.push({ type: 'removed', line: a[i++] });
+      } else {
+        raw.push({ type: 'added', line: b[j++] });
+      }
+    }
+    while (i < a.length) raw.push({ type: 'removed', line: a[i++] });
+    while (j < b.length) raw.push({ type: 'added', line: b[j++] });
+  }
+  return pairChanges(raw);
+}
+
+/**
+ * Formats a diff as text suitable for a ```diff code block.
+ * @param {ReturnType<typeof diffLines>} changes - Output of diffLines.
+ * @returns {string} Summary line followed by +/- lines, or an empty string if nothing changed.
+ * @author zevinDev
+ */
+export function formatDiff(changes) {
+  if (changes.length === 0) return '';
+  const counts = { added: 0, removed: 0, changed: 0 };
+  const lines = [];
+  for (const change of changes) {
+    counts[change.type]++;
+    if (change.type === 'added') {
+      lines.push(`+ ${change.line}`);
+    } else if (change.type === 'removed') {
+      lines.push(`- ${change.line}`);
+    } else {
+      lines.push(`- ${change.oldLine}`, `+ ${change.newLine}`);
+    }
+  }
+  const summary = `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed`;
+  return `${summary}\n${lines.join('\n')}`;
+}
+
+// Split content into lines, ignoring trailing whitespace and blank lines so reflowed spacing is not a change
+function splitLines(text) {
+  return (text || '').split('\n').map(l => l.trimEnd()).filter(l => l.trim().length > 0);
+}
+
+// Turn removed+added runs into changed pairs and drop unchanged lines
+function pairChanges(raw) {
+  const result = [];
+  let idx = 0;
+  while (idx < raw.length) {
+    if (raw[idx].type === 'same') {
+      idx++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (idx < raw.length && raw[idx].type === 'removed') removed.push(raw[idx++].line);
+    while (idx < raw.length && raw[idx].type === 'added') added.push(raw[idx++].line);
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k++) {
+      result.push({ type: 'changed', oldLine: removed[k], newLine: added[k] });
+    }
+    for (const line of removed.slice(paired)) result.push({ type: 'removed', line });
+    for (const line of added.slice(paired)) result.push({ type: 'added', line });
+  }
+  return result;
+}
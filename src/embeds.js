@@ -0,0 +1,162 @@
+// src/embeds.js
+// Author: zevinDev
+
+// Discord limits for embeds in one message
+export const EMBED_LIMITS = Object.freeze({
+  title: 256,
+  description: 4096,
+  footer: 2048,
+  total: 6000,
+  embedsPerMessage: 10,
+});
+
+// Room kept in each embed's footer for "Part 99/99 · "
+const PART_LABEL_RESERVE = 16;
+// Below this much room a message is closed rather than opening a sliver of an embed
+const MIN_EMBED_LENGTH = 200;
+// Room kept for re-opening and closing a code fence around a split block
+const FENCE_RESERVE = 32;
+const FENCE = /^\s*```/;
+
+/**
+ * Renders long text as embed descriptions within Discord's limits and packs them into as few messages as possible.
+ * Text is split between paragraphs first, then between lines; a paragraph or list is only broken up when it does not
+ * fit in an embed on its own, and a code block that has to be split is closed and re-opened so every part renders.
+ * When there is more than one embed each gets a "Part x/y" footer.
+ * @param {string} text - The text to render; markdown is kept as is.
+ * @param {object} [options]
+ * @param {string} [options.title] - Title of the first embed.
+ * @param {number} [options.color=0x2b2d31] - Embed color.
+ * @param {string} [options.timestamp] - ISO timestamp shown on every embed.
+ * @param {string} [options.footer] - Footer text shown on every embed, after the part label.
+ * @param {string} [options.emptyText='No content found.'] - Description used when the text is empty.
+ * @returns {Array<object[]>} The embeds of each message, in order.
+ * @author zevinDev
+ */
+export function renderEmbedMessages(text, { title, color = 0x2b2d31, timestamp, footer, emptyText = 'No content found.' } = {}) {
+  const embedTitle = title ? title.slice(0, EMBED_LIMITS.title) : undefined;
+  const footerText = footer ? footer.slice(0, EMBED_LIMITS.footer - PART_LABEL_RESERVE) : '';
+  const queue = splitParagraphs(text || '');
+  if (queue.length === 0) queue.push(emptyText);
+
+  const messages = [];
+  let current = [];
+  let used = 0;
+  while (queue.length > 0) {
+    const overhead = (messages.length === 0 && current.length === 0 ? embedTitle?.length ?? 0 : 0) + PART_LABEL_RESERVE + footerText.length;
+    const room = Math.min(EMBED_LIMITS.description, EMBED_LIMITS.total - used - overhead);
+    const fresh = current.length === 0;
+    const chunk = current.length < EMBED_LIMITS.embedsPerMessage && room >= MIN_EMBED_LENGTH
+      ? takeChunk(queue, room, fresh)
+      : '';
+    if (!chunk) {
+      messages.push(current);
+      current = [];
+      used = 0;
+      continue;
+    }
+    current.push(chunk);
+    used += chunk.length + overhead;
+  }
+  if (current.length > 0) messages.push(current);
+
+  const total = messages.reduce((sum, embeds) => sum + embeds.length, 0);
+  let part = 0;
+  return messages.map(descriptions => descriptions.map(description => {
+    part++;
+    const label = total > 1 ? `Part ${part}/${total}` : '';
+    const footerLine = [label, footerText].filter(Boolean).join(' · ');
+    const embed = {};
+    if (part === 1 && embedTitle) embed.title = embedTitle;
+    embed.description = description;
+    embed.color = color;
+    if (footerLine) embed.footer = { text: footerLine };
+    if (timestamp) embed.timestamp = timestamp;
+    return embed;
+  }));
+}
+
+// Split text into paragraphs at blank lines, keeping fenced code blocks whole even if they contain blank lines
+function splitParagraphs(text) {
+  const blocks = [];
+  let lines = [];
+  let inCode = false;
+  for (const line of text.split('\n')) {
+    if (!inCode && line.trim() === '') {
+      if (lines.length > 0) blocks.push(lines.join('\n'));
+      lines = [];
+      continue;
+    }
+    lines.push(line);
+    if (FENCE.test(line)) inCode = !inCode;
+  }
+  if (lines.length > 0) blocks.push(lines.join('\n'));
+  return blocks;
+}
+
+// Take as many whole paragraphs from the queue as fit in `max` characters. A paragraph too long for a fresh embed is
+// split and its remainder put back. Returns '' when the next paragraph would fit in a fresh embed but not here.
+function takeChunk(queue, max, fresh) {
+  let chunk = '';
+  while (queue.length > 0) {
+    const joined = chunk ? `${chunk}\n\n${queue[0]}` : queue[0];
+    if (joined.length <= max) {
+      chunk = joined;
+      queue.shift();
+      continue;
+    }
+    if (chunk || (!fresh && queue[0].length <= EMBED_LIMITS.description)) break;
+    const [head, rest] = splitBlock(queue[0], max);
+    if (rest) queue[0] = rest;
+    else queue.shift();
+    return head;
+  }
+  return chunk;
+}
+
+// Split one paragraph at a line boundary so the head fits in `max` characters. Lines longer than an embed are broken
+// between words first. A code block cut in two is closed at the end of the head and re-opened at the start of the rest.
+function splitBlock(block, max) {
+  const lines = block.split('\n').flatMap(line => splitLongLine(line, max - FENCE_RESERVE));
+  let length = -1;
+  let fence = null;
+  let fenceAt = -1;
+  let contentLines = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const reserve = fence !== null && !FENCE.test(line) ? '\n```'.length : 0;
+    if (length + 1 + line.length + reserve > max && contentLines > 0) {
+      // A code block that only just opened moves to the rest whole
+      if (fence !== null && fenceAt === i - 1 && fenceAt > 0) {
+        return [lines.slice(0, fenceAt).join('\n'), lines.slice(fenceAt).join('\n')];
+      }
+      const head = lines.slice(0, i).join('\n');
+      const rest = lines.slice(i).join('\n');
+      return fence !== null ? [`${head}\n\`\`\``, `${fence}\n${rest}`] : [head, rest];
+    }
+    length += 1 + line.length;
+    if (!FENCE.test(line)) {
+      contentLines++;
+    } else if (fence === null) {
+      fence = line.trim();
+      fenceAt = i;
+    } else {
+      fence = null;
+    }
+  }
+  return [lines.join('\n'), ''];
+}
+
+// Break a line longer than `max` characters at spaces, or anywhere if a single word is that long
+function splitLongLine(line, max) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > max) {
+    const space = rest.lastIndexOf(' ', max);
+    const cut = space > max / 2 ? space : max;
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  pieces.push(rest);
+  return pieces;
+}
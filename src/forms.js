@@ -0,0 +1,179 @@
+// src/forms.js
+// Author: zevinDev
+
+import { createHash } from 'node:crypto';
+
+/** Form id of the form configured with the FORM_LINK environment variable. */
+export const DEFAULT_FORM_ID = 'default';
+
+/** Label shown for the FORM_LINK form. */
+export const DEFAULT_FORM_LABEL = 'Main form';
+
+/** Hosts Microsoft Forms are served from. Their subdomains are accepted too. */
+export const DEFAULT_FORM_HOSTS = Object.freeze(['forms.office.com', 'forms.microsoft.com', 'forms.osi.apps.mil']);
+
+// Separates the form id from the dropdown item in a page key
+const PAGE_KEY_SEPARATOR = '::';
+const FORM_ID_PATTERN = /^(default|f[0-9a-f]{10})$/;
+
+/**
+ * Derives a stable form id from a form URL, so guilds that register the same form share its cache.
+ * @param {string} url - The form URL.
+ * @returns {string} An id such as "f1a2b3c4d5e".
+ * @author zevinDev
+ */
+export function formIdForUrl(url) {
+  return `f${createHash('sha256').update(String(url).trim()).digest('hex').slice(0, 10)}`;
+}
+
+/**
+ * Checks that a URL is a form the scraper may load: an https link on one of the allowed hosts or their subdomains.
+ * Any other host is refused, so the shared browser never loads arbitrary or internal sites.
+ * @param {string} url - The URL an admin submitted.
+ * @param {string[]} [hosts=DEFAULT_FORM_HOSTS] - Allowed hosts (see parseFormHosts).
+ * @returns {string} The normalized URL.
+ * @throws {Error} With a user-facing message if the URL is not an https link on an allowed host.
+ * @author zevinDev
+ */
+export function validateFormUrl(url, hosts = DEFAULT_FORM_HOSTS) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    throw new Error('That is not a valid URL.');
+  }
+  if (parsed.protocol !== 'https:') {
+    throw new Error('Form links must start with https://.');
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (!hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+    throw new Error(`Only Microsoft Forms links can be monitored (${hosts.join(', ')}).`);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Reads the FORM_HOSTS environment variable: a comma-separated list of hosts forms may be added from.
+ * @param {string} [value] - The variable's value.
+ * @returns {string[]} The hosts, or DEFAULT_FORM_HOSTS when the variable is unset or empty.
+ * @author zevinDev
+ */
+export function parseFormHosts(value) {
+  const hosts = String(value ?? '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  return hosts.length > 0 ? hosts : [...DEFAULT_FORM_HOSTS];
+}
+
+/**
+ * Builds the key a page is stored under in guild settings and notification state.
+ * @param {string} formId - The form the page belongs to.
+ * @param {string} item - The dropdown item text.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function pageKey(formId, item) {
+  return `${formId}${PAGE_KEY_SEPARATOR}${item}`;
+}
+
+/**
+ * Splits a page key into its form id and dropdown item.
+ * Keys saved before forms were namespaced are plain item names and belong to the default form.
+ * @param {string} key - A page key.
+ * @returns {{formId: string, item: string}}
+ * @author zevinDev
+ */
+export function parsePageKey(key) {
+  const idx = key.indexOf(PAGE_KEY_SEPARATOR);
+  if (idx !== -1 && FORM_ID_PATTERN.test(key.slice(0, idx))) {
+    return { formId: key.slice(0, idx), item: key.slice(idx + PAGE_KEY_SEPARATOR.length) };
+  }
+  return { formId: DEFAULT_FORM_ID, item: key };
+}
+
+/**
+ * Rewrites a possibly legacy page key into the namespaced form.
+ * @param {string} key - A page key or legacy item name.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function normalizePageKey(key) {
+  const { formId, item } = parsePageKey(key);
+  return pageKey(formId, item);
+}
+
+// Items at least this similar (Dice coefficient of their letter pairs) can be treated as renamed rather than removed and added
+const RENAME_SIMILARITY = 0.6;
+// Words less similar than this are different words, not one word with a typo fixed
+const WORD_SIMILARITY = 0.5;
+
+/**
+ * Compares the dropdown items of a form before and after a refresh.
+ * A removed item and an added item are reported as a rename when their text is similar and each is the other's single
+ * best match. Items in a series, which differ by one whole word or number ("Week 1" and "Week 2", "Alpha Flight" and
+ * "Bravo Flight"), are never paired, so one page's settings are not moved onto another.
+ * @param {string[]} before - Items from the previous scrape.
+ * @param {string[]} after - Items from the latest scrape.
+ * @returns {{added: string[], removed: string[], renamed: Array<{from: string, to: string}>}}
+ * @author zevinDev
+ */
+export function diffItemLists(before, after) {
+  const removed = before.filter(item => !after.includes(item));
+  const added = after.filter(item => !before.includes(item));
+  const scored = [];
+  for (const from of removed) {
+    for (const to of added) {
+      if (!isSeriesSibling(from, to)) scored.push({ from, to, score: similarity(from, to) });
+    }
+  }
+  // A pair is only a rename when neither item has another match as good
+  const candidates = scored.filter(pair => pair.score >= RENAME_SIMILARITY && scored.every(other => other === pair
+    || (other.from !== pair.from && other.to !== pair.to)
+    || other.score < pair.score));
+  candidates.sort((a, b) => b.score - a.score);
+  const paired = new Set();
+  const renamed = [];
+  for (const { from, to } of candidates) {
+    if (paired.has(from) || paired.has(to)) continue;
+    paired.add(from);
+    paired.add(to);
+    renamed.push({ from, to });
+  }
+  return {
+    added: added.filter(item => !paired.has(item)),
+    removed: removed.filter(item => !paired.has(item)),
+    renamed,
+  };
+}
+
+// Two items that differ in exactly one word, where the words are numbers or are not alike (not a typo fix)
+function isSeriesSibling(a, b) {
+  const words = text => text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const left = words(a);
+  const right = words(b);
+  if (left.length !== right.length) return false;
+  const differing = left.map((word, i) => [word, right[i]]).filter(([x, y]) => x !== y);
+  if (differing.length !== 1) return false;
+  const [[x, y]] = differing;
+  return /\d/.test(x) || /\d/.test(y) || similarity(x, y) < WORD_SIMILARITY;
+}
+
+function similarity(a, b) {
+  const pairs = text => {
+    const t = text.toLowerCase();
+    const result = [];
+    for (let i = 0; i < t.length - 1; i++) result.push(t.slice(i, i + 2));
+    return result;
+  };
+  const left = pairs(a);
+  const right = pairs(b);
+  if (left.length === 0 || right.length === 0) return a.toLowerCase() === b.toLowerCase() ? 1 : 0;
+  const counts = new Map();
+  for (const pair of left) counts.set(pair, (counts.get(pair) || 0) + 1);
+  let shared = 0;
+  for (const pair of right) {
+    if (counts.get(pair) > 0) {
+      shared++;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  }
+  return (2 * shared) / (left.length + right.length);
+}
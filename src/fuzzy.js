@@ -0,0 +1,55 @@
+// src/fuzzy.js
+// Author: zevinDev
+
+/**
+ * Scores how well a typed query matches a piece of text, for autocomplete.
+ * Every query character must appear in the text in order (case-insensitive). Matches that start
+ * the text, start words or run consecutively score higher; a contiguous substring beats a scattered match.
+ * @param {string} query - What the user typed.
+ * @param {string} text - The candidate, e.g. a full dropdown item.
+ * @returns {number|null} A score (higher is better), or null if the text does not match.
+ * @author zevinDev
+ */
+export function fuzzyScore(query, text) {
+  const q = String(query ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const t = String(text ?? '').toLowerCase();
+  if (!q) return 0;
+  const substring = t.indexOf(q);
+  if (substring !== -1) {
+    // Contiguous matches rank above any scattered match; earlier and word-aligned ones first
+    const wordStart = substring === 0 || /[^a-z0-9]/.test(t[substring - 1]);
+    return 1000 + (substring === 0 ? 200 : 0) + (wordStart ? 100 : 0) - substring - (t.length - q.length) / 100;
+  }
+  let score = 0;
+  let ti = 0;
+  let previous = -2;
+  for (const char of q) {
+    if (char === ' ') continue;
+    const found = t.indexOf(char, ti);
+    if (found === -1) return null;
+    score += 1;
+    if (found === previous + 1) score += 5;
+    if (found === 0 || /[^a-z0-9]/.test(t[found - 1])) score += 8;
+    score -= Math.min(found - ti, 10) / 10;
+    previous = found;
+    ti = found + 1;
+  }
+  return score;
+}
+
+/**
+ * Ranks candidates by fuzzyScore and drops those that do not match.
+ * @template T
+ * @param {T[]} candidates - The values to rank.
+ * @param {string} query - What the user typed; an empty query keeps the original order.
+ * @param {(candidate: T) => string} toText - The text of a candidate to match against.
+ * @returns {T[]} Matching candidates, best first.
+ * @author zevinDev
+ */
+export function fuzzyFilter(candidates, query, toText) {
+  return candidates
+    .map((candidate, idx) => ({ candidate, idx, score: fuzzyScore(query, toText(candidate)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,27 @@
+// src/history.js
+// Author: zevinDev
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Hashes page content so identical versions can be detected without comparing full text.
+ * @param {string} content - The page content.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ * @author zevinDev
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content ?? '', 'utf8').digest('hex');
+}
+
+/**
+ * Formats stored versions of a page as a numbered list for an embed description.
+ * @param {Array<{timestamp: Date, hash: string, content: string}>} versions - Versions, newest first.
+ * @returns {string} One line per version with a Discord timestamp, short hash and length.
+ * @author zevinDev
+ */
+export function formatHistoryList(versions) {
+  if (versions.length === 0) return 'No versions recorded yet.';
+  return versions
+    .map((v, idx) => `**${idx + 1}.** <t:${Math.floor(new Date(v.timestamp).getTime() / 1000)}:f> · \`${v.hash.slice(0, 8)}\` · ${v.content.length} chars`)
+    .join('\n');
+}
@@ -0,0 +1,39 @@
+// src/http.js
+// Author: zevinDev
+
+/**
+ * Starts the HTTP server the host uses to health-check and scrape the bot.
+ *   GET /healthz - 200 when Discord, storage and the browser are all up, 503 otherwise; JSON body per component
+ *   GET /readyz  - 200 once the bot is ready to serve, 503 before; JSON body with each readiness check
+ *   GET /metrics - Prometheus text format
+ * @param {object} options
+ * @param {number|string} options.port - Port to listen on; 0 picks a free port.
+ * @param {() => Promise<{[component: string]: {ok: boolean}}>} options.health - Reports each component.
+ * @param {() => {[check: string]: boolean}} options.readiness - Reports each readiness check.
+ * @param {() => string} options.metrics - Renders the metrics.
+ * @returns {import('bun').Server} The running server; call stop() to close it.
+ * @author zevinDev
+ */
+export function startHttpServer({ port, health, readiness, metrics }) {
+  return Bun.serve({
+    port: Number(port),
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      if (req.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+      if (pathname === '/healthz') {
+        const components = await health();
+        const ok = Object.values(components).every(c => c.ok);
+        return Response.json({ status: ok ? 'ok' : 'degraded', ...components }, { status: ok ? 200 : 503 });
+      }
+      if (pathname === '/readyz') {
+        const checks = readiness();
+        const ready = Object.values(checks).every(Boolean);
+        return Response.json({ status: ready ? 'ready' : 'starting', ...checks }, { status: ready ? 200 : 503 });
+      }
+      if (pathname === '/metrics') {
+        return new Response(metrics(), { headers: { 'Content-Type': 'text/plain; version=0.0.4' } });
+      }
+      return new Response('Not Found', { status: 404 });
+    },
+  });
+}
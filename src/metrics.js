@@ -0,0 +1,84 @@
+// src/metrics.js
+// Author: zevinDev
+
+/**
+ * Creates a small metrics registry that renders the Prometheus text exposition format.
+ * Counters only go up, gauges are set to a value, and summaries record a running sum and count
+ * (no quantiles). Collectors registered with onCollect run before every render, for gauges that
+ * are computed on demand.
+ * @returns {{counter: Function, gauge: Function, summary: Function, onCollect: Function, render: () => string}}
+ * @author zevinDev
+ */
+export function createMetrics() {
+  // name -> { type, help, series: Map<labelKey, {labels, value, sum, count}> }
+  const families = new Map();
+  const collectors = [];
+
+  function register(name, type, help) {
+    if (!families.has(name)) families.set(name, { type, help, series: new Map() });
+    return families.get(name);
+  }
+
+  function seriesFor(family, labels) {
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    if (!family.series.has(key)) family.series.set(key, { labels, value: 0, sum: 0, count: 0 });
+    return family.series.get(key);
+  }
+
+  return {
+    counter(name, help) {
+      const family = register(name, 'counter', help);
+      return {
+        inc(labels = {}, amount = 1) {
+          seriesFor(family, labels).value += amount;
+        },
+      };
+    },
+    gauge(name, help) {
+      const family = register(name, 'gauge', help);
+      return {
+        set(labels, value) {
+          seriesFor(family, labels).value = value;
+        },
+        reset() {
+          family.series.clear();
+        },
+      };
+    },
+    summary(name, help) {
+      const family = register(name, 'summary', help);
+      return {
+        observe(labels, value) {
+          const series = seriesFor(family, labels);
+          series.sum += value;
+          series.count++;
+        },
+      };
+    },
+    onCollect(fn) {
+      collectors.push(fn);
+    },
+    render() {
+      for (const collect of collectors) collect();
+      const lines = [];
+      for (const [name, family] of families) {
+        lines.push(`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`);
+        for (const { labels, value, sum, count } of family.series.values()) {
+          if (family.type === 'summary') {
+            lines.push(`${name}_sum${formatLabels(labels)} ${sum}`, `${name}_count${formatLabels(labels)} ${count}`);
+          } else {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+          }
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
@@ -0,0 +1,51 @@
+// src/normalize.js
+// Author: zevinDev
+
+import { compileAlertPattern } from './alerts.js';
+
+// Characters that render as nothing but make two scrapes of the same page differ
+const INVISIBLE = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+// Curly, low and prime quotes, which Forms and pasted text mix with plain ones
+const SINGLE_QUOTES = /[\u2018\u2019\u201A\u201B\u2032\u00B4]/g;
+const DOUBLE_QUOTES = /[\u201C\u201D\u201E\u201F\u2033\u00AB\u00BB]/g;
+
+/**
+ * Compiles ignore patterns for normalizeContent. Patterns are written like alert patterns: `/regex/flags` or a
+ * case-insensitive keyword. Invalid patterns are skipped.
+ * @param {string[]} patterns
+ * @returns {RegExp[]} Global regexes, ready for String.replace.
+ * @author zevinDev
+ */
+export function compileIgnorePatterns(patterns = []) {
+  const compiled = [];
+  for (const pattern of patterns) {
+    try {
+      const regex = compileAlertPattern(pattern);
+      compiled.push(new RegExp(regex.source, `${regex.flags}g`));
+    } catch {
+      // Patterns are checked when they are added; one saved before a check existed is ignored
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Reduces page text to what counts as a change: invisible characters are removed, quotes made plain, runs of
+ * whitespace collapsed to one space and each line trimmed. Text matching an ignore pattern is then removed line by
+ * line, and lines left empty are dropped along with blank lines.
+ * @param {string} text - Page text as scraped.
+ * @param {string[]} [ignorePatterns] - The guild's ignore patterns.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function normalizeContent(text, ignorePatterns = []) {
+  const ignore = compileIgnorePatterns(ignorePatterns);
+  const lines = [];
+  for (const raw of String(text ?? '').split(/\r?\n/)) {
+    let line = raw.replace(INVISIBLE, '').replace(SINGLE_QUOTES, '\'').replace(DOUBLE_QUOTES, '"');
+    for (const regex of ignore) line = line.replace(regex, '');
+    line = line.replace(/\s+/g, ' ').trim();
+    if (line) lines.push(line);
+  }
+  return lines.join('\n');
+}
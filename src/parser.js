@@ -0,0 +1,145 @@
+// src/parser.js
+// Author: zevinDev
+
+// Discord embed limits
+const MAX_FIELDS = 25;
+const MAX_FIELD_NAME = 256;
+const MAX_FIELD_VALUE = 1024;
+const MAX_EMBED_TOTAL = 6000;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY = '(?:mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const CALENDAR_DATE = [
+  '\\d{4}-\\d{2}-\\d{2}',
+  '\\d{1,2}/\\d{1,2}(?:/\\d{2,4})?',
+  `\\d{1,2}${ORDINAL}\\s+${MONTH}\\.?(?:,?\\s+\\d{4})?`,
+  `${MONTH}\\.?\\s+\\d{1,2}${ORDINAL}(?:,?\\s+\\d{4})?`,
+].join('|');
+
+/**
+ * Source of a regular expression matching one date: an optional weekday followed by a calendar date, or a weekday on its own.
+ * Case-insensitive flags are expected.
+ */
+export const DATE_PATTERN = `(?:(?:${WEEKDAY}\\.?,?\\s+)?(?:${CALENDAR_DATE})|${WEEKDAY})`;
+
+const LEADING_DATE = new RegExp(`^(${DATE_PATTERN})(?![\\w/])`, 'i');
+const MARKDOWN_HEADING = /^#{1,3}\s+(.+)$/;
+const LIST_ITEM = /^(?:[-•*▪◦·]|\d{1,2}[.)])\s+(.+)$/;
+const KEY_VALUE = /^([^:]{1,40}?):\s+(.+)$/;
+
+/**
+ * Splits a line that starts with a date into the date and the rest of the line.
+ * @param {string} line - A single line of page text.
+ * @returns {{date: string, text: string}|null} Null if the line does not start with a date.
+ * @author zevinDev
+ */
+export function matchLeadingDate(line) {
+  const match = line.match(LEADING_DATE);
+  if (!match) return null;
+  const text = line.slice(match[0].length).replace(/^[\s\-–—:,|]+/, '').trim();
+  return { date: match[1].trim(), text };
+}
+
+/**
+ * Parses the text of a form section page into headings, key/value lines, dated lines and lists.
+ * @param {string} text - The cleaned page text returned by the scraper.
+ * @returns {{sections: Array<{heading: string|null, entries: Array<object>}>}}
+ *   Entries are `{type: 'field', name, value}`, `{type: 'date', date, text}`,
+ *   `{type: 'list', items: string[]}` or `{type: 'text', text}`.
+ * @author zevinDev
+ */
+export function parsePageContent(text) {
+  const sections = [];
+  let section = { heading: null, entries: [] };
+  const pushSection = () => {
+    if (section.heading !== null || section.entries.length > 0) sections.push(section);
+  };
+  for (const rawLine of String(text ?? '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const heading = matchHeading(line);
+    if (heading) {
+      pushSection();
+      section = { heading, entries: [] };
+      continue;
+    }
+    const last = section.entries[section.entries.length - 1];
+    const listMatch = line.match(LIST_ITEM);
+    if (listMatch) {
+      if (last?.type === 'list') {
+        last.items.push(listMatch[1].trim());
+      } else {
+        section.entries.push({ type: 'list', items: [listMatch[1].trim()] });
+      }
+      continue;
+    }
+    const dated = matchLeadingDate(line);
+    if (dated) {
+      section.entries.push({ type: 'date', ...dated });
+      continue;
+    }
+    const kv = line.match(KEY_VALUE);
+    // Keys need a letter so times such as "08:00: Formation" stay plain text
+    if (kv && /[a-z]/i.test(kv[1])) {
+      section.entries.push({ type: 'field', name: kv[1].trim(), value: kv[2].trim() });
+      continue;
+    }
+    section.entries.push({ type: 'text', text: line });
+  }
+  pushSection();
+  return { sections };
+}
+
+/**
+ * Renders parsed page content as Discord embed fields.
+ * @param {ReturnType<typeof parsePageContent>} parsed - Output of parsePageContent.
+ * @returns {Array<{name: string, value: string}>|null} Null when the content has no structure worth
+ *   rendering or does not fit in one embed, in which case callers should post plain text.
+ * @author zevinDev
+ */
+export function toEmbedFields(parsed) {
+  const structured = parsed.sections.some(s => s.heading !== null || s.entries.some(e => e.type !== 'text'));
+  if (!structured) return null;
+  const fields = [];
+  for (const section of parsed.sections) {
+    const name = (section.heading ?? 'Details').slice(0, MAX_FIELD_NAME);
+    const lines = section.entries.flatMap(renderEntry);
+    if (lines.length === 0) lines.push('\u200b');
+    // Long sections continue in further fields rather than being cut off
+    let value = '';
+    let part = 0;
+    for (const line of lines) {
+      const piece = line.length > MAX_FIELD_VALUE ? `${line.slice(0, MAX_FIELD_VALUE - 1)}…` : line;
+      if (value && value.length + 1 + piece.length > MAX_FIELD_VALUE) {
+        fields.push({ name: part++ === 0 ? name : `${name} (cont.)`.slice(0, MAX_FIELD_NAME), value });
+        value = '';
+      }
+      value = value ? `${value}\n${piece}` : piece;
+    }
+    fields.push({ name: part === 0 ? name : `${name} (cont.)`.slice(0, MAX_FIELD_NAME), value });
+  }
+  const total = fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+  if (fields.length > MAX_FIELDS || total > MAX_EMBED_TOTAL - 256) return null;
+  return fields;
+}
+
+function matchHeading(line) {
+  const md = line.match(MARKDOWN_HEADING);
+  if (md) return md[1].trim();
+  if (line.length <= 80 && line.endsWith(':') && !line.slice(0, -1).includes(':')) {
+    return line.slice(0, -1).trim();
+  }
+  const letters = line.replace(/[^a-z]/gi, '');
+  if (line.length <= 60 && letters.length >= 3 && line === line.toUpperCase() && !LIST_ITEM.test(line) && !KEY_VALUE.test(line)) {
+    return line;
+  }
+  return null;
+}
+
+function renderEntry(entry) {
+  if (entry.type === 'field') return [`**${entry.name}:** ${entry.value}`];
+  if (entry.type === 'date') return [entry.text ? `📅 **${entry.date}** — ${entry.text}` : `📅 **${entry.date}**`];
+  if (entry.type === 'list') return entry.items.map(item => `• ${item}`);
+  return [entry.text];
+}
@@ -0,0 +1,99 @@
+// src/queue.js
+// Author: zevinDev
+
+/** Job priorities; lower runs first. User-triggered jobs jump ahead of background refreshes. */
+export const JOB_PRIORITY = Object.freeze({ user: 0, background: 1 });
+
+/**
+ * Creates a job queue with a fixed number of workers. Each worker runs one job at a time, so a worker
+ * can own a browser page and no two jobs ever drive the same page at once.
+ * Waiting jobs start in priority order, then in the order they were queued. A job that times out frees
+ * its worker at once; use onTimeout to abort whatever it was still doing.
+ * @param {object} [options]
+ * @param {number} [options.workers=1] - How many jobs may run at once.
+ * @param {number} [options.timeoutMs=0] - Default job timeout; 0 disables it.
+ * @param {Function} [options.setTimeout] - Timer functions, so tests can inject a fake clock.
+ * @param {Function} [options.clearTimeout]
+ * @returns {{run: Function, clear: Function, readonly pending: number, readonly running: number}}
+ * @author zevinDev
+ */
+export function createJobQueue(options = {}) {
+  const {
+    workers = 1,
+    timeoutMs: defaultTimeoutMs = 0,
+    setTimeout: startTimer = (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: stopTimer = id => clearTimeout(id),
+  } = options;
+  const pending = [];
+  const idle = Array.from({ length: workers }, (_, i) => i);
+
+  function drain() {
+    while (idle.length > 0 && pending.length > 0) {
+      execute(pending.shift(), idle.shift());
+    }
+  }
+
+  function execute(job, worker) {
+    let settled = false;
+    let timer = null;
+    // Frees the worker exactly once, whether the job finished or timed out first
+    const release = () => {
+      if (settled) return false;
+      settled = true;
+      if (timer !== null) stopTimer(timer);
+      idle.push(worker);
+      idle.sort((a, b) => a - b);
+      drain();
+      return true;
+    };
+    if (job.timeoutMs > 0) {
+      timer = startTimer(() => {
+        if (!release()) return;
+        job.reject(new Error(`${job.label} timed out after ${job.timeoutMs} ms`));
+        // Give the caller a chance to abort whatever the stuck job is still doing
+        Promise.resolve(job.onTimeout?.(worker)).catch(() => {});
+      }, job.timeoutMs);
+    }
+    Promise.resolve()
+      .then(() => job.fn(worker))
+      .then(
+        value => release() && job.resolve(value),
+        err => release() && job.reject(err),
+      );
+  }
+
+  return {
+    /**
+     * Queues a job and resolves with its result.
+     * @param {(worker: number) => Promise<any>} fn - The job; receives the index of the worker running it.
+     * @param {object} [jobOptions]
+     * @param {'user'|'background'} [jobOptions.priority='background']
+     * @param {number} [jobOptions.timeoutMs] - Overrides the queue's default timeout.
+     * @param {(worker: number) => any} [jobOptions.onTimeout] - Called after the job timed out.
+     * @param {string} [jobOptions.label='Job'] - Used in the timeout error.
+     * @returns {Promise<any>}
+     */
+    run(fn, jobOptions = {}) {
+      const { priority = 'background', timeoutMs = defaultTimeoutMs, onTimeout, label = 'Job' } = jobOptions;
+      return new Promise((resolve, reject) => {
+        const job = { fn, rank: JOB_PRIORITY[priority] ?? JOB_PRIORITY.background, timeoutMs, onTimeout, label, resolve, reject };
+        const idx = pending.findIndex(other => other.rank > job.rank);
+        pending.splice(idx === -1 ? pending.length : idx, 0, job);
+        drain();
+      });
+    },
+    /**
+     * Rejects every job that has not started yet.
+     * @param {Error} reason - The rejection reason.
+     */
+    clear(reason) {
+      for (const job of pending.splice(0)) job.reject(reason);
+    },
+    get pending() {
+      return pending.length;
+    },
+    get running() {
+      return workers - idle.length;
+    },
+  };
+}
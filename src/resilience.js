@@ -0,0 +1,79 @@
+// src/resilience.js
+// Author: zevinDev
+
+/**
+ * Runs an async function, retrying with exponential backoff when it throws.
+ * @param {(attempt: number) => Promise<any>} fn - The work to run; receives the 1-based attempt number.
+ * @param {object} [options]
+ * @param {number} [options.attempts=3] - Total attempts, including the first.
+ * @param {number} [options.baseDelayMs=1000] - Delay before the second attempt; doubled for each later one.
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for a single delay.
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between attempts. Defaults to a real timer.
+ * @param {(err: Error, attempt: number, delayMs: number) => any} [options.onRetry] - Called (and awaited) before each wait.
+ * @returns {Promise<any>} Whatever `fn` returns on its first successful attempt.
+ * @throws {Error} The error of the last attempt once all attempts have failed.
+ * @author zevinDev
+ */
+export async function retryWithBackoff(fn, options = {}) {
+  const {
+    attempts = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    sleep = ms => new Promise(res => setTimeout(res, ms)),
+    onRetry,
+  } = options;
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      lastError = err;
+      if (attempt === attempts) break;
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      if (onRetry) await onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Creates a circuit breaker that stops calling something that keeps failing.
+ * After `threshold` consecutive failures the circuit opens and canAttempt() returns false until
+ * `cooldownMs` has passed. Then one trial attempt is allowed: success closes the circuit, failure reopens it.
+ * @param {object} [options]
+ * @param {number} [options.threshold=3] - Consecutive failures that open the circuit.
+ * @param {number} [options.cooldownMs=900000] - How long the circuit stays open.
+ * @param {() => number} [options.now] - Current time in milliseconds.
+ * @returns {{canAttempt(): boolean, recordSuccess(): void, recordFailure(): void, readonly state: 'closed'|'open'|'halfOpen', readonly failures: number}}
+ * @author zevinDev
+ */
+export function createCircuitBreaker(options = {}) {
+  const { threshold = 3, cooldownMs = 15 * 60 * 1000, now = () => Date.now() } = options;
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  return {
+    get state() {
+      return state;
+    },
+    get failures() {
+      return failures;
+    },
+    canAttempt() {
+      if (state === 'open' && now() - openedAt >= cooldownMs) state = 'halfOpen';
+      return state !== 'open';
+    },
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+    },
+    recordFailure() {
+      failures++;
+      if (state === 'halfOpen' || failures >= threshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+  };
+}
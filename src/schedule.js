@@ -0,0 +1,227 @@
+// src/schedule.js
+// Author: zevinDev
+
+/**
+ * The schedule every guild used before schedules were configurable:
+ * every 30 minutes from 15:33 to 22:00 Central Time.
+ */
+export const DEFAULT_SCHEDULE = Object.freeze({
+  type: 'window',
+  timezone: 'America/Chicago',
+  start: '15:33',
+  end: '22:00',
+  every: 30,
+});
+
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// [min, max] for each of the five cron fields: minute, hour, day of month, month, day of week
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+/**
+ * Gets the wall-clock date and time parts of a moment in a time zone.
+ * @param {Date} date - The moment to convert.
+ * @param {string} timeZone - An IANA time zone, e.g. "America/Chicago".
+ * @returns {{month: number, day: number, hour: number, minute: number, weekday: number}}
+ * @author zevinDev
+ */
+export function getZonedTimeParts(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+  const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    // Some runtimes format midnight as "24" with hour12: false
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS[parts.weekday.toLowerCase().slice(0, 3)],
+  };
+}
+
+/**
+ * Checks that a string is a time zone this runtime understands.
+ * @param {string} timeZone - The time zone to check.
+ * @returns {boolean}
+ * @author zevinDev
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week).
+ * Fields accept `*`, numbers, ranges (`1-5`), steps (`*\/15`, `9-17/2`) and comma lists.
+ * @param {string} expr - The cron expression.
+ * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, dayOfMonthAny: boolean, dayOfWeekAny: boolean}}
+ * @throws {Error} If the expression is malformed or out of range.
+ * @author zevinDev
+ */
+export function parseCron(expr) {
+  const fields = String(expr).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${fields.length}: "${expr}"`);
+  }
+  const sets = fields.map((field, idx) => parseCronField(field, ...CRON_FIELD_RANGES[idx]));
+  // 7 is an alias for Sunday
+  if (sets[4].has(7)) {
+    sets[4].delete(7);
+    sets[4].add(0);
+  }
+  return {
+    minute: sets[0],
+    hour: sets[1],
+    dayOfMonth: sets[2],
+    month: sets[3],
+    dayOfWeek: sets[4],
+    dayOfMonthAny: fields[2] === '*',
+    dayOfWeekAny: fields[4] === '*',
+  };
+}
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron field: "${field}"`);
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      // A bare number with a step (e.g. 5/15) runs from that number to the end of the range
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron field out of range (${min}-${max}): "${field}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Checks whether a schedule fires in the minute containing `date`.
+ * "onChange" schedules never fire on the clock; they run right after the cache refreshes.
+ * @param {object} schedule - A schedule as produced by parseScheduleInput.
+ * @param {Date} date - The moment to check.
+ * @returns {boolean}
+ * @author zevinDev
+ */
+export function isScheduleDue(schedule, date) {
+  if (!schedule || schedule.type === 'onChange') return false;
+  const { month, day, hour, minute, weekday } = getZonedTimeParts(date, schedule.timezone);
+  if (schedule.type === 'cron') {
+    const cron = parseCron(schedule.cron);
+    if (!cron.minute.has(minute) || !cron.hour.has(hour) || !cron.month.has(month)) return false;
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    if (!cron.dayOfMonthAny && !cron.dayOfWeekAny) {
+      return cron.dayOfMonth.has(day) || cron.dayOfWeek.has(weekday);
+    }
+    return cron.dayOfMonth.has(day) && cron.dayOfWeek.has(weekday);
+  }
+  if (schedule.type === 'window') {
+    const start = parseClock(schedule.start);
+    const end = parseClock(schedule.end);
+    const now = hour * 60 + minute;
+    // Windows may wrap past midnight (e.g. 22:00-02:00)
+    const length = (end - start + 1440) % 1440;
+    const offset = (now - start + 1440) % 1440;
+    return offset <= length && offset % schedule.every === 0;
+  }
+  return false;
+}
+
+/**
+ * Parses the schedule an admin typed into the settings menu.
+ * Accepted forms:
+ *   - `on change` (or `immediately`): notify right after every cache refresh that finds a change
+ *   - `HH:MM-HH:MM every N` (minutes; `every Nm` and `every Nh` also work)
+ *   - `cron <expr>` or a bare five-field cron expression
+ * @param {string} input - The schedule text.
+ * @param {string} timezone - IANA time zone the schedule is evaluated in.
+ * @returns {object} The schedule to store in guild settings.
+ * @throws {Error} With a user-facing message if the input is invalid.
+ * @author zevinDev
+ */
+export function parseScheduleInput(input, timezone) {
+  const text = String(input || '').trim();
+  const tz = String(timezone || '').trim() || DEFAULT_SCHEDULE.timezone;
+  if (/^(on[\s_-]?change|immediately)$/i.test(text)) {
+    return { type: 'onChange' };
+  }
+  if (!isValidTimeZone(tz)) {
+    throw new Error(`Unknown time zone: "${tz}". Use an IANA name such as America/Chicago.`);
+  }
+  const windowMatch = text.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s+every\s+(\d+)\s*(m|min|mins|minutes?|h|hours?)?$/i);
+  if (windowMatch) {
+    const [, start, end, amount, unit] = windowMatch;
+    const every = parseInt(amount, 10) * (unit && unit.toLowerCase().startsWith('h') ? 60 : 1);
+    if (!isValidClock(start) || !isValidClock(end)) {
+      throw new Error(`Invalid time in "${text}". Use 24-hour HH:MM.`);
+    }
+    if (every < 1 || every > 1440) {
+      throw new Error('The interval must be between 1 minute and 24 hours.');
+    }
+    return { type: 'window', timezone: tz, start: normalizeClock(start), end: normalizeClock(end), every };
+  }
+  const cronExpr = text.replace(/^cron\s+/i, '');
+  if (cronExpr.split(/\s+/).length === 5) {
+    parseCron(cronExpr);
+    return { type: 'cron', timezone: tz, cron: cronExpr };
+  }
+  throw new Error('Unrecognized schedule. Use "on change", "15:30-22:00 every 30" or a cron expression like "*/30 15-21 * * 1-5".');
+}
+
+/**
+ * Describes a schedule in one line for the settings menu.
+ * @param {object} schedule - The stored schedule.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function describeSchedule(schedule) {
+  if (!schedule) return describeSchedule(DEFAULT_SCHEDULE);
+  if (schedule.type === 'onChange') return 'Immediately when a page changes';
+  if (schedule.type === 'cron') return `Cron \`${schedule.cron}\` (${schedule.timezone})`;
+  return `Every ${schedule.every} min from ${schedule.start} to ${schedule.end} (${schedule.timezone})`;
+}
+
+/**
+ * Formats a schedule back into the text parseScheduleInput accepts, to prefill the settings form.
+ * @param {object} schedule - The stored schedule.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function formatScheduleInput(schedule) {
+  const s = schedule || DEFAULT_SCHEDULE;
+  if (s.type === 'onChange') return 'on change';
+  if (s.type === 'cron') return `cron ${s.cron}`;
+  return `${s.start}-${s.end} every ${s.every}`;
+}
+
+function isValidClock(text) {
+  const [h, m] = text.split(':').map(n => parseInt(n, 10));
+  return h >= 0 && h <= 23 && m >= 0 && m <= 59;
+}
+
+function normalizeClock(text) {
+  const [h, m] = text.split(':');
+  return `${h.padStart(2, '0')}:${m}`;
+}
+
+function parseClock(text) {
+  const [h, m] = text.split(':').map(n => parseInt(n, 10));
+  return h * 60 + m;
+}
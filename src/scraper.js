@@ -10,16 +10,17 @@ console.log('[Scraper] FORM_LINK:', FORM_URL);
 
 /**
  * Launches a headless browser and navigates to the form page.
+ * @param {string} [formUrl] - The form to open. Defaults to FORM_LINK.
  * @returns {Promise<puppeteer.Page>} The Puppeteer page instance.
  * @author zevinDev
  */
-export async function launchFormPage() {
+export async function launchFormPage(formUrl = FORM_URL) {
   // Use --no-sandbox in production/Docker
   const puppeteerArgs = process.env.NODE_ENV === 'production' ? ['--no-sandbox', '--disable-setuid-sandbox'] : [];
   const browser = await puppeteer.launch({ headless: true, args: puppeteerArgs });
   const page = await browser.newPage();
   try {
-    await page.goto(FORM_URL, { waitUntil: 'networkidle2' });
+    await page.goto(formUrl, { waitUntil: 'networkidle2' });
   } catch (err) {
     console.error('[Scraper] Error navigating to form:', err);
     throw err;
@@ -79,22 +80,7 @@ export async function getContentForDropdownItem(page, itemText) {
     await page.waitForSelector('button[data-automation-id="backButton"]', { timeout: 30000 });
     await new Promise(res => setTimeout(res, 1000));
     const content = await page.evaluate(() => document.body.innerText);
-    // Remove the first 2 lines from the content
-    let cleanedContent = content.split('\n').slice(2).join('\n').trim();
-    // Remove all content after "Select \"Back\"" or "Back\nSubmit"
-    const selectBackMatch = cleanedContent.match(/Select\s*["'“”‘’`]?Back["'“”‘’`]?/i);
-    const backSubmitMatch = cleanedContent.match(/Back\s*\n\s*Submit/i);
-    let cutIdx = -1;
-    if (selectBackMatch && backSubmitMatch) {
-      cutIdx = Math.min(selectBackMatch.index, backSubmitMatch.index);
-    } else if (selectBackMatch) {
-      cutIdx = selectBackMatch.index;
-    } else if (backSubmitMatch) {
-      cutIdx = backSubmitMatch.index;
-    }
-    if (cutIdx !== -1) {
-      cleanedContent = cleanedContent.slice(0, cutIdx).trim();
-    }
+    const cleanedContent = cleanPageText(content);
     await page.click('button[data-automation-id="backButton"]');
     await page.waitForSelector('div[role="button"][aria-haspopup="listbox"]', { timeout: 30000 });
     return cleanedContent;
@@ -104,18 +90,47 @@ export async function getContentForDropdownItem(page, itemText) {
   }
 }
 
+/**
+ * Trims the raw innerText of a section page down to the section content.
+ * Drops the first two lines (form title and section header) and everything from
+ * "Select "Back"" (straight or curly quotes) or the "Back / Submit" buttons onward.
+ * @param {string} content - The page's document.body.innerText.
+ * @returns {string} The cleaned content.
+ * @author zevinDev
+ */
+export function cleanPageText(content) {
+  // Remove the first 2 lines from the content
+  let cleanedContent = content.split('\n').slice(2).join('\n').trim();
+  // Remove all content after "Select \"Back\"" or "Back\nSubmit"
+  const selectBackMatch = cleanedContent.match(/Select\s*["'“”‘’`]?Back["'“”‘’`]?/i);
+  const backSubmitMatch = cleanedContent.match(/Back\s*\n\s*Submit/i);
+  let cutIdx = -1;
+  if (selectBackMatch && backSubmitMatch) {
+    cutIdx = Math.min(selectBackMatch.index, backSubmitMatch.index);
+  } else if (selectBackMatch) {
+    cutIdx = selectBackMatch.index;
+  } else if (backSubmitMatch) {
+    cutIdx = backSubmitMatch.index;
+  }
+  if (cutIdx !== -1) {
+    cleanedContent = cleanedContent.slice(0, cutIdx).trim();
+  }
+  return cleanedContent;
+}
+
 /**
  * Gets all dropdown items and their corresponding content.
+ * @param {string} [formUrl] - The form to scrape. Defaults to FORM_LINK.
  * @returns {Promise<Array<{item: string, content: string}>>}
  * @author zevinDev
  */
-export async function getAllDropdownItemsAndContent() {
+export async function getAllDropdownItemsAndContent(formUrl = FORM_URL) {
   // Use --no-sandbox in production/Docker
   const puppeteerArgs = process.env.NODE_ENV === 'production' ? ['--no-sandbox', '--disable-setuid-sandbox'] : [];
   const browser = await puppeteer.launch({ headless: true, args: puppeteerArgs });
   const page = await browser.newPage();
   try {
-    await page.goto(FORM_URL, { waitUntil: 'networkidle2' });
+    await page.goto(formUrl, { waitUntil: 'networkidle2' });
     const items = await getDropdownItems(page);
     const results = [];
     for (const item of items) {
@@ -0,0 +1,126 @@
+// src/search.js
+// Author: zevinDev
+
+// Characters Discord markdown gives meaning to; escaped in snippets so page text cannot break the formatting
+const MARKDOWN_CHARS = /[\\*_~`|>]/g;
+const SNIPPET_RADIUS = 60;
+const SNIPPETS_PER_DOCUMENT = 2;
+
+/**
+ * Splits a search query into lowercase terms. Double-quoted phrases stay together.
+ * @param {string} query - What the user typed, e.g. `saturday "alpha flight"`.
+ * @returns {string[]}
+ * @author zevinDev
+ */
+export function parseQuery(query) {
+  const terms = [];
+  for (const match of String(query ?? '').matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (match[1] ?? match[2]).trim().toLowerCase();
+    if (term && !terms.includes(term)) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Searches documents for every term of a query and ranks the matches.
+ * Whole-word hits count more than hits inside a word, and terms found in the label count most.
+ * @param {Array<{label: string, content: string}>} documents - Anything with a label and text; extra fields are passed through.
+ * @param {string} query - The search query (see parseQuery).
+ * @param {number} [limit=10] - Maximum results.
+ * @returns {Array<{document: object, score: number, snippets: string[]}>} Best first. Snippets are markdown with the terms in bold.
+ * @author zevinDev
+ */
+export function searchDocuments(documents, query, limit = 10) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) return [];
+  const results = [];
+  for (const document of documents) {
+    const content = String(document.content ?? '');
+    const text = content.toLowerCase();
+    const label = String(document.label ?? '').toLowerCase();
+    let score = 0;
+    let matchesAll = true;
+    for (const term of terms) {
+      const inLabel = label.includes(term);
+      const hits = countHits(text, term);
+      if (!inLabel && hits.total === 0) {
+        matchesAll = false;
+        break;
+      }
+      score += (inLabel ? 10 : 0) + hits.words * 3 + (hits.total - hits.words);
+    }
+    if (!matchesAll) continue;
+    results.push({ document, score, snippets: buildSnippets(content, terms) });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+function countHits(text, term) {
+  let total = 0;
+  let words = 0;
+  for (let idx = text.indexOf(term); idx !== -1; idx = text.indexOf(term, idx + term.length)) {
+    total++;
+    const before = text[idx - 1];
+    const after = text[idx + term.length];
+    if ((!before || !/[a-z0-9]/.test(before)) && (!after || !/[a-z0-9]/.test(after))) words++;
+  }
+  return { total, words };
+}
+
+// Pick the lines with the most distinct terms and cut each down to the text around its first hit
+function buildSnippets(content, terms) {
+  return content
+    .split('\n')
+    .map((line, idx) => ({ line: line.trim(), idx, found: terms.filter(t => line.toLowerCase().includes(t)).length }))
+    .filter(({ found }) => found > 0)
+    .sort((a, b) => b.found - a.found || a.idx - b.idx)
+    .slice(0, SNIPPETS_PER_DOCUMENT)
+    .sort((a, b) => a.idx - b.idx)
+    .map(({ line }) => highlight(excerpt(line, terms), terms));
+}
+
+function excerpt(line, terms) {
+  const lower = line.toLowerCase();
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i !== -1));
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(line.length, first + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${line.slice(start, end)}${end < line.length ? '…' : ''}`;
+}
+
+function highlight(text, terms) {
+  // Mark hit ranges on the raw text first so escaping cannot shift them
+  const marked = new Array(text.length).fill(false);
+  const lower = text.toLowerCase();
+  for (const term of terms) {
+    for (let idx = lower.indexOf(term); idx !== -1; idx = lower.indexOf(term, idx + term.length)) {
+      marked.fill(true, idx, idx + term.length);
+    }
+  }
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    if (marked[i] && !marked[i - 1]) result += '**';
+    result += text[i].replace(MARKDOWN_CHARS, '\\$&');
+    if (marked[i] && !marked[i + 1]) result += '**';
+  }
+  return result;
+}
+
+/**
+ * Formats search results for an embed description: a numbered page name, when it is an older version,
+ * and its snippets as quotes. Results that would push the text over `maxLength` are left out.
+ * @param {ReturnType<typeof searchDocuments>} results - Output of searchDocuments; documents may have a `timestamp` for old versions.
+ * @param {number} [maxLength=4096] - Discord's embed description limit.
+ * @returns {string}
+ * @author zevinDev
+ */
+export function formatSearchResults(results, maxLength = 4096) {
+  let text = '';
+  for (const [idx, { document, snippets }] of results.entries()) {
+    const version = document.timestamp ? ` · version from <t:${Math.floor(new Date(document.timestamp).getTime() / 1000)}:f>` : '';
+    const entry = [`**${idx + 1}. ${document.label}**${version}`, ...snippets.map(s => `> ${s}`)].join('\n');
+    const next = text ? `${text}\n\n${entry}` : entry;
+    if (next.length > maxLength) break;
+    text = next;
+  }
+  return text;
+}
@@ -0,0 +1,37 @@
+// src/storage/index.js
+// Author: zevinDev
+
+import { createMongoStorage } from './mongo.js';
+import { createSqliteStorage } from './sqlite.js';
+import { createMemoryStorage } from './memory.js';
+
+/** Storage backends that can be chosen with STORAGE_BACKEND. */
+export const STORAGE_BACKENDS = ['mongo', 'sqlite', 'memory'];
+
+/** Where the SQLite backend keeps its database when SQLITE_PATH is not set. */
+export const DEFAULT_SQLITE_PATH = 'data/bot.sqlite';
+
+/**
+ * Creates the storage backend chosen by configuration.
+ * STORAGE_BACKEND picks mongo, sqlite or memory. Without it, MongoDB is used when MONGODB_URI is set
+ * and SQLite otherwise, so small servers and local development need no database server.
+ * @param {object} env - Environment variables (STORAGE_BACKEND, MONGODB_URI, SQLITE_PATH).
+ * @param {string} [backend] - Overrides STORAGE_BACKEND.
+ * @returns {object} A storage object; call init() before use.
+ * @throws {Error} If the backend is unknown or its configuration is missing.
+ * @author zevinDev
+ */
+export function createStorage(env, backend = env.STORAGE_BACKEND) {
+  const name = (backend || (env.MONGODB_URI ? 'mongo' : 'sqlite')).toLowerCase();
+  switch (name) {
+    case 'mongo':
+    case 'mongodb':
+      return createMongoStorage(env.MONGODB_URI);
+    case 'sqlite':
+      return createSqliteStorage(env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${STORAGE_BACKENDS.join(', ')}.`);
+  }
+}
@@ -0,0 +1,152 @@
+// src/storage/memory.js
+// Author: zevinDev
+
+/**
+ * Creates a storage backend that keeps everything in memory. Nothing survives a restart,
+ * which makes it suited to unit tests and trying the bot out locally.
+ *
+ * Every storage backend exposes the same async methods:
+ *   init(), close()
+ *   ping() -> throws if the backend cannot be reached
+ *   readDropdownCache(formId, item) -> string ('' if missing)
+ *   writeDropdownCache(formId, item, content)
+ *   listDropdownCache() -> [{form, item, content}]
+ *   readLatestHistory(formId, item) -> version|null
+ *   appendHistory({form, item, content, hash, timestamp}) -> version
+ *   readHistory(formId, item, limit) -> version[], newest first
+ *   countHistory(formId, item) -> number of versions
+ *   readHistoryVersion(id) -> version|null
+ *   listHistory() -> every version, oldest first
+ *   loadGuildSettings() -> settings documents
+ *   saveGuildSettings(doc)
+ *   loadLastSentContent() -> [{guildId, pages}]
+ *   saveLastSentContent(guildId, pages)
+ *   loadScrapeStatus() -> scrape statuses
+ *   saveScrapeStatus(status)
+ *   loadSubscriptions() -> subscription documents
+ *   saveSubscription(doc) (a document without pages is deleted)
+ *   appendAudit(entry) -> entry with an id
+ *   readAudit(guildId, {limit, actorId}) -> entries, newest first
+ *   listAudit() -> every entry, oldest first
+ * A version is {id, form, item, content, hash, timestamp}.
+ * A scrape status is {form, item, lastSuccessAt, lastErrorAt, lastError, consecutiveFailures}.
+ * A subscription is {guildId, userId, pages: pageKey[], sent: {[pageKey]: hash}, dmBlocked}.
+ * An audit entry is {id, guildId, actorId, actorTag, action, before, after, timestamp}.
+ *
+ * @param {object} [seed] - Initial data: { cache: [{form, item, content}], guildSettings: [doc], lastSentContent: [{guildId, pages}] }.
+ * @returns {object} A storage object.
+ * @author zevinDev
+ */
+export function createMemoryStorage(seed = {}) {
+  const cache = new Map();
+  const history = [];
+  const guildSettings = new Map();
+  const lastSentContent = new Map();
+  const scrapeStatus = new Map();
+  const subscriptions = new Map();
+  const audit = [];
+  const cacheKey = (formId, item) => `${formId}\n${item}`;
+  // Documents are copied in and out so callers cannot mutate stored state by accident
+  const clone = value => structuredClone(value);
+
+  for (const { form, item, content } of seed.cache || []) cache.set(cacheKey(form, item), content);
+  for (const doc of seed.guildSettings || []) guildSettings.set(doc.guildId, clone(doc));
+  for (const doc of seed.lastSentContent || []) lastSentContent.set(doc.guildId, clone(doc));
+
+  return {
+    name: 'memory',
+
+    async init() {},
+    async close() {},
+    async ping() {},
+
+    async readDropdownCache(formId, item) {
+      return cache.get(cacheKey(formId, item)) || '';
+    },
+    async writeDropdownCache(formId, item, content) {
+      cache.set(cacheKey(formId, item), content);
+    },
+    async listDropdownCache() {
+      return Array.from(cache, ([key, content]) => {
+        const idx = key.indexOf('\n');
+        return { form: key.slice(0, idx), item: key.slice(idx + 1), content };
+      });
+    },
+
+    async readLatestHistory(formId, item) {
+      const versions = history.filter(v => v.form === formId && v.item === item);
+      return versions.length > 0 ? clone(versions[versions.length - 1]) : null;
+    },
+    async appendHistory(version) {
+      const stored = { ...clone(version), id: String(history.length + 1) };
+      history.push(stored);
+      return clone(stored);
+    },
+    async readHistory(formId, item, limit) {
+      return history
+        .filter(v => v.form === formId && v.item === item)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, limit)
+        .map(clone);
+    },
+    async countHistory(formId, item) {
+      return history.filter(v => v.form === formId && v.item === item).length;
+    },
+    async readHistoryVersion(id) {
+      const version = history.find(v => v.id === String(id));
+      return version ? clone(version) : null;
+    },
+    async listHistory() {
+      return history.map(clone);
+    },
+
+    async loadGuildSettings() {
+      return Array.from(guildSettings.values()).map(clone);
+    },
+    async saveGuildSettings(doc) {
+      guildSettings.set(doc.guildId, clone(doc));
+    },
+
+    async loadLastSentContent() {
+      return Array.from(lastSentContent.values()).map(clone);
+    },
+    async saveLastSentContent(guildId, pages) {
+      lastSentContent.set(guildId, { guildId, pages: clone(pages) });
+    },
+
+    async loadScrapeStatus() {
+      return Array.from(scrapeStatus.values()).map(clone);
+    },
+    async saveScrapeStatus(status) {
+      scrapeStatus.set(cacheKey(status.form, status.item), clone(status));
+    },
+
+    async loadSubscriptions() {
+      return Array.from(subscriptions.values()).map(clone);
+    },
+    async saveSubscription(doc) {
+      const key = cacheKey(doc.guildId, doc.userId);
+      if (doc.pages.length === 0) {
+        subscriptions.delete(key);
+      } else {
+        subscriptions.set(key, clone(doc));
+      }
+    },
+
+    async appendAudit(entry) {
+      const stored = { ...clone(entry), id: String(audit.length + 1) };
+      audit.push(stored);
+      return clone(stored);
+    },
+    async readAudit(guildId, { limit = 20, actorId = null } = {}) {
+      return audit
+        .filter(e => e.guildId === guildId && (!actorId || e.actorId === actorId))
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp) || Number(b.id) - Number(a.id))
+        .slice(0, limit)
+        .map(clone);
+    },
+    async listAudit() {
+      return audit.map(clone);
+    },
+  };
+}
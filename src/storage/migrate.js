@@ -0,0 +1,117 @@
+// src/storage/migrate.js
+// Author: zevinDev
+
+import dotenv from 'dotenv';
+import { createStorage, STORAGE_BACKENDS } from './index.js';
+
+/**
+ * Copies the dropdown cache, content history, guild settings, last-sent state, scrape status, DM subscriptions
+ * and audit log from one backend to another.
+ * Running it again is safe: cache, settings, last-sent, status and subscription rows are overwritten, and history versions
+ * and audit entries already in the target (same page, hash and timestamp, or same guild, actor, action and time) are skipped.
+ * Every backend numbers history versions its own way, so the version ids in last-sent entries are rewritten to the
+ * target's ids; an id whose version is not in the source is cleared rather than left pointing at another version.
+ * @param {object} source - Initialized storage to read from.
+ * @param {object} target - Initialized storage to write to.
+ * @returns {Promise<{cache: number, history: number, guildSettings: number, lastSentContent: number, scrapeStatus: number, subscriptions: number, audit: number}>} How many records were copied.
+ * @author zevinDev
+ */
+export async function migrateStorage(source, target) {
+  const counts = { cache: 0, history: 0, guildSettings: 0, lastSentContent: 0, scrapeStatus: 0, subscriptions: 0, audit: 0 };
+
+  for (const { form, item, content } of await source.listDropdownCache()) {
+    await target.writeDropdownCache(form, item, content);
+    counts.cache++;
+  }
+
+  const versionKey = v => `${v.form}\n${v.item}\n${v.hash}\n${new Date(v.timestamp).getTime()}`;
+  const existing = new Map((await target.listHistory()).map(v => [versionKey(v), v.id]));
+  // Source version id -> target version id
+  const versionIds = new Map();
+  for (const version of await source.listHistory()) {
+    const { id, ...rest } = version;
+    let targetId = existing.get(versionKey(version));
+    if (targetId === undefined) {
+      targetId = (await target.appendHistory({ ...rest, timestamp: new Date(version.timestamp) })).id;
+      counts.history++;
+    }
+    versionIds.set(String(id), String(targetId));
+  }
+
+  for (const doc of await source.loadGuildSettings()) {
+    const { _id, ...settings } = doc;
+    await target.saveGuildSettings(settings);
+    counts.guildSettings++;
+  }
+
+  const mapVersionId = id => (id == null ? null : versionIds.get(String(id)) ?? null);
+  for (const { guildId, pages } of await source.loadLastSentContent()) {
+    await target.saveLastSentContent(guildId, Object.fromEntries(Object.entries(pages).map(([key, entry]) => [key, remapLastSent(entry, mapVersionId)])));
+    counts.lastSentContent++;
+  }
+
+  for (const status of await source.loadScrapeStatus()) {
+    await target.saveScrapeStatus(status);
+    counts.scrapeStatus++;
+  }
+
+  for (const doc of await source.loadSubscriptions()) {
+    const { _id, ...subscription } = doc;
+    await target.saveSubscription(subscription);
+    counts.subscriptions++;
+  }
+
+  const auditKey = e => `${e.guildId}\n${e.actorId}\n${e.action}\n${new Date(e.timestamp).getTime()}`;
+  const existingAudit = new Set((await target.listAudit()).map(auditKey));
+  for (const entry of await source.listAudit()) {
+    if (existingAudit.has(auditKey(entry))) continue;
+    const { id, ...rest } = entry;
+    await target.appendAudit({ ...rest, timestamp: new Date(entry.timestamp) });
+    counts.audit++;
+  }
+
+  return counts;
+}
+
+// A last-sent entry with its history version ids translated by `mapId`. Entries saved as plain text have none.
+function remapLastSent(entry, mapId) {
+  if (!entry || typeof entry !== 'object') return entry;
+  const remapped = { ...entry, versionId: mapId(entry.versionId) };
+  if (entry.notified) {
+    remapped.notified = { ...entry.notified, fromVersionId: mapId(entry.notified.fromVersionId), toVersionId: mapId(entry.notified.toVersionId) };
+  }
+  return remapped;
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(from|to)(?:=(.*))?$/);
+    if (match) args[match[1]] = match[2] ?? argv[++i];
+  }
+  return args;
+}
+
+// Usage: bun src/storage/migrate.js --from mongo --to sqlite
+if (import.meta.main) {
+  dotenv.config();
+  const { from, to } = parseArgs(process.argv.slice(2));
+  if (!STORAGE_BACKENDS.includes(from) || !STORAGE_BACKENDS.includes(to) || from === to) {
+    console.error(`Usage: bun src/storage/migrate.js --from <backend> --to <backend> (backends: ${STORAGE_BACKENDS.join(', ')})`);
+    process.exit(1);
+  }
+  const source = createStorage(process.env, from);
+  const target = createStorage(process.env, to);
+  try {
+    await source.init();
+    await target.init();
+    const counts = await migrateStorage(source, target);
+    console.log(`[Migrate] Copied ${from} -> ${to}:`, counts);
+  } catch (err) {
+    console.error('[Migrate] Migration failed:', err);
+    process.exitCode = 1;
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
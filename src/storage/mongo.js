@@ -0,0 +1,156 @@
+// src/storage/mongo.js
+// Author: zevinDev
+
+import { MongoClient, ObjectId } from 'mongodb';
+import { DEFAULT_FORM_ID } from '../forms.js';
+
+/**
+ * Creates the MongoDB storage backend.
+ * Collections: dropdownCache, dropdownHistory, guildSettings, lastSentContent, scrapeStatus, subscriptions, auditLog.
+ * @param {string} uri - MongoDB connection string.
+ * @returns {object} A storage object (see memory.js for the shared interface).
+ * @throws {Error} If the URI is missing.
+ * @author zevinDev
+ */
+export function createMongoStorage(uri) {
+  if (!uri) throw new Error('Missing MONGODB_URI in environment variables.');
+  const mongoClient = new MongoClient(uri);
+  let dropdownCacheCol;
+  let dropdownHistoryCol;
+  let guildSettingsCol;
+  let lastSentContentCol;
+  let scrapeStatusCol;
+  let subscriptionsCol;
+  let auditLogCol;
+
+  // Audit entries are exposed with a string `id` instead of Mongo's `_id`
+  const toAuditEntry = ({ _id, ...entry }) => ({ ...entry, id: _id.toString() });
+  // History documents are exposed with a string `id` instead of Mongo's `_id`
+  const toVersion = doc => (doc ? { id: doc._id.toString(), form: doc.form, item: doc.item, content: doc.content, hash: doc.hash, timestamp: doc.timestamp } : null);
+
+  return {
+    name: 'mongo',
+
+    async init() {
+      await mongoClient.connect();
+      const db = mongoClient.db();
+      dropdownCacheCol = db.collection('dropdownCache');
+      guildSettingsCol = db.collection('guildSettings');
+      lastSentContentCol = db.collection('lastSentContent');
+      dropdownHistoryCol = db.collection('dropdownHistory');
+      scrapeStatusCol = db.collection('scrapeStatus');
+      subscriptionsCol = db.collection('subscriptions');
+      auditLogCol = db.collection('auditLog');
+      // Cache and history entries written before forms were namespaced belong to the FORM_LINK form
+      await dropdownCacheCol.updateMany({ form: { $exists: false } }, { $set: { form: DEFAULT_FORM_ID } });
+      await dropdownHistoryCol.updateMany({ form: { $exists: false } }, { $set: { form: DEFAULT_FORM_ID } });
+      await dropdownHistoryCol.createIndex({ form: 1, item: 1, timestamp: -1 });
+      await auditLogCol.createIndex({ guildId: 1, timestamp: -1 });
+    },
+
+    async close() {
+      await mongoClient.close();
+    },
+
+    async ping() {
+      await mongoClient.db().command({ ping: 1 });
+    },
+
+    // --- CACHE SYSTEM FOR DROPDOWN CONTENT ---
+    // Documents are namespaced by form: { form, item, content }
+    async readDropdownCache(formId, item) {
+      const doc = await dropdownCacheCol.findOne({ form: formId, item });
+      return doc?.content || '';
+    },
+    async writeDropdownCache(formId, item, content) {
+      await dropdownCacheCol.updateOne(
+        { form: formId, item },
+        { $set: { form: formId, item, content } },
+        { upsert: true }
+      );
+    },
+    async listDropdownCache() {
+      return dropdownCacheCol.find({}, { projection: { _id: 0, form: 1, item: 1, content: 1 } }).toArray();
+    },
+
+    // --- CONTENT HISTORY ---
+    // One document per distinct version: { form, item, content, hash, timestamp }
+    async readLatestHistory(formId, item) {
+      return toVersion(await dropdownHistoryCol.findOne({ form: formId, item }, { sort: { timestamp: -1 } }));
+    },
+    async appendHistory(version) {
+      const { insertedId } = await dropdownHistoryCol.insertOne({ ...version });
+      return { ...version, id: insertedId.toString() };
+    },
+    async readHistory(formId, item, limit) {
+      const docs = await dropdownHistoryCol.find({ form: formId, item }).sort({ timestamp: -1 }).limit(limit).toArray();
+      return docs.map(toVersion);
+    },
+    async countHistory(formId, item) {
+      return dropdownHistoryCol.countDocuments({ form: formId, item });
+    },
+    async readHistoryVersion(id) {
+      if (!ObjectId.isValid(id)) return null;
+      return toVersion(await dropdownHistoryCol.findOne({ _id: new ObjectId(id) }));
+    },
+    async listHistory() {
+      const docs = await dropdownHistoryCol.find().sort({ timestamp: 1, _id: 1 }).toArray();
+      return docs.map(toVersion);
+    },
+
+    // --- GUILD SETTINGS ---
+    async loadGuildSettings() {
+      return guildSettingsCol.find().toArray();
+    },
+    async saveGuildSettings(doc) {
+      await guildSettingsCol.updateOne({ guildId: doc.guildId }, { $set: doc }, { upsert: true });
+    },
+
+    // --- LAST SENT CONTENT ---
+    async loadLastSentContent() {
+      return lastSentContentCol.find().toArray();
+    },
+    async saveLastSentContent(guildId, pages) {
+      await lastSentContentCol.updateOne({ guildId }, { $set: { guildId, pages } }, { upsert: true });
+    },
+
+    // --- SCRAPE STATUS ---
+    async loadScrapeStatus() {
+      return scrapeStatusCol.find({}, { projection: { _id: 0 } }).toArray();
+    },
+    async saveScrapeStatus(status) {
+      await scrapeStatusCol.updateOne({ form: status.form, item: status.item }, { $set: status }, { upsert: true });
+    },
+
+    // --- DM SUBSCRIPTIONS ---
+    // One document per member and guild: { guildId, userId, pages, sent, dmBlocked }
+    async loadSubscriptions() {
+      return subscriptionsCol.find({}, { projection: { _id: 0 } }).toArray();
+    },
+    async saveSubscription(doc) {
+      const filter = { guildId: doc.guildId, userId: doc.userId };
+      if (doc.pages.length === 0) {
+        await subscriptionsCol.deleteOne(filter);
+      } else {
+        await subscriptionsCol.updateOne(filter, { $set: doc }, { upsert: true });
+      }
+    },
+
+    // --- AUDIT LOG ---
+    // One document per change: { guildId, actorId, actorTag, action, before, after, timestamp }
+    async appendAudit(entry) {
+      const { id, ...doc } = entry;
+      const { insertedId } = await auditLogCol.insertOne({ ...doc, timestamp: new Date(doc.timestamp) });
+      return { ...doc, id: insertedId.toString(), timestamp: new Date(doc.timestamp) };
+    },
+    async readAudit(guildId, { limit = 20, actorId = null } = {}) {
+      const filter = actorId ? { guildId, actorId } : { guildId };
+      const docs = await auditLogCol.find(filter).sort({ timestamp: -1, _id: -1 }).limit(limit).toArray();
+      return docs.map(toAuditEntry);
+    },
+    async listAudit() {
+      const docs = await auditLogCol.find().sort({ timestamp: 1, _id: 1 }).toArray();
+      return docs.map(toAuditEntry);
+    },
+  };
+}
@@ -0,0 +1,197 @@
+// src/storage/sqlite.js
+// Author: zevinDev
+
+import { Database } from 'bun:sqlite';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * Creates the embedded SQLite storage backend (Bun's built-in bun:sqlite, no server needed).
+ * Settings and last-sent state are stored as JSON documents, one row per guild.
+ * @param {string} path - Database file, or ":memory:".
+ * @returns {object} A storage object (see memory.js for the shared interface).
+ * @author zevinDev
+ */
+export function createSqliteStorage(path) {
+  let db = null;
+
+  const toVersion = row => (row ? {
+    id: String(row.id),
+    form: row.form,
+    item: row.item,
+    content: row.content,
+    hash: row.hash,
+    timestamp: new Date(row.timestamp),
+  } : null);
+
+  const toAuditEntry = row => ({ ...JSON.parse(row.doc), id: String(row.id), timestamp: new Date(row.timestamp) });
+
+  const toDate = value => (value ? new Date(value) : null);
+  const toIso = value => (value ? new Date(value).toISOString() : null);
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+      db = new Database(path, { create: true });
+      db.run('PRAGMA journal_mode = WAL');
+      db.run(`CREATE TABLE IF NOT EXISTS dropdown_cache (
+        form TEXT NOT NULL,
+        item TEXT NOT NULL,
+        content TEXT NOT NULL,
+        PRIMARY KEY (form, item)
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS dropdown_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        form TEXT NOT NULL,
+        item TEXT NOT NULL,
+        content TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        timestamp TEXT NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS dropdown_history_page ON dropdown_history (form, item, timestamp)');
+      db.run('CREATE TABLE IF NOT EXISTS guild_settings (guild_id TEXT PRIMARY KEY, doc TEXT NOT NULL)');
+      db.run('CREATE TABLE IF NOT EXISTS last_sent_content (guild_id TEXT PRIMARY KEY, pages TEXT NOT NULL)');
+      db.run(`CREATE TABLE IF NOT EXISTS scrape_status (
+        form TEXT NOT NULL,
+        item TEXT NOT NULL,
+        last_success_at TEXT,
+        last_error_at TEXT,
+        last_error TEXT,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (form, item)
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        doc TEXT NOT NULL,
+        PRIMARY KEY (guild_id, user_id)
+      )`);
+      db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        doc TEXT NOT NULL
+      )`);
+      db.run('CREATE INDEX IF NOT EXISTS audit_log_guild ON audit_log (guild_id, timestamp)');
+    },
+
+    async close() {
+      db?.close();
+      db = null;
+    },
+
+    async ping() {
+      db.query('SELECT 1').get();
+    },
+
+    // --- CACHE SYSTEM FOR DROPDOWN CONTENT ---
+    async readDropdownCache(formId, item) {
+      const row = db.query('SELECT content FROM dropdown_cache WHERE form = ? AND item = ?').get(formId, item);
+      return row?.content || '';
+    },
+    async writeDropdownCache(formId, item, content) {
+      db.query(`INSERT INTO dropdown_cache (form, item, content) VALUES (?, ?, ?)
+        ON CONFLICT (form, item) DO UPDATE SET content = excluded.content`).run(formId, item, content);
+    },
+    async listDropdownCache() {
+      return db.query('SELECT form, item, content FROM dropdown_cache').all();
+    },
+
+    // --- CONTENT HISTORY ---
+    async readLatestHistory(formId, item) {
+      return toVersion(db.query('SELECT * FROM dropdown_history WHERE form = ? AND item = ? ORDER BY timestamp DESC, id DESC LIMIT 1').get(formId, item));
+    },
+    async appendHistory(version) {
+      const timestamp = new Date(version.timestamp).toISOString();
+      const { lastInsertRowid } = db.query('INSERT INTO dropdown_history (form, item, content, hash, timestamp) VALUES (?, ?, ?, ?, ?)')
+        .run(version.form, version.item, version.content, version.hash, timestamp);
+      return { ...version, id: String(lastInsertRowid), timestamp: new Date(timestamp) };
+    },
+    async readHistory(formId, item, limit) {
+      return db.query('SELECT * FROM dropdown_history WHERE form = ? AND item = ? ORDER BY timestamp DESC, id DESC LIMIT ?')
+        .all(formId, item, limit)
+        .map(toVersion);
+    },
+    async countHistory(formId, item) {
+      return db.query('SELECT COUNT(*) AS count FROM dropdown_history WHERE form = ? AND item = ?').get(formId, item).count;
+    },
+    async readHistoryVersion(id) {
+      return toVersion(db.query('SELECT * FROM dropdown_history WHERE id = ?').get(Number(id)));
+    },
+    async listHistory() {
+      return db.query('SELECT * FROM dropdown_history ORDER BY timestamp, id').all().map(toVersion);
+    },
+
+    // --- GUILD SETTINGS ---
+    async loadGuildSettings() {
+      return db.query('SELECT doc FROM guild_settings').all().map(row => JSON.parse(row.doc));
+    },
+    async saveGuildSettings(doc) {
+      db.query(`INSERT INTO guild_settings (guild_id, doc) VALUES (?, ?)
+        ON CONFLICT (guild_id) DO UPDATE SET doc = excluded.doc`).run(doc.guildId, JSON.stringify(doc));
+    },
+
+    // --- LAST SENT CONTENT ---
+    async loadLastSentContent() {
+      return db.query('SELECT guild_id, pages FROM last_sent_content').all()
+        .map(row => ({ guildId: row.guild_id, pages: JSON.parse(row.pages) }));
+    },
+    async saveLastSentContent(guildId, pages) {
+      db.query(`INSERT INTO last_sent_content (guild_id, pages) VALUES (?, ?)
+        ON CONFLICT (guild_id) DO UPDATE SET pages = excluded.pages`).run(guildId, JSON.stringify(pages));
+    },
+
+    // --- SCRAPE STATUS ---
+    async loadScrapeStatus() {
+      return db.query('SELECT * FROM scrape_status').all().map(row => ({
+        form: row.form,
+        item: row.item,
+        lastSuccessAt: toDate(row.last_success_at),
+        lastErrorAt: toDate(row.last_error_at),
+        lastError: row.last_error,
+        consecutiveFailures: row.consecutive_failures,
+      }));
+    },
+    async saveScrapeStatus(status) {
+      db.query(`INSERT INTO scrape_status (form, item, last_success_at, last_error_at, last_error, consecutive_failures)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (form, item) DO UPDATE SET last_success_at = excluded.last_success_at, last_error_at = excluded.last_error_at,
+          last_error = excluded.last_error, consecutive_failures = excluded.consecutive_failures`)
+        .run(status.form, status.item, toIso(status.lastSuccessAt), toIso(status.lastErrorAt), status.lastError ?? null, status.consecutiveFailures);
+    },
+
+    // --- DM SUBSCRIPTIONS ---
+    async loadSubscriptions() {
+      return db.query('SELECT doc FROM subscriptions').all().map(row => JSON.parse(row.doc));
+    },
+    async saveSubscription(doc) {
+      if (doc.pages.length === 0) {
+        db.query('DELETE FROM subscriptions WHERE guild_id = ? AND user_id = ?').run(doc.guildId, doc.userId);
+        return;
+      }
+      db.query(`INSERT INTO subscriptions (guild_id, user_id, doc) VALUES (?, ?, ?)
+        ON CONFLICT (guild_id, user_id) DO UPDATE SET doc = excluded.doc`).run(doc.guildId, doc.userId, JSON.stringify(doc));
+    },
+
+    // --- AUDIT LOG ---
+    async appendAudit(entry) {
+      const { id, timestamp, ...doc } = entry;
+      const iso = new Date(timestamp).toISOString();
+      const { lastInsertRowid } = db.query('INSERT INTO audit_log (guild_id, actor_id, timestamp, doc) VALUES (?, ?, ?, ?)')
+        .run(entry.guildId, entry.actorId, iso, JSON.stringify(doc));
+      return { ...doc, id: String(lastInsertRowid), timestamp: new Date(iso) };
+    },
+    async readAudit(guildId, { limit = 20, actorId = null } = {}) {
+      const rows = actorId
+        ? db.query('SELECT * FROM audit_log WHERE guild_id = ? AND actor_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?').all(guildId, actorId, limit)
+        : db.query('SELECT * FROM audit_log WHERE guild_id = ? ORDER BY timestamp DESC, id DESC LIMIT ?').all(guildId, limit);
+      return rows.map(toAuditEntry);
+    },
+    async listAudit() {
+      return db.query('SELECT * FROM audit_log ORDER BY timestamp, id').all().map(toAuditEntry);
+    },
+  };
+}
@@ -0,0 +1,47 @@
+// test/alerts.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { compileAlertPattern, matchAlertRules, describeAlertMatches } from '../src/alerts.js';
+
+describe('alerts', () => {
+  it('compileAlertPattern treats plain text as a case-insensitive keyword and /x/ as a regex', () => {
+    expect(compileAlertPattern('Cdt. Smith (1)').test('cdt. smith (1) - driver')).toBe(true);
+    expect(compileAlertPattern('/^PT \\d{4}$/').test('PT 0600')).toBe(true);
+    expect(compileAlertPattern('/^pt/').test('PT 0600')).toBe(false);
+    expect(compileAlertPattern('/^pt/gi').flags).toBe('i');
+    expect(() => compileAlertPattern('/(/')).toThrow('Invalid regex /(/');
+    expect(() => compileAlertPattern('  ')).toThrow('The pattern cannot be empty.');
+  });
+
+  it('matchAlertRules reports lines that appeared, changed or disappeared', () => {
+    const previous = 'Drivers: Jones\nPT 0600\nUniform ABUs';
+    const content = 'Drivers: Jones, Smith\nPT 0700\nFormation 0800';
+    const fired = matchAlertRules([
+      { pattern: 'smith' },
+      { pattern: '/^PT/' },
+      { pattern: 'abus' },
+      { pattern: 'jones', on: 'appear' },
+      { pattern: 'formation' },
+    ], previous, content);
+    expect(fired.map(({ rule, matches }) => [rule.pattern, matches])).toEqual([
+      ['smith', [{ event: 'appear', line: 'Drivers: Jones, Smith' }]],
+      ['/^PT/', [{ event: 'change', line: 'PT 0700', oldLine: 'PT 0600' }]],
+      ['abus', [{ event: 'disappear', line: 'Uniform ABUs' }]],
+      ['formation', [{ event: 'appear', line: 'Formation 0800' }]],
+    ]);
+  });
+
+  it('matchAlertRules treats every line as new when nothing was sent yet and skips invalid patterns', () => {
+    expect(matchAlertRules([{ pattern: '/(/' }, { pattern: 'pt' }], undefined, 'PT 0600')).toEqual([
+      { rule: { pattern: 'pt' }, matches: [{ event: 'appear', line: 'PT 0600' }] },
+    ]);
+  });
+
+  it('describeAlertMatches renders one line per match', () => {
+    expect(describeAlertMatches({
+      rule: { pattern: 'pt' },
+      matches: [{ event: 'change', line: 'PT 0700', oldLine: 'PT 0600' }, { event: 'disappear', line: 'PT gear' }],
+    })).toBe('`pt` changed: PT 0600 → PT 0700\n`pt` disappeared: PT gear');
+  });
+});
@@ -0,0 +1,23 @@
+// test/audit.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { formatAuditEntry, formatAuditValue } from '../src/audit.js';
+
+describe('audit', () => {
+  it('formatAuditValue shows empty values as none, lists joined and booleans as On/Off', () => {
+    expect(formatAuditValue(null)).toBe('*none*');
+    expect(formatAuditValue([])).toBe('*none*');
+    expect(formatAuditValue(['Alpha', 'Bravo'])).toBe('Alpha, Bravo');
+    expect(formatAuditValue(true)).toBe('On');
+    expect(formatAuditValue('x'.repeat(400))).toHaveLength(300);
+  });
+
+  it('formatAuditEntry renders the time, actor, action and change', () => {
+    const timestamp = new Date('2024-07-01T12:00:00Z');
+    expect(formatAuditEntry({ actorId: 'u1', action: 'roles', target: 'Alpha', before: [], after: ['<@&r1>'], timestamp }))
+      .toBe('<t:1719835200:f> <@u1> **Page roles** (Alpha): *none* → <@&r1>');
+    expect(formatAuditEntry({ actorId: 'u1', action: 'reset', before: null, after: null, timestamp }))
+      .toBe('<t:1719835200:f> <@u1> **Settings reset**');
+  });
+});
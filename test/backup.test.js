@@ -0,0 +1,127 @@
+// test/backup.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { buildSettingsFile, parseSettingsFile, resolveSettingsFile } from '../src/backup.js';
+
+const guild = {
+  id: 'guild-1',
+  name: 'Test Guild',
+  roles: { cache: new Map([['role-a', { id: 'role-a', name: 'Alpha' }]]) },
+  channels: { cache: new Map([['channel-1', { id: 'channel-1', name: 'updates', type: 0 }]]) },
+};
+
+describe('backup', () => {
+  it('buildSettingsFile saves role and channel names next to their ids', () => {
+    const file = buildSettingsFile({
+      pages: ['default::Alpha'],
+      roles: { 'default::Alpha': ['role-a', 'gone'] },
+      channel: 'channel-1',
+      alerts: [],
+    }, guild, new Date('2024-07-01T12:00:00Z'));
+    expect(file).toMatchObject({
+      version: 1,
+      exportedAt: '2024-07-01T12:00:00.000Z',
+      guild: { id: 'guild-1', name: 'Test Guild' },
+      roles: { 'default::Alpha': [{ id: 'role-a', name: 'Alpha' }, { id: 'gone', name: null }] },
+      channel: { id: 'channel-1', name: 'updates' },
+      notifyMode: 'diff',
+    });
+  });
+
+  it('parseSettingsFile rejects files the bot cannot apply', () => {
+    const valid = { version: 1, pages: ['Alpha'], roles: {}, channel: null };
+    expect(parseSettingsFile(JSON.stringify(valid)).pages).toEqual(['default::Alpha']);
+    expect(() => parseSettingsFile('not json')).toThrow('The file is not valid JSON.');
+    expect(() => parseSettingsFile(JSON.stringify({ ...valid, version: 2 }))).toThrow('unsupported version 2');
+    expect(() => parseSettingsFile(JSON.stringify({ ...valid, notifyMode: 'loud' }))).toThrow('"notifyMode" must be one of');
+    expect(() => parseSettingsFile(JSON.stringify({ ...valid, schedule: { type: 'cron', cron: 'nope', timezone: 'UTC' } }))).toThrow('"schedule" is not valid');
+    expect(() => parseSettingsFile(JSON.stringify({ ...valid, alerts: [{ page: 'Alpha', pattern: '/(/' }] }))).toThrow('alert rule 1: Invalid regex');
+    expect(() => parseSettingsFile(JSON.stringify({ ...valid, ignorePatterns: ['/(/'] }))).toThrow('ignore pattern /(/: Invalid regex');
+  });
+
+  it('resolveSettingsFile matches roles and channels by id, then name, and reports what it skipped', () => {
+    const file = parseSettingsFile(JSON.stringify({
+      version: 1,
+      forms: { f0123456789: { label: 'Other form' } },
+      pages: ['default::Alpha', 'default::Gone', 'f0123456789::Delta'],
+      roles: { 'default::Alpha': [{ id: 'x', name: 'ALPHA' }, { id: 'y', name: 'Missing' }] },
+      channel: { id: 'z', name: 'updates' },
+      alerts: [{ page: 'default::Alpha', pattern: 'smith', roles: [{ id: 'y', name: 'Missing' }] }],
+    }));
+    const { settings, warnings } = resolveSettingsFile(file, {
+      pageKeys: ['default::Alpha', 'default::Bravo'],
+      formIds: ['default'],
+      roles: guild.roles.cache,
+      channels: guild.channels.cache,
+    });
+    expect(settings).toMatchObject({ pages: ['default::Alpha'], roles: { 'default::Alpha': ['role-a'] }, channel: 'channel-1', alerts: [] });
+    expect(warnings).toEqual([
+      'Alert rule `smith` was skipped because none of its roles or members exist here.',
+      'Pages of forms this server does not monitor were skipped: Other form. Add them with /forms add first.',
+      'Pages no longer on the form were skipped: Gone.',
+      'Roles not found on this server were skipped: Missing.',
+    ]);
+  });
+
+  it('resolveSettingsFile keeps only alert members who are on the server', () => {
+    const file = parseSettingsFile(JSON.stringify({
+      version: 1,
+      pages: ['default::Alpha'],
+      alerts: [
+        { page: 'default::Alpha', pattern: 'smith', users: ['u1', 'stranger'] },
+        { page: 'default::Alpha', pattern: 'jones', users: ['stranger'] },
+      ],
+    }));
+    const { settings, warnings } = resolveSettingsFile(file, {
+      pageKeys: ['default::Alpha'],
+      formIds: ['default'],
+      roles: guild.roles.cache,
+      channels: guild.channels.cache,
+      members: new Set(['u1']),
+    });
+    expect(settings.alerts).toEqual([{ id: '1', page: 'default::Alpha', pattern: 'smith', on: 'any', roles: [], users: ['u1'] }]);
+    expect(warnings).toEqual([
+      'Alert rule `jones` was skipped because none of its roles or members exist here.',
+      'Alert rule members who are not on this server were skipped: <@stranger>.',
+    ]);
+  });
+
+  it('resolveSettingsFile drops alert rules whose pattern is longer than the command accepts', () => {
+    const long = 'x'.repeat(101);
+    const file = parseSettingsFile(JSON.stringify({
+      version: 1,
+      pages: ['default::Alpha'],
+      alerts: [{ page: 'default::Alpha', pattern: long, users: ['u1'] }],
+    }));
+    const { settings, warnings } = resolveSettingsFile(file, {
+      pageKeys: ['default::Alpha'],
+      formIds: ['default'],
+      roles: guild.roles.cache,
+      channels: guild.channels.cache,
+      members: new Set(['u1']),
+    });
+    expect(settings.alerts).toEqual([]);
+    expect(warnings).toEqual(['An alert rule was skipped because its pattern is longer than 100 characters.']);
+  });
+
+  it('resolveSettingsFile drops duplicate and overlong ignore patterns and caps the rest', () => {
+    const file = parseSettingsFile(JSON.stringify({
+      version: 1,
+      pages: ['default::Alpha'],
+      ignorePatterns: ['x'.repeat(101), 'one', 'one', 'two', 'three'],
+    }));
+    const { settings, warnings } = resolveSettingsFile(file, {
+      pageKeys: ['default::Alpha'],
+      formIds: ['default'],
+      roles: guild.roles.cache,
+      channels: guild.channels.cache,
+      maxIgnorePatterns: 2,
+    });
+    expect(settings.ignorePatterns).toEqual(['one', 'two']);
+    expect(warnings).toEqual([
+      '1 ignore pattern(s) longer than 100 characters were skipped.',
+      'Only the first 2 ignore patterns were kept; skipped: `three`.',
+    ]);
+  });
+});
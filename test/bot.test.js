@@ -2,20 +2,861 @@
 // Author: zevinDev
 
 import { describe, it, expect } from 'bun:test';
-import { startBot } from '../src/bot.js';
+import { createBot, startBot } from '../src/bot.js';
+import { createMemoryStorage } from '../src/storage/memory.js';
+import { formIdForUrl } from '../src/forms.js';
+import { createFakeClient, createFakeGuild, createFakeChannel, createFakeInteraction } from './fakes/discord.js';
+import { createFakeScraper, createFakeClock } from './fakes/scraper.js';
+import { hashContent } from '../src/history.js';
+import { migrateStorage } from '../src/storage/migrate.js';
 
-// NOTE: Bun does not support jest.mock or vi.mock. These tests are integration-style and will run real code.
-// For true unit tests, refactor bot.js for dependency injection or use a supported test runner.
+// These tests run the real bot against fakes: an in-memory storage, a scraper that serves
+// pages from an object, a Discord client that records what is sent and a frozen clock.
+
+const GUILD_ID = 'guild-1';
+const ENV = { DISCORD_TOKEN: 'test-token', FORM_LINK: 'https://forms.example/form' };
+const PAGES = {
+  'Alpha Flight': 'Formation 0700\nUniform OCPs',
+  'Bravo Flight': 'No changes this week.',
+};
+
+async function createTestBot({ guildSettings = [], lastSentContent = [], pages = PAGES, env = ENV, fetch, storage = createMemoryStorage({ guildSettings, lastSentContent }) } = {}) {
+  const channel = createFakeChannel('channel-1');
+  const guild = createFakeGuild({
+    id: GUILD_ID,
+    roles: [{ id: 'role-a', name: 'Alpha' }, { id: 'role-b', name: 'Bravo' }],
+    channels: [channel],
+    members: ['user-1'],
+  });
+  const client = createFakeClient([guild]);
+  const scraper = createFakeScraper(pages);
+  const clock = createFakeClock('2024-07-01T12:00:00Z');
+  const bot = createBot({ client, storage, scraper, clock, env, fetch });
+  await bot.start();
+  return { bot, client, guild, channel, storage, scraper, clock };
+}
+
+const configuredGuild = (overrides = {}) => ({
+  guildId: GUILD_ID,
+  pages: ['default::Alpha Flight', 'default::Bravo Flight'],
+  roles: { 'default::Alpha Flight': ['role-a'], 'default::Bravo Flight': ['role-b'] },
+  channel: 'channel-1',
+  ...overrides,
+});
 
 describe('bot', () => {
   it('startBot initializes and returns a client', async () => {
-    let client;
-    try {
-      client = await startBot();
-      expect(client).toBeDefined();
-      expect(typeof client.login).toBe('function');
-    } finally {
-      if (client && client.destroy) await client.destroy();
-    }
-  });
-});
\ No newline at end of file
+    const client = createFakeClient();
+    const returned = await startBot({
+      client,
+      storage: createMemoryStorage(),
+      scraper: createFakeScraper(PAGES),
+      clock: createFakeClock('2024-07-01T12:00:00Z'),
+      env: ENV,
+    });
+    expect(returned).toBe(client);
+    expect(typeof returned.login).toBe('function');
+    expect(client.loggedInWith).toBe('test-token');
+  });
+
+  it('start fails without a Discord token', async () => {
+    const bot = createBot({ client: createFakeClient(), storage: createMemoryStorage(), env: {} });
+    await expect(bot.start()).rejects.toThrow('Missing DISCORD_TOKEN');
+  });
+
+  it('registers the built-in commands globally and per-item commands only where enabled', async () => {
+    const { bot, client, guild } = await createTestBot();
+    await bot.registerCommands();
+    const names = client.registeredCommands.map(c => c.name);
+    expect(names).toEqual(['page', 'search', 'subscribe', 'unsubscribe', 'subscriptions', 'settings', 'testping', 'history', 'alerts', 'forms', 'audit', 'ignore', 'why', 'calendar']);
+    expect(guild.registeredCommands).toBeNull();
+    await bot.stop();
+  });
+
+  it('/page autocompletes with fuzzy matches and replies with the cached content', async () => {
+    const { bot, guild } = await createTestBot();
+    const autocomplete = createFakeInteraction({ kind: 'autocomplete', commandName: 'page', guild, focused: 'bflt' });
+    await bot.handleInteraction(autocomplete);
+    expect(autocomplete.responses[0].payload[0]).toEqual({ name: 'Bravo Flight', value: 'default::Bravo Flight' });
+
+    const command = createFakeInteraction({ kind: 'command', commandName: 'page', guild, options: { name: 'default::Bravo Flight' } });
+    await bot.handleInteraction(command);
+    expect(command.responses[1]).toEqual({
+      type: 'editReply',
+      payload: { embeds: [{ title: 'Bravo Flight', description: 'No changes this week.', color: 0x2b2d31 }] },
+    });
+
+    // Text typed without picking a suggestion goes to the best match
+    const typed = createFakeInteraction({ kind: 'command', commandName: 'page', guild, options: { name: 'alpha' } });
+    await bot.handleInteraction(typed);
+    expect(typed.responses[1].payload.embeds[0].title).toBe('Alpha Flight');
+
+    const unknown = createFakeInteraction({ kind: 'command', commandName: 'page', guild, options: { name: 'zzz' } });
+    await bot.handleInteraction(unknown);
+    expect(unknown.responses[0].payload.content).toBe('No page matches "zzz".');
+    await bot.stop();
+  });
+
+  it('per-item commands are opt-in per guild and reply with the cached content', async () => {
+    const { bot, guild, storage } = await createTestBot();
+    await bot.registerCommands();
+    const toggle = createFakeInteraction({ kind: 'button', customId: 'toggle_item_commands', guild, admin: true });
+    await bot.handleInteraction(toggle);
+    expect(guild.registeredCommands.map(c => c.name)).toEqual(['alpha_flight', 'bravo_flight']);
+    const [saved] = await storage.loadGuildSettings();
+    expect(saved.itemCommands).toBe(true);
+
+    const interaction = createFakeInteraction({ kind: 'command', commandName: 'bravo_flight', guild });
+    await bot.handleInteraction(interaction);
+    expect(interaction.responses[0].type).toBe('deferReply');
+    expect(interaction.responses[1]).toEqual({
+      type: 'editReply',
+      payload: { embeds: [{ title: 'Bravo Flight', description: 'No changes this week.', color: 0x2b2d31 }] },
+    });
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'button', customId: 'toggle_item_commands', guild, admin: true }));
+    expect(guild.registeredCommands).toEqual([]);
+    await bot.stop();
+  });
+
+  it('/history only answers for pages on the server\'s forms', async () => {
+    const { bot, guild } = await createTestBot();
+    const unknown = createFakeInteraction({ kind: 'command', commandName: 'history', guild, options: { page: 'other::Secret Flight' } });
+    await bot.handleInteraction(unknown);
+    expect(unknown.responses).toEqual([{ type: 'reply', payload: { content: 'No page matches "other::Secret Flight".', flags: 64 } }]);
+
+    const known = createFakeInteraction({ kind: 'command', commandName: 'history', guild, options: { page: 'default::Alpha Flight' } });
+    await bot.handleInteraction(known);
+    expect(known.responses[1].payload.components[0].components[0].custom_id).toBe('history_view');
+    await bot.stop();
+  });
+
+  it('/settings is limited to admins and owners', async () => {
+    const { bot, guild } = await createTestBot();
+    const interaction = createFakeInteraction({ kind: 'command', commandName: 'settings', subcommand: 'view', guild });
+    await bot.handleInteraction(interaction);
+    expect(interaction.responses[0].payload.content).toMatch(/Only a server administrator, owner or bot manager/);
+    await bot.stop();
+  });
+
+  it('/settings shows an overview, and Edit opens the page, role-page and channel pickers', async () => {
+    const { bot, guild } = await createTestBot({ guildSettings: [configuredGuild()] });
+    const interaction = createFakeInteraction({ kind: 'command', commandName: 'settings', subcommand: 'view', guild, admin: true });
+    await bot.handleInteraction(interaction);
+    const overview = interaction.responses[0].payload;
+    expect(overview.embeds[0].description).toBe('Current page roles:\n• **Alpha Flight** → <@&role-a>\n• **Bravo Flight** → <@&role-b>');
+    expect(overview.embeds[0].fields.slice(0, 3).map(f => f.value)).toEqual(['Enabled', '<#channel-1>', 'Changes only']);
+    expect(overview.components[0].components.map(b => b.custom_id)).toEqual(['settings_edit:default', 'edit_schedule', 'toggle_item_commands', 'toggle_notifications', 'settings_reset']);
+
+    const edit = createFakeInteraction({ kind: 'button', customId: 'settings_edit:default', guild, admin: true });
+    await bot.handleInteraction(edit);
+    const { components } = edit.responses[0].payload;
+    const pagePicker = components[0].components[0];
+    expect(pagePicker.custom_id).toBe('select_pages:default:0');
+    expect(pagePicker.options.map(o => o.label)).toEqual(['Alpha Flight', 'Bravo Flight']);
+    expect(components[1].components[0].custom_id).toBe('select_role_page:default:0');
+    expect(components[2].components[0]).toMatchObject({ custom_id: 'select_channel', default_values: [{ id: 'channel-1', type: 'channel' }] });
+    expect(components).toHaveLength(4);
+    await bot.stop();
+  });
+
+  it('/settings pages through more than 25 pages and keeps selections from other pages', async () => {
+    const pages = Object.fromEntries(Array.from({ length: 30 }, (_, i) => [`Flight ${String(i + 1).padStart(2, '0')}`, `Content ${i + 1}`]));
+    const { bot, guild } = await createTestBot({ pages, guildSettings: [configuredGuild({ pages: ['default::Flight 01', 'default::Flight 30'], roles: {} })] });
+    const edit = createFakeInteraction({ kind: 'button', customId: 'settings_edit:default', guild, admin: true });
+    await bot.handleInteraction(edit);
+    const first = edit.responses[0].payload;
+    expect(first.components[0].components[0].options).toHaveLength(25);
+    expect(first.components[4].components.map(b => [b.custom_id, b.disabled])).toEqual([['settings_edit:default:-1', true], ['settings_edit:default:1', false]]);
+
+    const next = createFakeInteraction({ kind: 'button', customId: 'settings_edit:default:1', guild, admin: true });
+    await bot.handleInteraction(next);
+    expect(next.responses[0].type).toBe('update');
+    const picker = next.responses[0].payload.components[0].components[0];
+    expect(picker.custom_id).toBe('select_pages:default:1');
+    expect(picker.options.map(o => [o.label, o.default])).toEqual([
+      ['Flight 26', false], ['Flight 27', false], ['Flight 28', false], ['Flight 29', false], ['Flight 30', true],
+    ]);
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'select', customId: 'select_pages:default:1', values: ['1'], guild, admin: true }));
+    expect(Array.from(bot.guildSettings[GUILD_ID].pages)).toEqual(['default::Flight 01', 'default::Flight 27']);
+    await bot.stop();
+  });
+
+  it('/settings can disable notifications and reset the configuration after confirmation', async () => {
+    const { bot, guild, channel, storage } = await createTestBot({ guildSettings: [configuredGuild()] });
+    const button = customId => {
+      const interaction = createFakeInteraction({ kind: 'button', customId, guild, admin: true });
+      return bot.handleInteraction(interaction).then(() => interaction.responses[0]);
+    };
+    await button('toggle_notifications');
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(0);
+    await button('toggle_notifications');
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(2);
+
+    const prompt = await button('settings_reset');
+    expect(prompt.payload.components[0].components.map(b => b.custom_id)).toEqual(['settings_reset_confirm', 'settings_reset_cancel']);
+    expect((await button('settings_reset_cancel')).payload.content).toBe('Reset cancelled.');
+    expect(bot.guildSettings[GUILD_ID].channel).toBe('channel-1');
+
+    const done = await button('settings_reset_confirm');
+    expect(done.type).toBe('update');
+    const [doc] = await storage.loadGuildSettings();
+    expect(doc).toMatchObject({ pages: [], roles: {}, channel: null, notifyMode: 'diff', schedule: null, alerts: [] });
+    expect((await storage.loadLastSentContent())[0].pages).toEqual({});
+    await bot.stop();
+  });
+
+  it('settings menus pick pages exactly even when their names share the first 100 characters', async () => {
+    const prefix = 'Flight roster '.repeat(8);
+    const { bot, guild } = await createTestBot({ pages: { [`${prefix}A`]: 'Alpha', [`${prefix}B`]: 'Bravo' } });
+    const edit = createFakeInteraction({ kind: 'button', customId: 'settings_edit:default', guild, admin: true });
+    await bot.handleInteraction(edit);
+    const options = edit.responses[0].payload.components[0].components[0].options;
+    expect(options.map(o => o.value)).toEqual(['0', '1']);
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'select', customId: 'select_pages:default:0', values: ['1'], guild, admin: true }));
+    expect(Array.from(bot.guildSettings[GUILD_ID].pages)).toEqual([`default::${prefix}B`]);
+    const rolePage = createFakeInteraction({ kind: 'select', customId: 'select_role_page:default:0', values: ['1'], guild, admin: true });
+    await bot.handleInteraction(rolePage);
+    expect(rolePage.responses[0].payload.content).toBe(`Select the roles to ping for **${prefix}B**.`);
+    await bot.stop();
+  });
+
+  it('settings menus store roles per page', async () => {
+    const { bot, guild, storage } = await createTestBot();
+    const select = (customId, values) => bot.handleInteraction(createFakeInteraction({ kind: 'select', customId, values, guild, admin: true }));
+    await select('select_pages:default', ['0', '1']);
+    await select('select_role_page:default:0', ['0']);
+    await bot.handleInteraction(createFakeInteraction({ kind: 'roleSelect', customId: 'select_roles', values: ['role-a', GUILD_ID], guild, admin: true }));
+    await select('select_role_page:default:0', ['1']);
+    await bot.handleInteraction(createFakeInteraction({ kind: 'roleSelect', customId: 'select_roles', values: ['role-b'], guild, admin: true }));
+    const [doc] = await storage.loadGuildSettings();
+    expect(doc.pages).toEqual(['default::Alpha Flight', 'default::Bravo Flight']);
+    expect(doc.roles).toEqual({ 'default::Alpha Flight': ['role-a'], 'default::Bravo Flight': ['role-b'] });
+    await bot.stop();
+  });
+
+  it('/testping sends live content with each page\'s role mentions', async () => {
+    const { bot, guild, channel } = await createTestBot({ guildSettings: [configuredGuild()] });
+    const interaction = createFakeInteraction({ kind: 'command', commandName: 'testping', guild, admin: true });
+    await bot.handleInteraction(interaction);
+    expect(channel.sent.map(m => m.content)).toEqual(['<@&role-a>', '<@&role-b>']);
+    expect(channel.sent[1].embeds[0].description).toBe('No changes this week.');
+    expect(interaction.responses[0].payload.content).toMatch(/for 2 page\(s\)/);
+    await bot.stop();
+  });
+
+  it('runNotificationJob sends the full page first, then only diffs of changes', async () => {
+    const { bot, channel, scraper, storage } = await createTestBot({ guildSettings: [configuredGuild()] });
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(2);
+    expect(channel.sent[0].embeds[0].title).toBe('Update: Alpha Flight');
+
+    // Nothing changed: nothing is sent
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(2);
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(3);
+    const update = channel.sent[2];
+    expect(update.content).toBe('<@&role-a>');
+    expect(update.embeds[0].title).toBe('Changes: Alpha Flight');
+    expect(update.embeds[0].description).toContain('- Formation 0700\n+ Formation 0800');
+    expect(update.components[0].components[0].label).toBe('Show full page');
+
+    const [sent] = await storage.loadLastSentContent();
+    // Only the hash and the history version are stored, not the page text
+    expect(sent.pages['default::Alpha Flight']).toMatchObject({ hash: hashContent('Formation 0800\nUniform OCPs'), versionId: expect.any(String) });
+    expect(sent.pages['default::Alpha Flight']).not.toHaveProperty('content');
+    await bot.stop();
+  });
+
+  it('runNotificationJob skips guilds without a channel', async () => {
+    const { bot, channel } = await createTestBot({ guildSettings: [configuredGuild({ channel: null })] });
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(0);
+    await bot.stop();
+  });
+
+  it('retries a failing item and records its scrape status', async () => {
+    const { bot, scraper, clock, storage } = await createTestBot();
+    scraper.failing.add('Bravo Flight');
+    await bot.refreshPageAndUpdateCache();
+    expect(clock.sleeps).toEqual([2000, 4000]);
+    expect(bot.scrapeStatus['default::Bravo Flight']).toMatchObject({ consecutiveFailures: 1, lastError: 'Timed out loading Bravo Flight' });
+    expect(bot.scrapeStatus['default::Alpha Flight'].consecutiveFailures).toBe(0);
+
+    scraper.failing.clear();
+    await bot.refreshPageAndUpdateCache();
+    const saved = (await storage.loadScrapeStatus()).find(s => s.item === 'Bravo Flight');
+    expect(saved.consecutiveFailures).toBe(0);
+    expect(saved.lastError).toBe('Timed out loading Bravo Flight');
+    await bot.stop();
+  });
+
+  it('keeps the page list while the form is unreachable and opens the circuit', async () => {
+    const { bot, scraper, clock } = await createTestBot();
+    scraper.unreachable = true;
+    for (let i = 0; i < 3; i++) await bot.refreshPageAndUpdateCache();
+    expect(bot.forms.default.items).toEqual(['Alpha Flight', 'Bravo Flight']);
+    expect(bot.scrapeStatus['default::Alpha Flight'].consecutiveFailures).toBe(3);
+
+    // Open circuit: the form is not touched again until the cooldown has passed
+    const sleeps = clock.sleeps.length;
+    await bot.refreshPageAndUpdateCache();
+    expect(clock.sleeps.length).toBe(sleeps);
+
+    scraper.unreachable = false;
+    clock.set('2024-07-01T12:15:00Z');
+    await bot.refreshPageAndUpdateCache();
+    expect(bot.scrapeStatus['default::Alpha Flight'].consecutiveFailures).toBe(0);
+    await bot.stop();
+  });
+
+  it('keeps the page list when the form keeps showing an empty listbox until the circuit confirms it', async () => {
+    const { bot, scraper, clock } = await createTestBot({ guildSettings: [configuredGuild()] });
+    scraper.pages = {};
+    await bot.refreshPageAndUpdateCache();
+    expect(bot.forms.default.items).toEqual(['Alpha Flight', 'Bravo Flight']);
+    expect(bot.scrapeStatus['default::Alpha Flight'].consecutiveFailures).toBe(1);
+    expect(bot.scrapeStatus['default::Alpha Flight'].lastError).toBe('No dropdown items found');
+
+    // Still empty after the circuit opened and cooled down: the list is believed, the settings are not pruned
+    for (let i = 0; i < 2; i++) await bot.refreshPageAndUpdateCache();
+    clock.set('2024-07-01T12:15:00Z');
+    await bot.refreshPageAndUpdateCache();
+    expect(bot.forms.default.items).toEqual([]);
+    expect(bot.guildSettings[GUILD_ID].pages.size).toBe(2);
+    await bot.stop();
+  });
+
+  it('relaunches a crashed browser on the next refresh', async () => {
+    const { bot, scraper } = await createTestBot();
+    expect(scraper.launches).toBe(1);
+    scraper.browser.crash();
+    scraper.pages['Alpha Flight'] = 'Formation 0900';
+    await bot.refreshPageAndUpdateCache();
+    expect(scraper.launches).toBe(2);
+    expect(bot.scrapeStatus['default::Alpha Flight'].consecutiveFailures).toBe(0);
+    await bot.stop();
+  });
+
+  it('serves health, readiness and metrics over HTTP', async () => {
+    const { bot, guild } = await createTestBot({ env: { ...ENV, PORT: '0' } });
+    const base = `http://localhost:${bot.httpServer.port}`;
+
+    let res = await fetch(`${base}/readyz`);
+    expect(res.status).toBe(503);
+    expect(await res.json()).toMatchObject({ firstScrape: true, commandsRegistered: false });
+    await bot.registerCommands();
+    res = await fetch(`${base}/readyz`);
+    expect(res.status).toBe(200);
+
+    res = await fetch(`${base}/healthz`);
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({
+      status: 'ok',
+      discord: { ok: true },
+      storage: { ok: true, backend: 'memory' },
+      browser: { ok: true },
+    });
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'command', guild, commandName: 'alpha_flight' }));
+    const text = await (await fetch(`${base}/metrics`)).text();
+    expect(text).toContain('bot_commands_served_total{command="alpha_flight"} 1');
+    expect(text).toContain('bot_scrape_duration_seconds_count{form="default"} 2');
+    expect(text).toContain('bot_cache_age_seconds{form="default",item="Alpha Flight"} 0');
+    await bot.stop();
+  });
+
+  it('scrapes items on a pool of extra tabs when SCRAPE_POOL_SIZE is set', async () => {
+    const { bot, scraper, storage } = await createTestBot({ env: { ...ENV, SCRAPE_POOL_SIZE: '1' } });
+    expect(scraper.pagesOpened).toBe(2);
+    expect(await storage.readDropdownCache('default', 'Bravo Flight')).toBe(PAGES['Bravo Flight']);
+    await bot.stop();
+  });
+
+  it('moves renamed pages, prunes removed ones and resyncs commands when items change', async () => {
+    const { bot, guild, channel, storage, scraper } = await createTestBot({
+      guildSettings: [configuredGuild({ itemCommands: true })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    await bot.registerCommands();
+    expect(guild.registeredCommands.map(c => c.name)).toEqual(['alpha_flight', 'bravo_flight']);
+
+    scraper.pages = { 'Charlie Flight': 'New page', 'Alpha Flight (Updated)': PAGES['Alpha Flight'] };
+    await bot.refreshPageAndUpdateCache();
+
+    const settings = bot.guildSettings[GUILD_ID];
+    expect(Array.from(settings.pages)).toEqual(['default::Alpha Flight (Updated)']);
+    expect(Object.keys(settings.roles)).toEqual(['default::Alpha Flight (Updated)']);
+    expect(bot.lastSentContent[GUILD_ID]).toEqual({ 'default::Alpha Flight (Updated)': expect.objectContaining({ content: PAGES['Alpha Flight'] }) });
+    const [saved] = await storage.loadGuildSettings();
+    expect(saved.pages).toEqual(['default::Alpha Flight (Updated)']);
+
+    // Existing commands keep their names; new items get new ones
+    expect(guild.registeredCommands.map(c => c.name)).toEqual(['charlie_flight', 'alpha_flight_updated']);
+
+    const notice = channel.sent[0].embeds[0];
+    expect(notice.title).toBe('Monitored pages changed');
+    expect(notice.description).toBe([
+      '• **Alpha Flight** is now **Alpha Flight (Updated)**; its settings moved over.',
+      "• **Bravo Flight** was removed from the form and from this server's settings.",
+      'New pages: **Charlie Flight**. Use /settings to monitor them.',
+    ].join('\n'));
+    await bot.stop();
+  });
+
+  it('keeps page settings when a refresh finds no items at all', async () => {
+    const { bot, scraper, channel } = await createTestBot({ guildSettings: [configuredGuild()] });
+    scraper.pages = {};
+    await bot.refreshPageAndUpdateCache();
+    expect(bot.guildSettings[GUILD_ID].pages.size).toBe(2);
+    expect(channel.sent).toHaveLength(0);
+    await bot.stop();
+  });
+
+  it('DMs subscribers when a subscribed page changes', async () => {
+    const { bot, client, guild, scraper, storage } = await createTestBot();
+    const subscribe = createFakeInteraction({ kind: 'command', commandName: 'subscribe', guild, options: { page: 'default::Alpha Flight' } });
+    await bot.handleInteraction(subscribe);
+    expect(subscribe.responses[0].payload.content).toBe('You will get a DM when **Alpha Flight** changes.');
+
+    // Nothing changed since subscribing
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(0);
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(1);
+    expect(client.directMessages[0].userId).toBe('user-1');
+    expect(client.directMessages[0].message.embeds[0].title).toBe('Update: Alpha Flight');
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(1);
+
+    const list = createFakeInteraction({ kind: 'command', commandName: 'subscriptions', guild });
+    await bot.handleInteraction(list);
+    expect(list.responses[0].payload.embeds[0].description).toBe('• Alpha Flight');
+
+    const unsubscribe = createFakeInteraction({ kind: 'command', commandName: 'unsubscribe', guild, options: { page: 'alpha' } });
+    await bot.handleInteraction(unsubscribe);
+    expect(unsubscribe.responses[0].payload.content).toBe('You will no longer get DMs for **Alpha Flight**.');
+    expect(await storage.loadSubscriptions()).toEqual([]);
+    await bot.stop();
+  });
+
+  it('does not DM subscribers about whitespace, quote or ignored-only changes, or about a new ignore pattern', async () => {
+    const { bot, client, guild, scraper } = await createTestBot({ guildSettings: [configuredGuild({ pages: [], ignorePatterns: ['/^Last updated.*/'] })] });
+    await bot.handleInteraction(createFakeInteraction({ kind: 'command', commandName: 'subscribe', guild, options: { page: 'default::Alpha Flight' } }));
+
+    scraper.pages['Alpha Flight'] = 'Formation\u00A0 0700\u200B\n\nUniform OCPs \nLast updated 12:30';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(0);
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'command', commandName: 'ignore', subcommand: 'add', guild, admin: true, options: { pattern: 'OCPs' } }));
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(0);
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs\nLast updated 13:00';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(1);
+    await bot.stop();
+  });
+
+  it('pauses subscriptions and posts one notice when a member has DMs closed', async () => {
+    const { bot, client, guild, channel, scraper, storage } = await createTestBot({ guildSettings: [configuredGuild({ pages: [] })] });
+    await bot.handleInteraction(createFakeInteraction({ kind: 'command', commandName: 'subscribe', guild, options: { page: 'default::Bravo Flight' } }));
+    client.dmsClosed.add('user-1');
+
+    scraper.pages['Bravo Flight'] = 'Now with changes.';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].content).toContain('<@user-1> I couldn\'t DM you about changes to **Bravo Flight**');
+    const [saved] = await storage.loadSubscriptions();
+    expect(saved.dmBlocked).toBe(true);
+
+    scraper.pages['Bravo Flight'] = 'Changed again.';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+
+    // Running /subscriptions resumes DMs
+    client.dmsClosed.clear();
+    await bot.handleInteraction(createFakeInteraction({ kind: 'command', commandName: 'subscriptions', guild }));
+    await bot.runNotificationJob();
+    expect(client.directMessages).toHaveLength(1);
+    await bot.stop();
+  });
+
+  it('/search finds pages by their text and optionally their history', async () => {
+    const { bot, guild, scraper } = await createTestBot();
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform ABUs';
+    await bot.refreshPageAndUpdateCache();
+
+    const search = createFakeInteraction({ kind: 'command', commandName: 'search', guild, options: { query: 'uniform' } });
+    await bot.handleInteraction(search);
+    const embed = search.responses[1].payload.embeds[0];
+    expect(embed.title).toBe('Search: uniform');
+    expect(embed.description).toBe('**1. Alpha Flight**\n> **Uniform** ABUs');
+
+    const withHistory = createFakeInteraction({ kind: 'command', commandName: 'search', guild, options: { query: 'ocps', history: true } });
+    await bot.handleInteraction(withHistory);
+    expect(withHistory.responses[1].payload.embeds[0].description).toMatch(/^\*\*1\. Alpha Flight\*\* · version from <t:\d+:f>\n> Uniform \*\*OCPs\*\*$/);
+
+    const none = createFakeInteraction({ kind: 'command', commandName: 'search', guild, options: { query: 'ocps' } });
+    await bot.handleInteraction(none);
+    expect(none.responses[1].payload.embeds[0].description).toBe('No pages mention "ocps".');
+    await bot.stop();
+  });
+
+  it('/alerts rules limit a page\'s notifications to matching lines and ping the rule\'s targets', async () => {
+    const { bot, guild, channel, scraper, storage } = await createTestBot({
+      guildSettings: [configuredGuild({ pages: ['default::Alpha Flight'] })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    const denied = createFakeInteraction({ kind: 'command', commandName: 'alerts', subcommand: 'add', guild, options: { page: 'Alpha Flight', pattern: 'smith', user: { id: 'user-9' } } });
+    await bot.handleInteraction(denied);
+    expect(denied.responses[0].payload.content).toBe('Only a server administrator, owner or bot manager can change alert rules.');
+
+    const badRegex = createFakeInteraction({ kind: 'command', commandName: 'alerts', subcommand: 'add', guild, admin: true, options: { page: 'Alpha Flight', pattern: '/(/', user: { id: 'user-9' } } });
+    await bot.handleInteraction(badRegex);
+    expect(badRegex.responses[0].payload.content).toMatch(/^Invalid regex \/\(\//);
+
+    const add = createFakeInteraction({ kind: 'command', commandName: 'alerts', subcommand: 'add', guild, admin: true, options: { page: 'Alpha Flight', pattern: 'smith', when: 'appear', user: { id: 'user-9' } } });
+    await bot.handleInteraction(add);
+    expect(add.responses[0].payload.content).toBe('Added rule #1 **Alpha Flight**: `smith` (on appear) → <@user-9>');
+    const [saved] = await storage.loadGuildSettings();
+    expect(saved.alerts).toEqual([{ id: '1', page: 'default::Alpha Flight', pattern: 'smith', on: 'appear', roles: [], users: ['user-9'] }]);
+
+    // A change that matches no rule is recorded but not posted
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(0);
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs\nDrivers: Smith';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].content).toBe('<@user-9>\n`smith` appeared: Drivers: Smith');
+    expect(channel.sent[0].embeds[0].description).toBe('```diff\n1 added, 0 removed, 0 changed\n+ Drivers: Smith\n```');
+
+    const remove = createFakeInteraction({ kind: 'command', commandName: 'alerts', subcommand: 'remove', guild, admin: true, options: { rule: '1' } });
+    await bot.handleInteraction(remove);
+    expect(bot.guildSettings[GUILD_ID].alerts).toEqual([]);
+    await bot.stop();
+  });
+
+  it('long pages are split at paragraphs into as few messages as possible, with part footers', async () => {
+    const paragraph = Array.from({ length: 30 }, (_, i) => `Line ${i} of the weekly schedule and notes`).join('\n');
+    const long = Array.from({ length: 8 }, () => paragraph).join('\n\n');
+    const { bot, channel } = await createTestBot({
+      guildSettings: [configuredGuild({ pages: ['default::Alpha Flight'], notifyMode: 'full' })],
+      pages: { 'Alpha Flight': long, 'Bravo Flight': 'x' },
+    });
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(2);
+    expect(channel.sent[0].content).toBe('<@&role-a>');
+    expect(channel.sent[1].content).toBeUndefined();
+    const embeds = channel.sent.flatMap(message => message.embeds);
+    expect(embeds[0].title).toBe('Update: Alpha Flight');
+    expect(embeds.map(e => e.footer.text)).toEqual(embeds.map((_, i) => `Part ${i + 1}/${embeds.length}`));
+    for (const embed of embeds) expect(embed.description.split('\n\n').every(p => p === paragraph)).toBe(true);
+    await bot.stop();
+  });
+
+  it('digest mode posts one summary per run, pinging each role once, with a button per page', async () => {
+    const { bot, channel, scraper } = await createTestBot({
+      guildSettings: [configuredGuild({ notifyMode: 'digest', roles: { 'default::Alpha Flight': ['role-a'], 'default::Bravo Flight': ['role-a', 'role-b'] } })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+
+    expect(channel.sent).toHaveLength(1);
+    const [digest] = channel.sent;
+    expect(digest.content).toBe('<@&role-a> <@&role-b>');
+    expect(digest.embeds[0].title).toBe('2 pages changed');
+    expect(digest.embeds[0].description).toBe([
+      '**Alpha Flight** · 0 added, 0 removed, 1 changed',
+      '```diff\n- Formation 0700\n+ Formation 0800\n```',
+      '',
+      '**Bravo Flight** · new',
+      '> No changes this week.',
+    ].join('\n'));
+    expect(digest.components[0].components.map(b => [b.label, b.custom_id])).toEqual([
+      ['Alpha Flight', 'show_full_page:default::Alpha Flight'],
+      ['Bravo Flight', 'show_full_page:default::Bravo Flight'],
+    ]);
+
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+    await bot.stop();
+  });
+
+  it('board mode keeps a pinned message per page, edits it in place and recreates it when deleted', async () => {
+    const { bot, channel, scraper, storage } = await createTestBot({
+      guildSettings: [configuredGuild({ notifyMode: 'board', pages: ['default::Alpha Flight'] })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+    const board = channel.messages.cache.get(bot.guildSettings[GUILD_ID].boardMessages['default::Alpha Flight']);
+    expect(board.pinned).toBe(true);
+    expect(board.payload.embeds[0].title).toBe('Alpha Flight');
+    expect(board.payload.allowedMentions).toEqual({ parse: [] });
+    expect((await storage.loadGuildSettings())[0].boardMessages).toEqual({ 'default::Alpha Flight': board.id });
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(board.edits).toHaveLength(1);
+    expect(board.payload.embeds[0].description).toBe('Formation 0800\nUniform OCPs');
+    expect(channel.sent).toHaveLength(2);
+    expect(channel.sent[1].content).toBe('<@&role-a>');
+    expect(channel.sent[1].embeds[0].description).toBe(`**Alpha Flight** was updated: 0 added, 0 removed, 1 changed. [View the board](${board.url})`);
+
+    // Nothing changed and the message is still there: nothing is sent or edited
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(2);
+    expect(board.edits).toHaveLength(1);
+
+    await board.delete();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(3);
+    const replacement = channel.messages.cache.get(bot.guildSettings[GUILD_ID].boardMessages['default::Alpha Flight']);
+    expect(replacement.id).not.toBe(board.id);
+    expect(replacement.pinned).toBe(true);
+
+    // A page that is no longer monitored loses its board message
+    bot.guildSettings[GUILD_ID].pages = new Set(['default::Bravo Flight']);
+    await bot.runNotificationJob();
+    expect(channel.messages.cache.has(replacement.id)).toBe(false);
+    expect(Object.keys(bot.guildSettings[GUILD_ID].boardMessages)).toEqual(['default::Bravo Flight']);
+    await bot.stop();
+  });
+
+  it('bot managers can change settings, and every change is audited and mirrored to the audit channel', async () => {
+    const { bot, guild, storage } = await createTestBot({ guildSettings: [configuredGuild({ managerRole: 'role-m' })] });
+    const auditChannel = createFakeChannel('audit-1');
+    guild.channels.cache.set(auditChannel.id, auditChannel);
+
+    const outsider = createFakeInteraction({ kind: 'button', customId: 'toggle_notifications', guild, userId: 'user-2', roles: ['role-a'] });
+    await bot.handleInteraction(outsider);
+    expect(outsider.responses[0].payload.content).toBe('Only a server administrator, owner or bot manager can use /settings.');
+
+    const manager = createFakeInteraction({ kind: 'button', customId: 'toggle_notifications', guild, userId: 'user-3', roles: ['role-m'] });
+    await bot.handleInteraction(manager);
+    expect(bot.guildSettings[GUILD_ID].disabled).toBe(true);
+
+    // Only admins and the owner choose the manager role and read the audit log
+    const pickRole = createFakeInteraction({ kind: 'roleSelect', customId: 'select_manager_role', values: ['role-a'], guild, userId: 'user-3', roles: ['role-m'] });
+    await bot.handleInteraction(pickRole);
+    expect(pickRole.responses[0].payload.content).toBe('Only a server administrator or owner can choose the bot manager role.');
+    expect(bot.guildSettings[GUILD_ID].managerRole).toBe('role-m');
+    const managerAudit = createFakeInteraction({ kind: 'command', commandName: 'audit', subcommand: 'log', guild, userId: 'user-3', roles: ['role-m'] });
+    await bot.handleInteraction(managerAudit);
+    expect(managerAudit.responses[0].payload.content).toBe('Only a server administrator or owner can use /audit.');
+
+    const setChannel = createFakeInteraction({ kind: 'command', commandName: 'audit', subcommand: 'channel', guild, admin: true, options: { channel: { id: 'audit-1' } } });
+    await bot.handleInteraction(setChannel);
+    const roles = createFakeInteraction({ kind: 'roleSelect', customId: 'select_roles', values: ['role-b'], guild, userId: 'user-3', roles: ['role-m'] });
+    await bot.handleInteraction(createFakeInteraction({ kind: 'select', customId: 'select_role_page:default:0', values: ['0'], guild, userId: 'user-3', roles: ['role-m'] }));
+    await bot.handleInteraction(roles);
+    expect(auditChannel.sent).toHaveLength(2);
+    expect(auditChannel.sent[1].embeds[0].description).toBe('<t:1719835200:f> <@user-3> **Page roles** (Alpha Flight): <@&role-a> → <@&role-b>');
+    expect(auditChannel.sent[1].allowedMentions).toEqual({ parse: [] });
+
+    const entries = await storage.readAudit(GUILD_ID, { actorId: 'user-3' });
+    expect(entries.map(e => [e.action, e.before, e.after])).toEqual([
+      ['roles', ['<@&role-a>'], ['<@&role-b>']],
+      ['notifications', 'Enabled', 'Disabled'],
+    ]);
+    const log = createFakeInteraction({ kind: 'command', commandName: 'audit', subcommand: 'log', guild, admin: true });
+    await bot.handleInteraction(log);
+    expect(log.responses[0].payload.embeds[0].description.split('\n')).toEqual([
+      '<t:1719835200:f> <@user-3> **Page roles** (Alpha Flight): <@&role-a> → <@&role-b>',
+      '<t:1719835200:f> <@user-1> **Audit log channel**: *none* → <#audit-1>',
+      '<t:1719835200:f> <@user-3> **Notifications**: Enabled → Disabled',
+    ]);
+    await bot.stop();
+  });
+
+  it('/settings export writes a JSON file that /settings import previews, matches by name and applies on confirmation', async () => {
+    const uploads = {};
+    const { bot, guild, storage } = await createTestBot({
+      guildSettings: [configuredGuild({ notifyMode: 'digest', alerts: [{ id: '1', page: 'default::Alpha Flight', pattern: 'smith', on: 'any', roles: ['role-a'], users: [] }] })],
+      fetch: async url => ({ ok: true, status: 200, text: async () => uploads[url] }),
+    });
+    const exported = createFakeInteraction({ kind: 'command', commandName: 'settings', subcommand: 'export', guild, admin: true });
+    await bot.handleInteraction(exported);
+    const file = JSON.parse(exported.responses[0].payload.files[0].attachment.toString());
+    expect(file.roles['default::Alpha Flight']).toEqual([{ id: 'role-a', name: 'Alpha' }]);
+    expect(file.notifyMode).toBe('digest');
+
+    // As if from a sister server: other ids, same role names, and a page this form does not have
+    file.pages = ['default::Alpha Flight', 'default::Charlie Flight'];
+    file.roles = { 'default::Alpha Flight': [{ id: 'other-role', name: 'bravo' }] };
+    file.notifyMode = 'full';
+    file.alerts[0].users = ['user-1', 'stranger'];
+    file.ignorePatterns = Array.from({ length: 26 }, (_, i) => `word${i + 1}`);
+    uploads['https://cdn.example/settings.json'] = JSON.stringify(file);
+    uploads['https://cdn.example/broken.json'] = '{"version": 1, "pages": "Alpha"}';
+    bot.guildSettings[GUILD_ID].pages = new Set(['default::Bravo Flight']);
+
+    const broken = createFakeInteraction({ kind: 'command', commandName: 'settings', subcommand: 'import', guild, admin: true, options: { file: { name: 'broken.json', url: 'https://cdn.example/broken.json', size: 40 } } });
+    await bot.handleInteraction(broken);
+    expect(broken.responses[1].payload.content).toBe('Invalid settings file: "pages" must be a list of page names.');
+
+    const preview = createFakeInteraction({ kind: 'command', commandName: 'settings', subcommand: 'import', guild, admin: true, options: { file: { name: 'settings.json', url: 'https://cdn.example/settings.json', size: 900 } } });
+    await bot.handleInteraction(preview);
+    const description = preview.responses[1].payload.embeds[0].description;
+    expect(description).toContain('**Pages added:** Alpha Flight\n**Pages removed:** Bravo Flight\n**Roles changed for:** Alpha Flight\n**Updates:** Digest → Full page');
+    expect(description).toContain('• Pages no longer on the form were skipped: Charlie Flight.');
+    expect(description).toContain('• Only the first 25 ignore patterns were kept; skipped: `word26`.');
+    expect(description).toContain('• Alert rule members who are not on this server were skipped: <@stranger>.');
+    expect(bot.guildSettings[GUILD_ID].notifyMode).toBe('digest');
+
+    const confirm = createFakeInteraction({ kind: 'button', customId: 'settings_import_confirm', guild, admin: true });
+    await bot.handleInteraction(confirm);
+    expect(confirm.responses[0].payload.content).toBe('Settings imported. Use /settings view to review them.');
+    const [saved] = await storage.loadGuildSettings();
+    expect(saved.pages).toEqual(['default::Alpha Flight']);
+    expect(saved.roles['default::Alpha Flight']).toEqual(['role-b']);
+    expect(saved.notifyMode).toBe('full');
+    expect(saved.alerts).toEqual([{ id: '1', page: 'default::Alpha Flight', pattern: 'smith', on: 'any', roles: ['role-a'], users: ['user-1'] }]);
+    expect(saved.ignorePatterns).toHaveLength(25);
+    expect((await storage.readAudit(GUILD_ID))[0].action).toBe('import');
+
+    const again = createFakeInteraction({ kind: 'button', customId: 'settings_import_confirm', guild, admin: true });
+    await bot.handleInteraction(again);
+    expect(again.responses[0].payload.content).toBe('This import is no longer pending. Run /settings import again.');
+    await bot.stop();
+  });
+
+  it('ignores whitespace and ignored text when detecting changes, and /why explains the last notification', async () => {
+    const { bot, guild, channel, scraper } = await createTestBot({
+      guildSettings: [configuredGuild({ pages: ['default::Alpha Flight'] })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    const ignore = createFakeInteraction({ kind: 'command', commandName: 'ignore', subcommand: 'add', guild, admin: true, options: { pattern: '/^Last updated.*/' } });
+    await bot.handleInteraction(ignore);
+    expect(ignore.responses[0].payload.content).toBe('Text matching `/^Last updated.*/` is now ignored when pages are checked for changes.');
+
+    scraper.pages['Alpha Flight'] = 'Formation\u00A0 0700\u200B\n\nUniform OCPs \nLast updated 12:30';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(0);
+
+    const none = createFakeInteraction({ kind: 'command', commandName: 'why', guild, admin: true, options: { page: 'Alpha Flight' } });
+    await bot.handleInteraction(none);
+    expect(none.responses[0].payload.content).toBe('No notification for **Alpha Flight** has been recorded yet.');
+
+    scraper.pages['Alpha Flight'] = 'Formation 0800\nUniform OCPs\nLast updated 13:00';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent).toHaveLength(1);
+    expect(channel.sent[0].embeds[0].description).not.toContain('Last updated');
+
+    const why = createFakeInteraction({ kind: 'command', commandName: 'why', guild, admin: true, options: { page: 'Alpha Flight' } });
+    await bot.handleInteraction(why);
+    const { description } = why.responses[1].payload.embeds[0];
+    expect(description).toContain(`The content hash changed from \`${hashContent('Formation 0700\nUniform OCPs').slice(0, 8)}\` to \`${hashContent('Formation 0800\nUniform OCPs').slice(0, 8)}\`.`);
+    expect(description).toContain('and with text matching `/^Last updated.*/` removed.');
+    expect(description).toContain('The page has not changed since.');
+    expect(description).toMatch(/```diff\n.*\n- Formation 0700\n\+ Formation 0800\n```/);
+    await bot.stop();
+  });
+
+  it('/calendar returns a page\'s dates as an .ics file, which notifications attach when calendar files are on', async () => {
+    const { bot, guild, channel, scraper } = await createTestBot({
+      guildSettings: [configuredGuild({ pages: ['default::Alpha Flight'] })],
+      lastSentContent: [{ guildId: GUILD_ID, pages: { 'default::Alpha Flight': PAGES['Alpha Flight'] } }],
+    });
+    const none = createFakeInteraction({ kind: 'command', commandName: 'calendar', guild, options: { page: 'Bravo Flight' } });
+    await bot.handleInteraction(none);
+    expect(none.responses[1].payload.content).toStartWith('No dates found on **Bravo Flight**.');
+
+    scraper.pages['Alpha Flight'] = 'Formation 0700\nJuly 6 Drill at 0800';
+    await bot.refreshPageAndUpdateCache();
+    const calendar = createFakeInteraction({ kind: 'command', commandName: 'calendar', guild, options: { page: 'Alpha Flight' } });
+    await bot.handleInteraction(calendar);
+    const [file] = calendar.responses[1].payload.files;
+    expect(file.name).toBe('alpha-flight.ics');
+    expect(file.attachment.toString()).toContain('DTSTART:20240706T130000Z\r\nDTEND:20240706T140000Z\r\nSUMMARY:Drill\r\n');
+
+    await bot.runNotificationJob();
+    expect(channel.sent[0].files).toBeUndefined();
+
+    const toggle = createFakeInteraction({ kind: 'button', customId: 'toggle_calendar_attachments', guild, admin: true });
+    await bot.handleInteraction(toggle);
+    expect(toggle.responses[0].payload.content).toStartWith('Calendar files enabled');
+    scraper.pages['Alpha Flight'] = 'Formation 0700\nJuly 6 Drill at 0900';
+    await bot.refreshPageAndUpdateCache();
+    await bot.runNotificationJob();
+    expect(channel.sent[1].files.map(f => f.name)).toEqual(['alpha-flight.ics']);
+    expect(channel.sent[1].files[0].attachment.toString()).toContain('DTSTART:20240706T140000Z');
+    await bot.stop();
+  });
+
+  it('leaving board mode deletes the board messages', async () => {
+    const { bot, guild, channel, storage } = await createTestBot({ guildSettings: [configuredGuild({ notifyMode: 'board' })] });
+    await bot.runNotificationJob();
+    expect(channel.messages.cache.size).toBe(2);
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'select', customId: 'select_notify_mode', values: ['diff'], guild, admin: true }));
+    expect(channel.messages.cache.size).toBe(0);
+    expect((await storage.loadGuildSettings())[0]).toMatchObject({ notifyMode: 'diff', boardMessages: {} });
+    await bot.stop();
+  });
+
+  it('resetting the settings deletes the live board messages', async () => {
+    const { bot, guild, channel, storage } = await createTestBot({ guildSettings: [configuredGuild({ notifyMode: 'board' })] });
+    await bot.runNotificationJob();
+    const boardIds = Object.values(bot.guildSettings[GUILD_ID].boardMessages);
+    expect(boardIds).toHaveLength(2);
+
+    await bot.handleInteraction(createFakeInteraction({ kind: 'button', customId: 'settings_reset_confirm', guild, admin: true }));
+    expect(boardIds.some(id => channel.messages.cache.has(id))).toBe(false);
+    expect((await storage.loadGuildSettings())[0].boardMessages).toEqual({});
+    await bot.stop();
+  });
+
+  it('/forms add still answers when FORM_LINK is not a valid form link', async () => {
+    const { bot, guild } = await createTestBot({ env: { ...ENV, FORM_LINK: 'http://forms.example/form' } });
+    const add = createFakeInteraction({ kind: 'command', commandName: 'forms', subcommand: 'add', guild, admin: true, options: { url: 'https://forms.office.com/r/other', label: 'Other' } });
+    await bot.handleInteraction(add);
+    expect(add.responses.length).toBeGreaterThan(0);
+    expect(bot.guildSettings[GUILD_ID].forms).toEqual({ [formIdForUrl('https://forms.office.com/r/other')]: { label: 'Other', url: 'https://forms.office.com/r/other' } });
+    await bot.stop();
+  });
+
+  it('diffs and /why still find the last sent version after a storage migration', async () => {
+    const source = createMemoryStorage({ guildSettings: [configuredGuild({ pages: ['default::Alpha Flight'] })] });
+    const hash = hashContent(PAGES['Alpha Flight']);
+    const sentVersion = await source.appendHistory({ form: 'default', item: 'Alpha Flight', content: PAGES['Alpha Flight'], hash, timestamp: new Date('2024-06-01T00:00:00Z') });
+    await source.saveLastSentContent(GUILD_ID, { 'default::Alpha Flight': { hash, versionId: sentVersion.id } });
+    const storage = createMemoryStorage();
+    await storage.appendHistory({ form: 'default', item: 'Bravo Flight', content: 'Unrelated', hash: hashContent('Unrelated'), timestamp: new Date('2024-05-01T00:00:00Z') });
+    await migrateStorage(source, storage);
+
+    const { bot, guild, channel } = await createTestBot({ storage, pages: { ...PAGES, 'Alpha Flight': 'Formation 0800\nUniform OCPs' } });
+    await bot.runNotificationJob();
+    expect(channel.sent[0].embeds[0].description).toContain('- Formation 0700\n+ Formation 0800');
+
+    const why = createFakeInteraction({ kind: 'command', commandName: 'why', guild, admin: true, options: { page: 'Alpha Flight' } });
+    await bot.handleInteraction(why);
+    expect(why.responses[1].payload.embeds[0].description).toMatch(/```diff\n.*\n- Formation 0700\n\+ Formation 0800\n```/);
+    await bot.stop();
+  });
+});
@@ -0,0 +1,61 @@
+// test/calendar.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { extractEvents, renderCalendar } from '../src/calendar.js';
+
+const OPTIONS = { reference: new Date('2024-07-01T12:00:00Z'), timeZone: 'America/Chicago', title: 'Alpha Flight' };
+
+describe('calendar', () => {
+  it('extractEvents reads dates, times and titles from dated lines and list items', () => {
+    const content = [
+      'Upcoming',
+      '2024-07-06 Drill at 0800-1200',
+      '- Saturday, July 13: Family day 2:30 pm',
+      '7/20 8:00-10:00 pm Night ops',
+      'Friday Pizza',
+      'Uniform OCPs',
+    ].join('\n');
+    expect(extractEvents(content, OPTIONS)).toEqual([
+      { date: { year: 2024, month: 7, day: 6 }, start: { hour: 8, minute: 0 }, end: { hour: 12, minute: 0 }, title: 'Drill', description: '2024-07-06: Drill at 0800-1200' },
+      { date: { year: 2024, month: 7, day: 13 }, start: { hour: 14, minute: 30 }, end: null, title: 'Family day', description: 'Saturday, July 13: Family day 2:30 pm' },
+      { date: { year: 2024, month: 7, day: 20 }, start: { hour: 20, minute: 0 }, end: { hour: 22, minute: 0 }, title: 'Night ops', description: '7/20: 8:00-10:00 pm Night ops' },
+    ]);
+  });
+
+  it('extractEvents places dates without a year near the reference and falls back to the heading for a title', () => {
+    const [january, june] = extractEvents('Awards banquet:\n15th January\nJune 3', { ...OPTIONS, reference: new Date('2024-09-01T12:00:00Z') });
+    expect(january.date).toEqual({ year: 2025, month: 1, day: 15 });
+    expect(january.title).toBe('Awards banquet');
+    expect(june.date).toEqual({ year: 2024, month: 6, day: 3 });
+    expect(extractEvents('June 31 Drill', OPTIONS)).toEqual([]);
+  });
+
+  it('renderCalendar writes timed events in UTC, all-day events as dates and stable UIDs', () => {
+    const options = { key: 'default::Alpha Flight', name: 'Alpha Flight', timeZone: 'America/Chicago', revision: 1, updatedAt: new Date('2024-07-01T11:00:00Z'), now: OPTIONS.reference };
+    const ics = renderCalendar(extractEvents('2024-07-06 Drill, Hangar 2 at 0800\n2024-07-06 Cleanup\n2024-07-07', OPTIONS), options);
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('DTSTART:20240706T130000Z\r\nDTEND:20240706T140000Z\r\nSUMMARY:Drill\\, Hangar 2\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20240706\r\nDTEND;VALUE=DATE:20240707\r\nSUMMARY:Cleanup\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20240707\r\nDTEND;VALUE=DATE:20240708\r\nSUMMARY:Alpha Flight\r\n');
+    expect(ics).toContain('SEQUENCE:1\r\nLAST-MODIFIED:20240701T110000Z\r\n');
+
+    // An edited event keeps its UID; a later version raises SEQUENCE
+    const uids = text => text.match(/^UID:.*$/gm);
+    const updated = renderCalendar(extractEvents('2024-07-06 Drill at 0900\n2024-07-06 Cleanup\n2024-07-07', OPTIONS), { ...options, revision: 2, updatedAt: new Date('2024-07-02T11:00:00Z') });
+    expect(uids(updated)).toEqual(uids(ics));
+    expect(new Set(uids(ics)).size).toBe(3);
+    expect(updated).toContain('DTSTART:20240706T140000Z');
+    expect(updated).toContain('SEQUENCE:2\r\n');
+  });
+
+  it('renderCalendar folds long lines at 75 octets', () => {
+    const ics = renderCalendar(extractEvents(`2024-07-06 ${'Long title '.repeat(10)}`, OPTIONS), {
+      key: 'default::Alpha Flight', name: 'Alpha Flight', timeZone: 'UTC', revision: 1, updatedAt: OPTIONS.reference, now: OPTIONS.reference,
+    });
+    const lines = ics.split('\r\n');
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(lines.some(line => line.startsWith(' '))).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+// test/diff.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { diffLines, formatDiff } from '../src/diff.js';
+
+describe('diff', () => {
+  it('diffLines reports added, removed and changed lines', () => {
+    const oldText = 'Monday\nBriefing 0800\nPT 0600\nSaturday';
+    const newText = 'Monday\nBriefing 0900\nSaturday\nSunday';
+    expect(diffLines(oldText, newText)).toEqual([
+      { type: 'changed', oldLine: 'Briefing 0800', newLine: 'Briefing 0900' },
+      { type: 'removed', line: 'PT 0600' },
+      { type: 'added', line: 'Sunday' },
+    ]);
+  });
+
+  it('diffLines ignores blank lines and trailing whitespace', () => {
+    expect(diffLines('a\n\nb', 'a  \nb\n\n')).toEqual([]);
+  });
+
+  it('formatDiff renders a summary and +/- lines', () => {
+    const text = formatDiff(diffLines('a\nb', 'a\nc\nd'));
+    expect(text).toBe('1 added, 0 removed, 1 changed\n- b\n+ c\n+ d');
+  });
+
+  it('formatDiff returns an empty string when nothing changed', () => {
+    expect(formatDiff([])).toBe('');
+  });
+});
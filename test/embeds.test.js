@@ -0,0 +1,65 @@
+// test/embeds.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { renderEmbedMessages, EMBED_LIMITS } from '../src/embeds.js';
+
+const messageLength = embeds => embeds.reduce((sum, e) => sum + (e.title?.length ?? 0) + e.description.length + (e.footer?.text.length ?? 0), 0);
+
+describe('embeds', () => {
+  it('renderEmbedMessages returns one embed for short text and a placeholder for empty text', () => {
+    expect(renderEmbedMessages('Formation 0700', { title: 'Update: Alpha', timestamp: '2024-07-01T12:00:00.000Z' })).toEqual([[
+      { title: 'Update: Alpha', description: 'Formation 0700', color: 0x2b2d31, timestamp: '2024-07-01T12:00:00.000Z' },
+    ]]);
+    expect(renderEmbedMessages('', { footer: 'Test Guild' })).toEqual([[
+      { description: 'No content found.', color: 0x2b2d31, footer: { text: 'Test Guild' } },
+    ]]);
+  });
+
+  it('renderEmbedMessages splits between paragraphs, keeps lists whole and packs embeds within the limits', () => {
+    const list = Array.from({ length: 40 }, (_, i) => `- Cadet ${i + 1}: ${'x'.repeat(40)}`).join('\n');
+    const prose = Array.from({ length: 60 }, () => 'word '.repeat(12).trim()).join('\n');
+    const text = [prose, list, prose, list].join('\n\n');
+    const messages = renderEmbedMessages(text, { title: 'Update: Alpha', footer: 'Test Guild' });
+    const embeds = messages.flat();
+
+    for (const message of messages) {
+      expect(message.length).toBeLessThanOrEqual(EMBED_LIMITS.embedsPerMessage);
+      expect(messageLength(message)).toBeLessThanOrEqual(EMBED_LIMITS.total);
+    }
+    for (const embed of embeds) expect(embed.description.length).toBeLessThanOrEqual(EMBED_LIMITS.description);
+    // Every list sits whole in one embed
+    expect(embeds.filter(e => e.description.includes(list))).toHaveLength(2);
+    expect(embeds.map(e => e.description).join('\n\n')).toBe(text);
+    expect(embeds.map(e => e.footer.text)).toEqual(embeds.map((_, i) => `Part ${i + 1}/${embeds.length} · Test Guild`));
+    expect(embeds[0].title).toBe('Update: Alpha');
+    expect(embeds.slice(1).every(e => !e.title)).toBe(true);
+    // ~11.4k characters fit in two messages of 6000
+    expect(text.length).toBeGreaterThan(11000);
+    expect(messages).toHaveLength(2);
+  });
+
+  it('renderEmbedMessages closes and re-opens a code block it has to split', () => {
+    const lines = Array.from({ length: 300 }, (_, i) => `+ line ${i} ${'y'.repeat(20)}`);
+    const text = '```diff\n' + lines.join('\n') + '\n```';
+    const embeds = renderEmbedMessages(text).flat();
+    expect(embeds.length).toBeGreaterThan(1);
+    for (const embed of embeds) {
+      expect(embed.description.startsWith('```diff\n')).toBe(true);
+      expect(embed.description.endsWith('\n```')).toBe(true);
+      expect(embed.description.length).toBeLessThanOrEqual(EMBED_LIMITS.description);
+    }
+    const body = embeds.map(e => e.description.slice('```diff\n'.length, -'\n```'.length)).join('\n');
+    expect(body).toBe(lines.join('\n'));
+  });
+
+  it('renderEmbedMessages breaks an overlong line between words', () => {
+    const line = Array.from({ length: 1500 }, (_, i) => `w${i}`).join(' ');
+    const embeds = renderEmbedMessages(line).flat();
+    expect(embeds.length).toBeGreaterThan(1);
+    for (const embed of embeds) {
+      expect(embed.description.length).toBeLessThanOrEqual(EMBED_LIMITS.description);
+      expect(embed.description).toMatch(/^w\d+( w\d+)*$/);
+    }
+  });
+});
@@ -0,0 +1,209 @@
+// test/fakes/discord.js
+// Author: zevinDev
+
+import { EventEmitter } from 'node:events';
+import { Collection } from 'discord.js';
+
+/**
+ * A text channel that records every message sent to it in `sent`. Sent messages can be fetched, edited,
+ * pinned and deleted through `channel.messages`, which keeps the live ones in `cache`; fetching a deleted
+ * message fails the way Discord does.
+ * @param {string} id - Channel id.
+ * @param {number} [type] - Discord channel type (0 = text).
+ * @author zevinDev
+ */
+export function createFakeChannel(id, type = 0) {
+  const channel = {
+    id,
+    type,
+    sent: [],
+    messages: {
+      cache: new Map(),
+      async fetch(messageId) {
+        const message = channel.messages.cache.get(messageId);
+        if (!message) throw Object.assign(new Error('Unknown Message'), { code: 10008 });
+        return message;
+      },
+    },
+    async send(payload) {
+      channel.sent.push(payload);
+      const messageId = `${id}-message-${channel.sent.length}`;
+      const message = {
+        id: messageId,
+        url: `https://discord.com/channels/guild/${id}/${messageId}`,
+        payload,
+        edits: [],
+        pinned: false,
+        async edit(next) {
+          message.edits.push(next);
+          message.payload = next;
+          return message;
+        },
+        async pin() {
+          message.pinned = true;
+        },
+        async delete() {
+          channel.messages.cache.delete(messageId);
+        },
+      };
+      channel.messages.cache.set(messageId, message);
+      return message;
+    },
+  };
+  return channel;
+}
+
+/**
+ * A guild with role and channel caches shaped like discord.js Collections.
+ * The @everyone role (id = guild id) is always present, as in Discord. Guild commands end up in `registeredCommands`.
+ * `members.fetch` finds the user ids listed in `members` and fails like Discord for anyone else.
+ * @param {{id: string, name?: string, ownerId?: string, roles?: Array<{id: string, name: string}>, channels?: object[], members?: string[]}} options
+ * @author zevinDev
+ */
+export function createFakeGuild({ id, name = 'Test Guild', ownerId = 'owner', roles = [], channels = [], members = [] }) {
+  const everyone = { id, name: '@everyone' };
+  const guild = {
+    id,
+    name,
+    ownerId,
+    roles: { cache: new Collection([everyone, ...roles].map(r => [r.id, r])) },
+    channels: { cache: new Collection(channels.map(c => [c.id, c])) },
+    members: {
+      async fetch(userId) {
+        if (!members.includes(userId)) throw Object.assign(new Error('Unknown Member'), { code: 10007 });
+        return { id: userId, user: { id: userId } };
+      },
+    },
+    // Guild-scoped commands set through guild.commands.set
+    registeredCommands: null,
+    commands: {
+      async set(commands) {
+        guild.registeredCommands = commands;
+        return commands;
+      },
+    },
+  };
+  return guild;
+}
+
+/**
+ * A Discord client that never touches the network. Registered commands end up in `registeredCommands`
+ * and direct messages in `directMessages` as `{ userId, message }`. Add user ids to `dmsClosed` to make
+ * DMs to them fail the way Discord does.
+ * @param {object[]} [guilds] - Guilds the bot is a member of.
+ * @author zevinDev
+ */
+export function createFakeClient(guilds = []) {
+  const client = new EventEmitter();
+  client.guilds = { cache: new Collection(guilds.map(g => [g.id, g])) };
+  client.registeredCommands = null;
+  client.application = {
+    commands: {
+      async set(commands) {
+        client.registeredCommands = commands;
+        return commands;
+      },
+    },
+  };
+  client.directMessages = [];
+  client.dmsClosed = new Set();
+  client.users = {
+    async fetch(userId) {
+      return {
+        id: userId,
+        async send(message) {
+          if (client.dmsClosed.has(userId)) {
+            throw Object.assign(new Error('Cannot send messages to this user'), { code: 50007 });
+          }
+          client.directMessages.push({ userId, message });
+        },
+      };
+    },
+  };
+  client.loggedInWith = null;
+  client.login = async (token) => {
+    client.loggedInWith = token;
+    return token;
+  };
+  client.isReady = () => client.loggedInWith !== null;
+  client.destroy = async () => {};
+  return client;
+}
+
+/**
+ * An interaction of the given kind. Every reply method records `{ type, payload }` in `responses`.
+ * @param {object} options
+ * @param {'command'|'autocomplete'|'select'|'channelSelect'|'roleSelect'|'button'|'modal'} options.kind
+ * @param {object} options.guild - A fake guild.
+ * @param {string} [options.commandName] - For commands and autocomplete.
+ * @param {string} [options.customId] - For components and modals.
+ * @param {string[]} [options.values] - Selected values for select menus.
+ * @param {object} [options.options] - Command option values by name.
+ * @param {string} [options.subcommand] - The subcommand name.
+ * @param {string} [options.focused] - The focused autocomplete value.
+ * @param {object} [options.fields] - Modal text input values by custom_id.
+ * @param {string} [options.userId] - The invoking user.
+ * @param {boolean} [options.admin] - Whether the member has the Administrator permission.
+ * @param {string[]} [options.roles] - Ids of the member's roles.
+ * @author zevinDev
+ */
+export function createFakeInteraction({
+  kind,
+  guild,
+  commandName = null,
+  customId = null,
+  values = [],
+  options = {},
+  subcommand = null,
+  focused = '',
+  fields = {},
+  userId = 'user-1',
+  admin = false,
+  roles = [],
+}) {
+  const responses = [];
+  const record = type => async (payload) => {
+    responses.push({ type, payload });
+  };
+  return {
+    responses,
+    guild,
+    guildId: guild?.id ?? null,
+    user: { id: userId, tag: `${userId}#0001` },
+    member: {
+      permissions: { has: perm => admin && perm === 'Administrator' },
+      roles: { cache: new Collection(roles.map(id => [id, { id }])) },
+    },
+    commandName,
+    customId,
+    values,
+    isCommand: () => kind === 'command',
+    isChatInputCommand: () => kind === 'command',
+    isAutocomplete: () => kind === 'autocomplete',
+    isStringSelectMenu: () => kind === 'select',
+    isChannelSelectMenu: () => kind === 'channelSelect',
+    isRoleSelectMenu: () => kind === 'roleSelect',
+    isButton: () => kind === 'button',
+    isModalSubmit: () => kind === 'modal',
+    options: {
+      getString: name => options[name] ?? null,
+      getBoolean: name => options[name] ?? null,
+      getRole: name => options[name] ?? null,
+      getUser: name => options[name] ?? null,
+      getChannel: name => options[name] ?? null,
+      getAttachment: name => options[name] ?? null,
+      getSubcommand: () => subcommand,
+      getFocused: () => focused,
+    },
+    fields: {
+      getTextInputValue: id => fields[id] ?? '',
+    },
+    reply: record('reply'),
+    deferReply: record('deferReply'),
+    editReply: record('editReply'),
+    followUp: record('followUp'),
+    respond: record('respond'),
+    showModal: record('showModal'),
+    update: record('update'),
+  };
+}
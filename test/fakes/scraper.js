@@ -0,0 +1,95 @@
+// test/fakes/scraper.js
+// Author: zevinDev
+
+/**
+ * A scraper that serves pages from a plain object instead of a browser.
+ * Mutate `scraper.pages` to simulate the form changing between refreshes, add items to `scraper.failing`
+ * to make them throw, set `scraper.unreachable` to make the whole form fail, and call
+ * `scraper.browser.crash()` to simulate Chromium dying.
+ * @param {{[item: string]: string}} pages - Content per dropdown item, in dropdown order.
+ * @author zevinDev
+ */
+export function createFakeScraper(pages) {
+  const scraper = {
+    pages: { ...pages },
+    failing: new Set(),
+    unreachable: false,
+    launches: 0,
+    pagesOpened: 0,
+    browser: null,
+    async launch() {
+      scraper.launches++;
+      let connected = true;
+      const listeners = [];
+      scraper.browser = {
+        isConnected: () => connected,
+        on(event, fn) {
+          if (event === 'disconnected') listeners.push(fn);
+        },
+        crash() {
+          connected = false;
+          for (const fn of listeners) fn();
+        },
+        async newPage() {
+          scraper.pagesOpened++;
+          let closed = false;
+          return {
+            isClosed: () => closed || !connected,
+            async goto() {},
+            async reload() {},
+            async close() {
+              closed = true;
+            },
+          };
+        },
+        async close() {
+          connected = false;
+        },
+      };
+      return scraper.browser;
+    },
+    async getDropdownItems(page) {
+      if (scraper.unreachable || page.isClosed()) throw new Error('net::ERR_CONNECTION_REFUSED');
+      return Object.keys(scraper.pages);
+    },
+    async getContentForDropdownItem(page, item) {
+      if (page.isClosed()) throw new Error('Target closed');
+      if (scraper.unreachable || scraper.failing.has(item)) throw new Error(`Timed out loading ${item}`);
+      if (!(item in scraper.pages)) throw new Error(`Dropdown item not found: ${item}`);
+      return scraper.pages[item];
+    },
+  };
+  return scraper;
+}
+
+/**
+ * A clock that stands still until `set` is called. Timers are recorded but never fire,
+ * and sleep() resolves at once after recording the delay.
+ * @param {string|Date} start - The initial time.
+ * @author zevinDev
+ */
+export function createFakeClock(start) {
+  let current = new Date(start);
+  const clock = {
+    timers: [],
+    sleeps: [],
+    now: () => new Date(current),
+    set(date) {
+      current = new Date(date);
+    },
+    setTimeout(fn, ms) {
+      clock.timers.push({ fn, ms });
+      return clock.timers.length;
+    },
+    clearTimeout() {},
+    setInterval(fn, ms) {
+      clock.timers.push({ fn, ms, repeat: true });
+      return clock.timers.length;
+    },
+    clearInterval() {},
+    async sleep(ms) {
+      clock.sleeps.push(ms);
+    },
+  };
+  return clock;
+}
@@ -0,0 +1,37 @@
+// test/fixtures/server.js
+// Author: zevinDev
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join, dirname, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FORMS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'forms');
+
+/**
+ * Serves the saved Microsoft Forms fixture pages over HTTP on a random local port.
+ * @returns {Promise<{baseUrl: string, close: () => Promise<void>}>}
+ * @author zevinDev
+ */
+export async function startFixtureServer() {
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const file = normalize(join(FORMS_DIR, pathname));
+    if (!file.startsWith(FORMS_DIR)) {
+      res.writeHead(403).end();
+      return;
+    }
+    try {
+      const body = await readFile(file);
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(body);
+    } catch {
+      res.writeHead(404).end('Not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
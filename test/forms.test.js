@@ -0,0 +1,68 @@
+// test/forms.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { DEFAULT_FORM_ID, formIdForUrl, validateFormUrl, parseFormHosts, pageKey, parsePageKey, normalizePageKey, diffItemLists } from '../src/forms.js';
+
+describe('forms', () => {
+  it('formIdForUrl is stable per URL', () => {
+    const url = 'https://forms.office.com/r/abc123';
+    expect(formIdForUrl(url)).toBe(formIdForUrl(url));
+    expect(formIdForUrl(url)).toMatch(/^f[0-9a-f]{10}$/);
+    expect(formIdForUrl(url)).not.toBe(formIdForUrl('https://forms.office.com/r/other'));
+  });
+
+  it('validateFormUrl only accepts https links', () => {
+    expect(validateFormUrl(' https://forms.office.com/r/abc ')).toBe('https://forms.office.com/r/abc');
+    expect(() => validateFormUrl('http://forms.office.com/r/abc')).toThrow(/https/);
+    expect(() => validateFormUrl('not a url')).toThrow(/valid URL/);
+  });
+
+  it('validateFormUrl only accepts Microsoft Forms hosts, or the hosts in FORM_HOSTS', () => {
+    expect(validateFormUrl('https://eu.forms.office.com/r/abc')).toBe('https://eu.forms.office.com/r/abc');
+    expect(() => validateFormUrl('https://example.com/r/abc')).toThrow('Only Microsoft Forms links can be monitored');
+    expect(() => validateFormUrl('https://169.254.169.254/latest')).toThrow('Only Microsoft Forms links can be monitored');
+    expect(() => validateFormUrl('https://forms.office.com.evil.example/r/abc')).toThrow('Only Microsoft Forms links can be monitored');
+    expect(parseFormHosts('')).toEqual(['forms.office.com', 'forms.microsoft.com', 'forms.osi.apps.mil']);
+    const hosts = parseFormHosts(' Forms.Example, other.example');
+    expect(validateFormUrl('https://forms.example/r/abc', hosts)).toBe('https://forms.example/r/abc');
+    expect(() => validateFormUrl('https://forms.office.com/r/abc', hosts)).toThrow('(forms.example, other.example)');
+  });
+
+  it('pageKey and parsePageKey round-trip, even when items contain the separator', () => {
+    const formId = formIdForUrl('https://forms.office.com/r/abc');
+    const key = pageKey(formId, 'Flight A :: Schedule');
+    expect(parsePageKey(key)).toEqual({ formId, item: 'Flight A :: Schedule' });
+  });
+
+  it('legacy keys without a form belong to the default form', () => {
+    expect(parsePageKey('Weekend Schedule')).toEqual({ formId: DEFAULT_FORM_ID, item: 'Weekend Schedule' });
+    expect(parsePageKey('Notes::Friday')).toEqual({ formId: DEFAULT_FORM_ID, item: 'Notes::Friday' });
+    expect(normalizePageKey('Weekend Schedule')).toBe('default::Weekend Schedule');
+    expect(normalizePageKey('default::Weekend Schedule')).toBe('default::Weekend Schedule');
+  });
+
+  it('diffItemLists reports additions, removals and renames', () => {
+    expect(diffItemLists(['Alpha Flight', 'Bravo Flight'], ['Alpha Flight', 'Bravo Flight'])).toEqual({ added: [], removed: [], renamed: [] });
+    expect(diffItemLists(
+      ['Alpha Flight', 'Bravo Flight', 'Weekend Schedule'],
+      ['Alpha Flight (Updated)', 'Charlie Flight', 'Weekend Schedule'],
+    )).toEqual({
+      added: ['Charlie Flight'],
+      removed: ['Bravo Flight'],
+      renamed: [{ from: 'Alpha Flight', to: 'Alpha Flight (Updated)' }],
+    });
+  });
+
+  it('diffItemLists keeps items in a series apart instead of pairing them as renames', () => {
+    expect(diffItemLists(['Week 1', 'Alpha Flight'], ['Week 2', 'Bravo Flight'])).toEqual({
+      added: ['Week 2', 'Bravo Flight'],
+      removed: ['Week 1', 'Alpha Flight'],
+      renamed: [],
+    });
+    // A fixed typo is still a rename
+    expect(diffItemLists(['Weekend Shcedule'], ['Weekend Schedule']).renamed).toEqual([{ from: 'Weekend Shcedule', to: 'Weekend Schedule' }]);
+    // Two equally good matches leave the item unpaired
+    expect(diffItemLists(['Drill Schedule'], ['Drill Schedule A', 'Drill Schedule B']).renamed).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+// test/fuzzy.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { fuzzyScore, fuzzyFilter } from '../src/fuzzy.js';
+
+const ITEMS = ['Alpha Flight', 'Bravo Flight', 'Weekend Schedule', 'Flight Commander Notes'];
+
+describe('fuzzy', () => {
+  it('matches characters in order and rejects the rest', () => {
+    expect(fuzzyScore('wknd', 'Weekend Schedule')).not.toBeNull();
+    expect(fuzzyScore('dnkw', 'Weekend Schedule')).toBeNull();
+    expect(fuzzyScore('', 'anything')).toBe(0);
+  });
+
+  it('ranks prefixes and substrings above scattered matches', () => {
+    expect(fuzzyFilter(ITEMS, 'flight', x => x)).toEqual(['Flight Commander Notes', 'Alpha Flight', 'Bravo Flight']);
+    expect(fuzzyFilter(ITEMS, 'bf', x => x)[0]).toBe('Bravo Flight');
+    expect(fuzzyFilter(ITEMS, 'sched', x => x)).toEqual(['Weekend Schedule']);
+  });
+
+  it('keeps the original order for an empty query', () => {
+    expect(fuzzyFilter(ITEMS, '', x => x)).toEqual(ITEMS);
+  });
+});
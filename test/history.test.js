@@ -0,0 +1,27 @@
+// test/history.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { hashContent, formatHistoryList } from '../src/history.js';
+
+describe('history', () => {
+  it('hashContent is stable and distinguishes versions', () => {
+    expect(hashContent('Saturday 0800')).toBe(hashContent('Saturday 0800'));
+    expect(hashContent('Saturday 0800')).not.toBe(hashContent('Saturday 0900'));
+    expect(hashContent('x')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('formatHistoryList lists versions with timestamps and short hashes', () => {
+    const versions = [
+      { timestamp: new Date('2024-05-02T12:00:00Z'), hash: 'abcdef0123456789', content: 'new' },
+      { timestamp: new Date('2024-05-01T12:00:00Z'), hash: '0123456789abcdef', content: 'older' },
+    ];
+    expect(formatHistoryList(versions)).toBe(
+      '**1.** <t:1714651200:f> · `abcdef01` · 3 chars\n**2.** <t:1714564800:f> · `01234567` · 5 chars'
+    );
+  });
+
+  it('formatHistoryList handles an empty history', () => {
+    expect(formatHistoryList([])).toBe('No versions recorded yet.');
+  });
+});
@@ -0,0 +1,42 @@
+// test/metrics.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { createMetrics } from '../src/metrics.js';
+
+describe('metrics', () => {
+  it('renders counters, gauges and summaries in Prometheus text format', () => {
+    const metrics = createMetrics();
+    const sent = metrics.counter('sent_total', 'Messages sent.');
+    const age = metrics.gauge('age_seconds', 'Age.');
+    const duration = metrics.summary('duration_seconds', 'Duration.');
+    sent.inc({ mode: 'diff' });
+    sent.inc({ mode: 'diff' }, 2);
+    age.set({ item: 'Say "hi"\nnow' }, 5);
+    duration.observe({}, 0.5);
+    duration.observe({}, 1.5);
+    expect(metrics.render()).toBe([
+      '# HELP sent_total Messages sent.',
+      '# TYPE sent_total counter',
+      'sent_total{mode="diff"} 3',
+      '# HELP age_seconds Age.',
+      '# TYPE age_seconds gauge',
+      'age_seconds{item="Say \\"hi\\"\\nnow"} 5',
+      '# HELP duration_seconds Duration.',
+      '# TYPE duration_seconds summary',
+      'duration_seconds_sum 2',
+      'duration_seconds_count 2',
+      '',
+    ].join('\n'));
+  });
+
+  it('runs collectors before rendering', () => {
+    const metrics = createMetrics();
+    const gauge = metrics.gauge('items', 'Items.');
+    let count = 1;
+    metrics.onCollect(() => gauge.set({}, count));
+    expect(metrics.render()).toContain('items 1');
+    count = 4;
+    expect(metrics.render()).toContain('items 4');
+  });
+});
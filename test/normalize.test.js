@@ -0,0 +1,23 @@
+// test/normalize.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { normalizeContent, compileIgnorePatterns } from '../src/normalize.js';
+
+describe('normalize', () => {
+  it('normalizeContent removes invisible characters, plain-quotes text and collapses whitespace', () => {
+    const scraped = '  Formation\u00A0 0700\u200B \r\n\n\n\u201CUniform\u201D: Cadet\u2019s OCPs\t\n';
+    expect(normalizeContent(scraped)).toBe('Formation 0700\n"Uniform": Cadet\'s OCPs');
+    expect(normalizeContent(scraped)).toBe(normalizeContent('Formation 0700\n"Uniform": Cadet\'s   OCPs'));
+  });
+
+  it('normalizeContent removes text matching ignore patterns and drops lines left empty', () => {
+    const text = 'Formation 0700\nLast updated: 12:03\nViews: 41 today';
+    expect(normalizeContent(text, ['/^last updated.*$/i', '/\\d+ today/'])).toBe('Formation 0700\nViews:');
+    expect(normalizeContent(text, ['views'])).toBe('Formation 0700\nLast updated: 12:03\n: 41 today');
+  });
+
+  it('compileIgnorePatterns skips invalid patterns', () => {
+    expect(compileIgnorePatterns(['/(/', 'ok']).map(r => r.flags)).toEqual(['gi']);
+  });
+});
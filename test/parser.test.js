@@ -0,0 +1,80 @@
+// test/parser.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { parsePageContent, toEmbedFields, matchLeadingDate } from '../src/parser.js';
+
+const SAMPLE = [
+  'WEEKEND SCHEDULE',
+  'Uniform: OCPs',
+  'Location: Bldg 200',
+  'Saturday, June 15 - Drill at 0800',
+  '6/16/2024: Family day',
+  '',
+  'Bring:',
+  '- CAC',
+  '- Water bottle',
+  'Questions go to the flight commander.',
+].join('\n');
+
+describe('parser', () => {
+  it('matchLeadingDate splits dated lines', () => {
+    expect(matchLeadingDate('Saturday, June 15 - Drill at 0800')).toEqual({ date: 'Saturday, June 15', text: 'Drill at 0800' });
+    expect(matchLeadingDate('2024-06-16: Family day')).toEqual({ date: '2024-06-16', text: 'Family day' });
+    expect(matchLeadingDate('Sat')).toEqual({ date: 'Sat', text: '' });
+    expect(matchLeadingDate('Saturdays are for drill')).toBeNull();
+    expect(matchLeadingDate('Mayday drill')).toBeNull();
+  });
+
+  it('parsePageContent finds headings, key/value lines, dates and lists', () => {
+    expect(parsePageContent(SAMPLE)).toEqual({
+      sections: [
+        {
+          heading: 'WEEKEND SCHEDULE',
+          entries: [
+            { type: 'field', name: 'Uniform', value: 'OCPs' },
+            { type: 'field', name: 'Location', value: 'Bldg 200' },
+            { type: 'date', date: 'Saturday, June 15', text: 'Drill at 0800' },
+            { type: 'date', date: '6/16/2024', text: 'Family day' },
+          ],
+        },
+        {
+          heading: 'Bring',
+          entries: [
+            { type: 'list', items: ['CAC', 'Water bottle'] },
+            { type: 'text', text: 'Questions go to the flight commander.' },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('times are not mistaken for key/value lines', () => {
+    const { sections } = parsePageContent('08:00: Formation');
+    expect(sections[0].entries).toEqual([{ type: 'text', text: '08:00: Formation' }]);
+  });
+
+  it('toEmbedFields renders one field per section', () => {
+    expect(toEmbedFields(parsePageContent(SAMPLE))).toEqual([
+      {
+        name: 'WEEKEND SCHEDULE',
+        value: '**Uniform:** OCPs\n**Location:** Bldg 200\n📅 **Saturday, June 15** — Drill at 0800\n📅 **6/16/2024** — Family day',
+      },
+      { name: 'Bring', value: '• CAC\n• Water bottle\nQuestions go to the flight commander.' },
+    ]);
+  });
+
+  it('toEmbedFields continues long sections in extra fields', () => {
+    const text = ['NOTES', ...Array.from({ length: 40 }, (_, i) => `- item number ${i} with some padding text`)].join('\n');
+    const fields = toEmbedFields(parsePageContent(text));
+    expect(fields.length).toBeGreaterThan(1);
+    expect(fields[1].name).toBe('NOTES (cont.)');
+    expect(fields.every(f => f.value.length <= 1024)).toBe(true);
+  });
+
+  it('toEmbedFields returns null for unstructured or oversized text', () => {
+    expect(toEmbedFields(parsePageContent('Just a sentence.\nAnd another one.'))).toBeNull();
+    const huge = Array.from({ length: 30 }, (_, i) => `SECTION ${String.fromCharCode(65 + i)}\nKey: value`).join('\n');
+    expect(toEmbedFields(parsePageContent(huge))).toBeNull();
+  });
+});
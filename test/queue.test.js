@@ -0,0 +1,84 @@
+// test/queue.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { createJobQueue } from '../src/queue.js';
+
+// A promise plus the functions that settle it, to hold a job open
+function deferred() {
+  let resolve;
+  const promise = new Promise(res => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+describe('createJobQueue', () => {
+  it('runs one job at a time per worker', async () => {
+    const queue = createJobQueue({ workers: 1 });
+    const events = [];
+    const gate = deferred();
+    const first = queue.run(async () => {
+      events.push('first start');
+      await gate.promise;
+      events.push('first end');
+    });
+    const second = queue.run(async () => events.push('second'));
+    await Promise.resolve();
+    expect(queue.running).toBe(1);
+    expect(queue.pending).toBe(1);
+    gate.resolve();
+    await Promise.all([first, second]);
+    expect(events).toEqual(['first start', 'first end', 'second']);
+  });
+
+  it('starts user jobs before queued background jobs', async () => {
+    const queue = createJobQueue();
+    const order = [];
+    const gate = deferred();
+    const running = queue.run(() => gate.promise);
+    const jobs = [
+      queue.run(async () => order.push('background 1')),
+      queue.run(async () => order.push('background 2')),
+      queue.run(async () => order.push('user'), { priority: 'user' }),
+    ];
+    gate.resolve();
+    await Promise.all([running, ...jobs]);
+    expect(order).toEqual(['user', 'background 1', 'background 2']);
+  });
+
+  it('gives each running job its own worker', async () => {
+    const queue = createJobQueue({ workers: 2 });
+    const gate = deferred();
+    const workers = [];
+    const jobs = [0, 1].map(() => queue.run(async worker => {
+      workers.push(worker);
+      await gate.promise;
+    }));
+    await Promise.resolve();
+    expect(workers.sort()).toEqual([0, 1]);
+    gate.resolve();
+    await Promise.all(jobs);
+  });
+
+  it('times out a stuck job, frees its worker and calls onTimeout', async () => {
+    const queue = createJobQueue({ timeoutMs: 10 });
+    const timedOut = [];
+    const stuck = queue.run(() => new Promise(() => {}), { label: 'Stuck job', onTimeout: worker => timedOut.push(worker) });
+    const next = queue.run(async () => 'next');
+    await expect(stuck).rejects.toThrow('Stuck job timed out after 10 ms');
+    expect(await next).toBe('next');
+    expect(timedOut).toEqual([0]);
+  });
+
+  it('clear rejects jobs that have not started', async () => {
+    const queue = createJobQueue();
+    const gate = deferred();
+    const running = queue.run(() => gate.promise);
+    const waiting = queue.run(async () => 'never');
+    queue.clear(new Error('Form removed'));
+    await expect(waiting).rejects.toThrow('Form removed');
+    gate.resolve();
+    await running;
+  });
+});
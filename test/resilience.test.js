@@ -0,0 +1,55 @@
+// test/resilience.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { retryWithBackoff, createCircuitBreaker } from '../src/resilience.js';
+
+describe('retryWithBackoff', () => {
+  it('retries with doubling delays until the work succeeds', async () => {
+    const sleeps = [];
+    let calls = 0;
+    const result = await retryWithBackoff(async () => {
+      calls++;
+      if (calls < 3) throw new Error('flaky');
+      return 'ok';
+    }, { attempts: 4, baseDelayMs: 100, sleep: async ms => sleeps.push(ms) });
+    expect(result).toBe('ok');
+    expect(sleeps).toEqual([100, 200]);
+  });
+
+  it('caps the delay and rethrows the last error', async () => {
+    const sleeps = [];
+    let calls = 0;
+    const attempt = retryWithBackoff(async n => {
+      calls++;
+      throw new Error(`failure ${n}`);
+    }, { attempts: 4, baseDelayMs: 100, maxDelayMs: 250, sleep: async ms => sleeps.push(ms) });
+    await expect(attempt).rejects.toThrow('failure 4');
+    expect(calls).toBe(4);
+    expect(sleeps).toEqual([100, 200, 250]);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  it('opens after the threshold and allows one trial after the cooldown', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => now });
+    breaker.recordFailure();
+    expect(breaker.canAttempt()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canAttempt()).toBe(false);
+
+    now = 1000;
+    expect(breaker.canAttempt()).toBe(true);
+    expect(breaker.state).toBe('halfOpen');
+    breaker.recordFailure();
+    expect(breaker.canAttempt()).toBe(false);
+
+    now = 2000;
+    expect(breaker.canAttempt()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+// test/schedule.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import {
+  DEFAULT_SCHEDULE,
+  getZonedTimeParts,
+  parseCron,
+  isScheduleDue,
+  parseScheduleInput,
+  describeSchedule,
+  formatScheduleInput,
+} from '../src/schedule.js';
+
+// 2024-07-01 is a Monday; America/Chicago is UTC-5 in July
+const chicago = (hhmm) => new Date(`2024-07-01T${hhmm}:00-05:00`);
+
+describe('schedule', () => {
+  it('getZonedTimeParts converts to the requested time zone', () => {
+    const parts = getZonedTimeParts(new Date('2024-07-01T20:33:00Z'), 'America/Chicago');
+    expect(parts).toEqual({ month: 7, day: 1, hour: 15, minute: 33, weekday: 1 });
+  });
+
+  it('DEFAULT_SCHEDULE matches the original 15:33-22:00 every 30 minutes window', () => {
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('15:33'))).toBe(true);
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('16:03'))).toBe(true);
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('21:33'))).toBe(true);
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('15:34'))).toBe(false);
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('22:03'))).toBe(false);
+    expect(isScheduleDue(DEFAULT_SCHEDULE, chicago('15:03'))).toBe(false);
+  });
+
+  it('window schedules can wrap past midnight', () => {
+    const schedule = parseScheduleInput('23:00-01:00 every 1h', 'UTC');
+    expect(isScheduleDue(schedule, new Date('2024-07-01T23:00:00Z'))).toBe(true);
+    expect(isScheduleDue(schedule, new Date('2024-07-02T00:00:00Z'))).toBe(true);
+    expect(isScheduleDue(schedule, new Date('2024-07-02T01:00:00Z'))).toBe(true);
+    expect(isScheduleDue(schedule, new Date('2024-07-02T02:00:00Z'))).toBe(false);
+  });
+
+  it('parseCron expands ranges, steps and lists', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 * 7');
+    expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+    expect([...cron.hour]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfMonth]).toEqual([1, 15]);
+    expect([...cron.dayOfWeek]).toEqual([0]);
+    expect(() => parseCron('* * *')).toThrow();
+    expect(() => parseCron('60 * * * *')).toThrow();
+  });
+
+  it('cron schedules are evaluated in their time zone', () => {
+    const schedule = parseScheduleInput('cron 0 8 * * 1-5', 'America/Chicago');
+    expect(isScheduleDue(schedule, chicago('08:00'))).toBe(true);
+    expect(isScheduleDue(schedule, new Date('2024-07-01T08:00:00Z'))).toBe(false);
+    // Sunday
+    expect(isScheduleDue(schedule, new Date('2024-06-30T08:00:00-05:00'))).toBe(false);
+  });
+
+  it('on change schedules never fire on the clock', () => {
+    const schedule = parseScheduleInput('on change', 'America/Chicago');
+    expect(schedule).toEqual({ type: 'onChange' });
+    expect(isScheduleDue(schedule, chicago('15:33'))).toBe(false);
+  });
+
+  it('parseScheduleInput rejects bad input', () => {
+    expect(() => parseScheduleInput('whenever', 'UTC')).toThrow(/Unrecognized schedule/);
+    expect(() => parseScheduleInput('08:00-20:00 every 30', 'Mars/Base')).toThrow(/Unknown time zone/);
+    expect(() => parseScheduleInput('25:00-20:00 every 30', 'UTC')).toThrow(/Invalid time/);
+  });
+
+  it('describeSchedule and formatScheduleInput round-trip', () => {
+    const schedule = parseScheduleInput('8:00-20:00 every 60', 'Europe/Berlin');
+    expect(formatScheduleInput(schedule)).toBe('08:00-20:00 every 60');
+    expect(describeSchedule(schedule)).toBe('Every 60 min from 08:00 to 20:00 (Europe/Berlin)');
+    expect(describeSchedule(null)).toBe('Every 30 min from 15:33 to 22:00 (America/Chicago)');
+    expect(formatScheduleInput({ type: 'cron', timezone: 'UTC', cron: '0 * * * *' })).toBe('cron 0 * * * *');
+  });
+});
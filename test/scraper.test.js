@@ -1,41 +1,95 @@
 // test/scraper.test.js
 // Author: zevinDev
 
-import { describe, it, expect } from 'bun:test';
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
 import * as scraper from '../src/scraper.js';
 import puppeteer from 'puppeteer';
+import { startFixtureServer } from './fixtures/server.js';
 
-// NOTE: Bun does not support vi.mock, jest.mock, beforeAll, or afterAll. These tests are integration-style and will run real code.Add commentMore actions
-// Puppeteer browser/page are launched once for all tests and closed at process exit.
+// These tests run the real scraper in headless Chromium against saved Microsoft Forms fixture pages
+// served from test/fixtures, so they need no network access and do not depend on the live form.
 
+let server;
 let browser;
 let page;
 
-async function setup() {
-  if (!browser) {
-    browser = await puppeteer.launch({ headless: true });
+describe('scraper', () => {
+  beforeAll(async () => {
+    server = await startFixtureServer();
+    browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] });
     page = await browser.newPage();
-    await page.goto('https://forms.osi.apps.mil/pages/responsepage.aspx?id=jbExg4ct70ijX6yIGOv5tOOqd51XqHlGnrbdLSCZ8wxUQUVXMEhZQjlHR0hDOUdWUk5ZVVlXTjRHTy4u', { waitUntil: 'networkidle2' });
-  }
-}
+    await page.goto(`${server.baseUrl}/form.html`, { waitUntil: 'networkidle2' });
+  });
 
-process.on('exit', async () => {
-  if (browser) await browser.close();
-});
+  afterAll(async () => {
+    if (browser) await browser.close();
+    if (server) await server.close();
+  });
 
-describe('scraper', () => {
   it('getDropdownItems returns an array', async () => {
-    await setup();
     const items = await scraper.getDropdownItems(page);
     expect(Array.isArray(items)).toBe(true);
+    expect(items).toEqual(['Alpha Flight', 'Bravo Flight', 'Weekend Schedule']);
+  });
+
+  it('getDropdownItems returns an empty array for an empty listbox', async () => {
+    const emptyPage = await browser.newPage();
+    try {
+      await emptyPage.goto(`${server.baseUrl}/form.html?empty`, { waitUntil: 'networkidle2' });
+      expect(await scraper.getDropdownItems(emptyPage)).toEqual([]);
+    } finally {
+      await emptyPage.close();
+    }
   });
 
   it('getContentForDropdownItem returns a string', async () => {
-    await setup();
     const items = await scraper.getDropdownItems(page);
-    if (items.length > 0) {
-      const content = await scraper.getContentForDropdownItem(page, items[0]);
-      expect(typeof content).toBe('string');
-    }
+    const content = await scraper.getContentForDropdownItem(page, items[0]);
+    expect(typeof content).toBe('string');
+  });
+
+  it('getContentForDropdownItem cuts at curly-quoted Select “Back” text', async () => {
+    const content = await scraper.getContentForDropdownItem(page, 'Alpha Flight');
+    expect(content).toBe('Formation: 0700\nUniform: OCPs');
+  });
+
+  it('getContentForDropdownItem cuts at straight-quoted Select "Back" text', async () => {
+    const content = await scraper.getContentForDropdownItem(page, 'Bravo Flight');
+    expect(content).toBe('No changes this week.');
+  });
+
+  it('getContentForDropdownItem cuts at the Back/Submit buttons when there is no hint', async () => {
+    const content = await scraper.getContentForDropdownItem(page, 'Weekend Schedule');
+    expect(content).toBe('Saturday, June 15 - Drill at 0800\nSunday, June 16 - Family day');
   });
-});
\ No newline at end of file
+
+  it('getContentForDropdownItem throws for a missing item and the page stays usable', async () => {
+    await expect(scraper.getContentForDropdownItem(page, 'Charlie Flight')).rejects.toThrow('Dropdown item not found: Charlie Flight');
+    const content = await scraper.getContentForDropdownItem(page, 'Bravo Flight');
+    expect(content).toBe('No changes this week.');
+  });
+});
+
+describe('cleanPageText', () => {
+  it('drops the form title and section header lines', () => {
+    expect(scraper.cleanPageText('Form title\nSection\nLine one\nLine two')).toBe('Line one\nLine two');
+  });
+
+  it('cuts at Select "Back" with straight, curly or no quotes', () => {
+    expect(scraper.cleanPageText('T\nS\nBody\nSelect “Back” to return.\nBack\nSubmit')).toBe('Body');
+    expect(scraper.cleanPageText("T\nS\nBody\nSelect 'Back' to return.")).toBe('Body');
+    expect(scraper.cleanPageText('T\nS\nBody\nselect back to return.')).toBe('Body');
+  });
+
+  it('cuts at Back/Submit when there is no Select "Back" hint', () => {
+    expect(scraper.cleanPageText('T\nS\nBody\n  Back \n Submit\nFooter')).toBe('Body');
+  });
+
+  it('uses whichever marker comes first', () => {
+    expect(scraper.cleanPageText('T\nS\nBody\nBack\nSubmit\nSelect "Back"')).toBe('Body');
+  });
+
+  it('returns an empty string for pages with only a header', () => {
+    expect(scraper.cleanPageText('Form title\nSection')).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+// test/search.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { parseQuery, searchDocuments, formatSearchResults } from '../src/search.js';
+
+const DOCS = [
+  { label: 'Alpha Flight', content: 'Formation 0700\nSaturday: PT at the track\nCadet Smith leads drill' },
+  { label: 'Bravo Flight', content: 'Saturdays are off this month' },
+  { label: 'Weekend Schedule', content: 'Saturday 0800 Alpha Flight formation\nSunday off' },
+];
+
+describe('search', () => {
+  it('parseQuery keeps quoted phrases together', () => {
+    expect(parseQuery('Saturday "alpha flight" saturday')).toEqual(['saturday', 'alpha flight']);
+    expect(parseQuery('   ')).toEqual([]);
+  });
+
+  it('requires every term and ranks whole words and label hits higher', () => {
+    const results = searchDocuments(DOCS, 'saturday');
+    expect(results.map(r => r.document.label)).toEqual(['Alpha Flight', 'Weekend Schedule', 'Bravo Flight']);
+    expect(searchDocuments(DOCS, 'saturday smith').map(r => r.document.label)).toEqual(['Alpha Flight']);
+    expect(searchDocuments(DOCS, 'alpha formation')[0].document.label).toBe('Alpha Flight');
+    expect(searchDocuments(DOCS, 'nobody')).toEqual([]);
+  });
+
+  it('returns highlighted snippets with markdown escaped', () => {
+    const [result] = searchDocuments([{ label: 'Notes', content: 'Intro\nBring *two* pens on Saturday\nOutro' }], 'saturday');
+    expect(result.snippets).toEqual(['Bring \\*two\\* pens on **Saturday**']);
+    const [long] = searchDocuments([{ label: 'Long', content: `${'x'.repeat(100)} Saturday ${'y'.repeat(200)}` }], 'saturday');
+    expect(long.snippets[0].startsWith('…')).toBe(true);
+    expect(long.snippets[0].endsWith('…')).toBe(true);
+    expect(long.snippets[0]).toContain('**Saturday**');
+  });
+
+  it('formatSearchResults numbers results, dates old versions and respects the length limit', () => {
+    const results = searchDocuments([
+      { label: 'Alpha Flight', content: 'Saturday PT' },
+      { label: 'Alpha Flight', content: 'Saturday drill', timestamp: new Date('2024-07-01T00:00:00Z') },
+    ], 'saturday');
+    expect(formatSearchResults(results)).toBe([
+      '**1. Alpha Flight**',
+      '> **Saturday** PT',
+      '',
+      '**2. Alpha Flight** · version from <t:1719792000:f>',
+      '> **Saturday** drill',
+    ].join('\n'));
+    expect(formatSearchResults(results, 40)).toBe('**1. Alpha Flight**\n> **Saturday** PT');
+  });
+});
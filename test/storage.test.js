@@ -0,0 +1,160 @@
+// test/storage.test.js
+// Author: zevinDev
+
+import { describe, it, expect } from 'bun:test';
+import { createMemoryStorage } from '../src/storage/memory.js';
+import { createSqliteStorage } from '../src/storage/sqlite.js';
+import { createStorage } from '../src/storage/index.js';
+import { migrateStorage } from '../src/storage/migrate.js';
+
+const backends = {
+  memory: () => createMemoryStorage(),
+  sqlite: () => createSqliteStorage(':memory:'),
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  describe(`${name} storage`, () => {
+    it('reads back cached content per form and item', async () => {
+      const storage = create();
+      await storage.init();
+      expect(await storage.readDropdownCache('default', 'Alpha')).toBe('');
+      await storage.writeDropdownCache('default', 'Alpha', 'one');
+      await storage.writeDropdownCache('default', 'Alpha', 'two');
+      await storage.writeDropdownCache('f0123456789', 'Alpha', 'other form');
+      expect(await storage.readDropdownCache('default', 'Alpha')).toBe('two');
+      expect((await storage.listDropdownCache()).length).toBe(2);
+      await storage.close();
+    });
+
+    it('keeps history versions newest first', async () => {
+      const storage = create();
+      await storage.init();
+      const first = await storage.appendHistory({ form: 'default', item: 'Alpha', content: 'v1', hash: 'h1', timestamp: new Date('2026-01-01T00:00:00Z') });
+      await storage.appendHistory({ form: 'default', item: 'Alpha', content: 'v2', hash: 'h2', timestamp: new Date('2026-01-02T00:00:00Z') });
+      expect((await storage.readLatestHistory('default', 'Alpha')).content).toBe('v2');
+      expect((await storage.readHistory('default', 'Alpha', 10)).map(v => v.content)).toEqual(['v2', 'v1']);
+      expect(await storage.countHistory('default', 'Alpha')).toBe(2);
+      const version = await storage.readHistoryVersion(first.id);
+      expect(version.content).toBe('v1');
+      expect(new Date(version.timestamp).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+      expect(await storage.readHistoryVersion('999')).toBeNull();
+      await storage.close();
+    });
+
+    it('upserts guild settings and last-sent content', async () => {
+      const storage = create();
+      await storage.init();
+      await storage.saveGuildSettings({ guildId: 'g1', pages: ['default::Alpha'], channel: 'c1' });
+      await storage.saveGuildSettings({ guildId: 'g1', pages: [], channel: 'c2' });
+      await storage.saveLastSentContent('g1', { 'default::Alpha': 'v1' });
+      expect(await storage.loadGuildSettings()).toEqual([{ guildId: 'g1', pages: [], channel: 'c2' }]);
+      expect(await storage.loadLastSentContent()).toEqual([{ guildId: 'g1', pages: { 'default::Alpha': 'v1' } }]);
+      await storage.close();
+    });
+
+    it('upserts scrape status per page', async () => {
+      const storage = create();
+      await storage.init();
+      const failedAt = new Date('2026-01-01T00:00:00Z');
+      await storage.saveScrapeStatus({ form: 'default', item: 'Alpha', lastSuccessAt: null, lastErrorAt: failedAt, lastError: 'timeout', consecutiveFailures: 1 });
+      await storage.saveScrapeStatus({ form: 'default', item: 'Alpha', lastSuccessAt: null, lastErrorAt: failedAt, lastError: 'timeout', consecutiveFailures: 2 });
+      const [status] = await storage.loadScrapeStatus();
+      expect(status.consecutiveFailures).toBe(2);
+      expect(new Date(status.lastErrorAt).toISOString()).toBe(failedAt.toISOString());
+      expect((await storage.loadScrapeStatus()).length).toBe(1);
+      await storage.close();
+    });
+
+    it('saves subscriptions per member and deletes them when empty', async () => {
+      const storage = create();
+      await storage.init();
+      const doc = { guildId: 'g1', userId: 'u1', pages: ['default::Alpha'], sent: { 'default::Alpha': 'h1' }, dmBlocked: false };
+      await storage.saveSubscription(doc);
+      await storage.saveSubscription({ ...doc, userId: 'u2' });
+      expect(await storage.loadSubscriptions()).toContainEqual(doc);
+      await storage.saveSubscription({ ...doc, pages: [] });
+      expect((await storage.loadSubscriptions()).map(s => s.userId)).toEqual(['u2']);
+      await storage.close();
+    });
+
+    it('keeps audit entries per guild, newest first', async () => {
+      const storage = create();
+      await storage.init();
+      const entry = (actorId, action, day) => ({ guildId: 'g1', actorId, actorTag: `${actorId}#0001`, action, before: null, after: ['default::Alpha'], timestamp: new Date(`2026-01-0${day}T00:00:00Z`) });
+      await storage.appendAudit(entry('u1', 'pages', 1));
+      await storage.appendAudit(entry('u2', 'channel', 2));
+      await storage.appendAudit({ ...entry('u1', 'channel', 3), guildId: 'g2' });
+      const stored = await storage.appendAudit(entry('u1', 'testping', 3));
+      expect(stored.id).toBeTruthy();
+      expect((await storage.readAudit('g1')).map(e => e.action)).toEqual(['testping', 'channel', 'pages']);
+      expect((await storage.readAudit('g1', { actorId: 'u1', limit: 1 })).map(e => e.action)).toEqual(['testping']);
+      const [latest] = await storage.readAudit('g1');
+      expect(latest.after).toEqual(['default::Alpha']);
+      expect(new Date(latest.timestamp).toISOString()).toBe('2026-01-03T00:00:00.000Z');
+      expect(await storage.listAudit()).toHaveLength(4);
+      await storage.close();
+    });
+  });
+}
+
+describe('createStorage', () => {
+  it('picks SQLite without MONGODB_URI and Mongo with it', () => {
+    expect(createStorage({ SQLITE_PATH: ':memory:' }).name).toBe('sqlite');
+    expect(createStorage({ MONGODB_URI: 'mongodb://localhost/test' }).name).toBe('mongo');
+    expect(createStorage({ STORAGE_BACKEND: 'memory', MONGODB_URI: 'mongodb://localhost/test' }).name).toBe('memory');
+  });
+
+  it('rejects unknown backends and Mongo without a URI', () => {
+    expect(() => createStorage({ STORAGE_BACKEND: 'redis' })).toThrow('Unknown STORAGE_BACKEND');
+    expect(() => createStorage({ STORAGE_BACKEND: 'mongo' })).toThrow('Missing MONGODB_URI');
+  });
+});
+
+describe('migrateStorage', () => {
+  it('copies every kind of record and can be run twice', async () => {
+    const source = createMemoryStorage({
+      cache: [{ form: 'default', item: 'Alpha', content: 'v2' }],
+      guildSettings: [{ guildId: 'g1', pages: ['default::Alpha'], channel: 'c1' }],
+      lastSentContent: [{ guildId: 'g1', pages: { 'default::Alpha': 'v1' } }],
+    });
+    await source.appendHistory({ form: 'default', item: 'Alpha', content: 'v1', hash: 'h1', timestamp: new Date('2026-01-01T00:00:00Z') });
+    await source.appendHistory({ form: 'default', item: 'Alpha', content: 'v2', hash: 'h2', timestamp: new Date('2026-01-02T00:00:00Z') });
+    await source.saveScrapeStatus({ form: 'default', item: 'Alpha', lastSuccessAt: new Date('2026-01-02T00:00:00Z'), lastErrorAt: null, lastError: null, consecutiveFailures: 0 });
+    await source.saveSubscription({ guildId: 'g1', userId: 'u1', pages: ['default::Alpha'], sent: {}, dmBlocked: false });
+    await source.appendAudit({ guildId: 'g1', actorId: 'u1', actorTag: 'u1#0001', action: 'channel', before: null, after: 'c1', timestamp: new Date('2026-01-02T00:00:00Z') });
+    const target = createSqliteStorage(':memory:');
+    await target.init();
+
+    expect(await migrateStorage(source, target)).toEqual({ cache: 1, history: 2, guildSettings: 1, lastSentContent: 1, scrapeStatus: 1, subscriptions: 1, audit: 1 });
+    const again = await migrateStorage(source, target);
+    expect([again.history, again.audit]).toEqual([0, 0]);
+
+    expect(await target.readDropdownCache('default', 'Alpha')).toBe('v2');
+    expect((await target.readHistory('default', 'Alpha', 10)).map(v => v.hash)).toEqual(['h2', 'h1']);
+    expect(await target.loadGuildSettings()).toEqual([{ guildId: 'g1', pages: ['default::Alpha'], channel: 'c1' }]);
+    expect(await target.loadLastSentContent()).toEqual([{ guildId: 'g1', pages: { 'default::Alpha': 'v1' } }]);
+    await target.close();
+  });
+
+  it('rewrites the history version ids of last-sent entries to the target\'s ids', async () => {
+    const source = createMemoryStorage();
+    const v1 = await source.appendHistory({ form: 'default', item: 'Alpha', content: 'v1', hash: 'h1', timestamp: new Date('2026-01-01T00:00:00Z') });
+    const v2 = await source.appendHistory({ form: 'default', item: 'Alpha', content: 'v2', hash: 'h2', timestamp: new Date('2026-01-02T00:00:00Z') });
+    const notified = { at: '2026-01-02T00:00:00.000Z', mode: 'diff', fromVersionId: v1.id, toVersionId: v2.id, fromHash: 'h1', toHash: 'h2', alerts: [] };
+    await source.saveLastSentContent('g1', { 'default::Alpha': { hash: 'h2', versionId: v2.id, notified }, 'default::Bravo': { hash: 'h9', versionId: '99' } });
+    // The target already holds another page's version, so its ids do not line up with the source's
+    const target = createSqliteStorage(':memory:');
+    await target.init();
+    await target.appendHistory({ form: 'default', item: 'Bravo', content: 'other', hash: 'h0', timestamp: new Date('2025-12-01T00:00:00Z') });
+
+    await migrateStorage(source, target);
+    await migrateStorage(source, target);
+    const [{ pages }] = await target.loadLastSentContent();
+    const alpha = pages['default::Alpha'];
+    expect((await target.readHistoryVersion(alpha.versionId)).content).toBe('v2');
+    expect((await target.readHistoryVersion(alpha.notified.fromVersionId)).content).toBe('v1');
+    expect(alpha.notified.toVersionId).toBe(alpha.versionId);
+    expect(pages['default::Bravo'].versionId).toBeNull();
+    await target.close();
+  });
+});